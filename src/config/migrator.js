@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * Load the migration scripts, ordered by version
+ * @param {string} directory - Directory holding NNN_name.js files
+ * @returns {Array<Object>} - Migrations with version, name, up and down
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  return fs.readdirSync(directory)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(directory, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return {
+        version: file.match(MIGRATION_FILE_PATTERN)[1],
+        name: path.basename(file, '.js'),
+        up: migration.up,
+        down: migration.down
+      };
+    });
+}
+
+/**
+ * Create the table recording applied migrations
+ * @param {Object} db - Pool or connection
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+/**
+ * Get the applied migrations. Only reads, so the startup check works for a
+ * database user without schema privileges.
+ * @param {Object} db - Pool or connection
+ * @returns {Promise<Map<string, Object>>} - Applied migration rows by version; empty if the
+ *   migrations table does not exist yet
+ */
+async function getAppliedMigrations(db) {
+  try {
+    const [rows] = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    return new Map(rows.map(row => [row.version, row]));
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return new Map();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get every known migration with the time it was applied. Migrations recorded
+ * in the database but missing from the code are included with missing: true.
+ * @param {Object} pool - Database pool
+ * @returns {Promise<Array<Object>>} - Migrations with version, name, applied_at and missing
+ */
+async function getMigrationStatus(pool) {
+  const applied = await getAppliedMigrations(pool);
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(migration => migration.version));
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+    missing: false
+  }));
+
+  for (const row of applied.values()) {
+    if (!known.has(row.version)) {
+      status.push({ version: row.version, name: row.name, applied_at: row.applied_at, missing: true });
+    }
+  }
+
+  return status.sort((a, b) => (a.version < b.version ? -1 : a.version > b.version ? 1 : 0));
+}
+
+/**
+ * Get the migrations that have not been applied yet
+ * @param {Object} pool - Database pool
+ * @returns {Promise<Array<Object>>} - Pending migrations, oldest first
+ */
+async function getPendingMigrations(pool) {
+  const status = await getMigrationStatus(pool);
+  return status.filter(migration => !migration.applied_at && !migration.missing);
+}
+
+/**
+ * Run a callback on a dedicated connection holding the migration lock, so two
+ * deploys cannot migrate the same database at once
+ * @param {Object} pool - Database pool
+ * @param {Function} callback - Receives the connection
+ * @returns {Promise<*>} - Callback result
+ */
+async function withMigrationLock(pool, callback) {
+  const connection = await pool.getConnection();
+  const [[{ database }]] = await connection.query('SELECT DATABASE() AS `database`');
+  const lockName = `${database}:migrations`;
+
+  try {
+    const [rows] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [lockName, MIGRATION_LOCK_TIMEOUT_SECONDS]);
+    if (rows[0].acquired !== 1) {
+      throw new Error('Timed out waiting for another migration run to finish');
+    }
+
+    try {
+      return await callback(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Apply all pending migrations in order. MySQL commits schema changes
+ * immediately, so a migration that fails part-way is not undone.
+ * @param {Object} pool - Database pool
+ * @returns {Promise<Array<string>>} - Names of the applied migrations
+ */
+async function migrate(pool) {
+  return withMigrationLock(pool, async connection => {
+    await ensureMigrationsTable(connection);
+    const applied = await getAppliedMigrations(connection);
+    const names = [];
+
+    for (const migration of loadMigrations()) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+
+      await migration.up(connection);
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      names.push(migration.name);
+    }
+
+    return names;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} pool - Database pool
+ * @param {number} steps - Number of migrations to revert
+ * @returns {Promise<Array<string>>} - Names of the reverted migrations
+ */
+async function rollback(pool, steps = 1) {
+  return withMigrationLock(pool, async connection => {
+    const applied = await getAppliedMigrations(connection);
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const versions = [...applied.keys()].sort().reverse().slice(0, steps);
+    const names = [];
+
+    for (const version of versions) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${applied.get(version).name}: its migration file is missing`);
+      }
+
+      await migration.down(connection);
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      names.push(migration.name);
+    }
+
+    return names;
+  });
+}
+
+/**
+ * Check whether a column exists in the current database
+ * @param {Object} connection - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>} - True if the column exists
+ */
+async function columnExists(connection, table, column) {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Check whether an index exists in the current database
+ * @param {Object} connection - Database connection
+ * @param {string} table - Table name
+ * @param {string} index - Index name
+ * @returns {Promise<boolean>} - True if the index exists
+ */
+async function indexExists(connection, table, index) {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1`,
+    [table, index]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Add the columns a table does not have yet. Databases created before
+ * migrations existed may already have some of them.
+ * @param {Object} connection - Database connection
+ * @param {string} table - Table name
+ * @param {Array<Array<string>>} columns - [name, definition] pairs
+ * @returns {Promise<void>}
+ */
+async function addColumns(connection, table, columns) {
+  for (const [name, definition] of columns) {
+    if (!(await columnExists(connection, table, name))) {
+      await connection.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${name}\` ${definition}`);
+    }
+  }
+}
+
+/**
+ * Drop the columns a table still has
+ * @param {Object} connection - Database connection
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Column names
+ * @returns {Promise<void>}
+ */
+async function dropColumns(connection, table, columns) {
+  for (const name of columns) {
+    if (await columnExists(connection, table, name)) {
+      await connection.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${name}\``);
+    }
+  }
+}
+
+/**
+ * Add the indexes a table does not have yet
+ * @param {Object} connection - Database connection
+ * @param {string} table - Table name
+ * @param {Array<Array<string>>} indexes - [name, column list] pairs
+ * @param {Object} [options] - Index options
+ * @param {boolean} [options.unique] - Add unique indexes
+ * @returns {Promise<void>}
+ */
+async function addIndexes(connection, table, indexes, { unique = false } = {}) {
+  for (const [name, columns] of indexes) {
+    if (!(await indexExists(connection, table, name))) {
+      await connection.query(`ALTER TABLE \`${table}\` ADD ${unique ? 'UNIQUE ' : ''}INDEX \`${name}\` (${columns})`);
+    }
+  }
+}
+
+/**
+ * Drop the indexes a table still has
+ * @param {Object} connection - Database connection
+ * @param {string} table - Table name
+ * @param {Array<string>} indexes - Index names
+ * @returns {Promise<void>}
+ */
+async function dropIndexes(connection, table, indexes) {
+  for (const name of indexes) {
+    if (await indexExists(connection, table, name)) {
+      await connection.query(`ALTER TABLE \`${table}\` DROP INDEX \`${name}\``);
+    }
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrate,
+  rollback,
+  addColumns,
+  dropColumns,
+  addIndexes,
+  dropIndexes
+};
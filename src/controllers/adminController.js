@@ -0,0 +1,57 @@
+const {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} = require("../services/apiKeyService");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  validateApiKeyData,
+  validateApiKeyId,
+} = require("../middleware/validator");
+
+// GET /admin/api-keys - List API keys without the keys themselves
+async function getApiKeys(req, res, next) {
+  try {
+    const apiKeys = await listApiKeys();
+
+    res.json({ api_keys: apiKeys });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /admin/api-keys - Create an API key and return it once
+async function addApiKey(req, res, next) {
+  try {
+    const { name, role } = validateApiKeyData(req.body);
+
+    const apiKey = await createApiKey(name, role);
+
+    res.status(201).json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// DELETE /admin/api-keys/:id - Revoke an API key
+async function deleteApiKey(req, res, next) {
+  try {
+    const id = validateApiKeyId(req.params.id);
+
+    const revoked = await revokeApiKey(id);
+
+    if (!revoked) {
+      throw new AppError("API key not found", 404);
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getApiKeys,
+  addApiKey,
+  deleteApiKey,
+};
@@ -1,83 +1,116 @@
 const {
-  fetchCountries,
-  fetchExchangeRates,
-} = require("../services/externalApi");
-const { processCountryData } = require("../services/dataProcessor");
-const {
-  bulkUpsertCountries,
-  getAllCountries,
-  getCountryByName,
+  getCountryPage,
+  findCountry,
   deleteCountryByName,
-  updateRefreshMetadata,
+  restoreCountry,
+  createCountry,
+  updateCountry,
+  clearCountryOverrides,
   getRefreshMetadata,
-  getTopCountriesByGDP,
+  getStaleReasons,
+  getSummaryImagePath,
+  getCountryCard,
+  getCountryComparison,
 } = require("../services/countryService");
-const { generateSummaryImage } = require("../services/imageGenerator");
+const {
+  getRefreshRuns,
+  getCountryHistory,
+} = require("../services/refreshHistoryService");
+const { enqueueRefresh } = require("../services/refreshService");
 const { AppError } = require("../middleware/errorHandler");
-const { validateQueryParams } = require("../middleware/validator");
-const path = require("path");
-const fs = require("fs").promises;
+const {
+  validateQueryParams,
+  validateRefreshParams,
+  validateHistoryParams,
+  validateCountryData,
+  validateImageParams,
+  validateCompareParams,
+} = require("../middleware/validator");
+
+// Cached data older than this is reported as stale
+const STALE_AFTER_HOURS = parseInt(process.env.STALE_AFTER_HOURS || "24", 10);
 
-// POST /countries/refresh - Fetch all countries and exchange rates, then cache them in the database
+// POST /countries/refresh - Queue a background refresh of all countries and exchange rates
 async function refreshCountries(req, res, next) {
   try {
-    // Fetch data from external APIs
-    const [countries, exchangeRates] = await Promise.all([
-      fetchCountries(),
-      fetchExchangeRates(),
-    ]);
+    const gdpOptions = validateRefreshParams({ ...req.query, ...req.body });
 
-    // Process country data
-    const processedCountries = processCountryData(countries, exchangeRates);
-
-    // Bulk upsert to database
-    const count = await bulkUpsertCountries(processedCountries);
-
-    // Update metadata
-    await updateRefreshMetadata();
-
-    // Generate summary image
-    const metadata = await getRefreshMetadata();
-    const topCountries = await getTopCountriesByGDP(5);
+    const jobId = await enqueueRefresh(gdpOptions, "api");
 
-    await generateSummaryImage({
-      total_countries: metadata.total_countries,
-      top_countries: topCountries,
-      last_refreshed_at: metadata.last_refreshed_at,
-    });
-
-    res.json({
-      message: "Countries data refreshed successfully",
-      countries_processed: count,
-      last_refreshed_at: metadata.last_refreshed_at,
+    res.status(202).location(`/jobs/${jobId}`).json({
+      message: "Countries refresh started",
+      job_id: jobId,
+      status: "queued",
+      status_url: `/jobs/${jobId}`,
     });
   } catch (error) {
     next(error);
   }
 }
 
-// GET /countries - Get all countries from the DB with optional filters and sorting
+// Build a Link header pointing at the first, previous, next and last pages
+function buildPageLinks(req, page, totalPages) {
+  const lastPage = Math.max(totalPages, 1);
+  const pages = { first: 1 };
+
+  if (page > 1) {
+    pages.prev = Math.min(page - 1, lastPage);
+  }
+  if (page < totalPages) {
+    pages.next = page + 1;
+  }
+  pages.last = lastPage;
+
+  const pathname = req.originalUrl.split("?")[0];
+
+  return Object.entries(pages)
+    .map(([rel, target]) => {
+      const params = new URLSearchParams(req.query);
+      params.set("page", target);
+      return `<${pathname}?${params}>; rel="${rel}"`;
+    })
+    .join(", ");
+}
+
+// GET /countries - Get a page of countries from the DB with optional filters, sorting and field selection
 async function getCountries(req, res, next) {
   try {
-    const validatedParams = validateQueryParams(req.query);
+    const { page, limit, fields, sort, filters } = validateQueryParams(req.query);
 
-    const filters = {};
-    if (validatedParams.region) {
-      filters.region = validatedParams.region;
-    }
-    if (validatedParams.currency) {
-      filters.currency = validatedParams.currency;
-    }
+    const { total, countries } = await getCountryPage(filters, sort, {
+      page,
+      limit,
+      fields,
+    });
+    const totalPages = Math.ceil(total / limit);
 
-    const countries = await getAllCountries(filters, validatedParams.sort);
+    res.set({
+      Link: buildPageLinks(req, page, totalPages),
+      "X-Total-Count": String(total),
+    });
 
-    res.json(countries);
+    res.json({
+      total,
+      page,
+      limit,
+      total_pages: totalPages,
+      countries,
+    });
   } catch (error) {
     next(error);
   }
 }
 
-// GET /countries/:name - Get one country by name
+// Build the 404 for a country lookup, with "did you mean" suggestions if there are any
+function countryNotFound(suggestions = [], message = "Country not found") {
+  return new AppError(
+    message,
+    404,
+    suggestions.length > 0 ? { did_you_mean: suggestions } : null
+  );
+}
+
+// GET /countries/:name - Get one country by name, ISO code or alias
 async function getCountry(req, res, next) {
   try {
     const { name } = req.params;
@@ -86,10 +119,10 @@ async function getCountry(req, res, next) {
       throw new AppError("Country name is required", 400);
     }
 
-    const country = await getCountryByName(name);
+    const { country, suggestions } = await findCountry(name);
 
     if (!country) {
-      throw new AppError("Country not found", 404);
+      throw countryNotFound(suggestions);
     }
 
     res.json(country);
@@ -98,7 +131,37 @@ async function getCountry(req, res, next) {
   }
 }
 
-// DELETE /countries/:name - Delete a country record
+// GET /compare - Compare countries side by side with per-metric rankings
+async function compareCountries(req, res, next) {
+  try {
+    const { countries } = validateCompareParams(req.query);
+
+    const comparison = await getCountryComparison(countries);
+
+    res.json(comparison);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /countries/:name/card.png - Render a shareable card of one country
+async function getCountryCardImage(req, res, next) {
+  try {
+    const { card, suggestions } = await getCountryCard(req.params.name);
+
+    if (!card) {
+      throw countryNotFound(suggestions);
+    }
+
+    // Each card shows a random fact, so it is not cached
+    res.set("Cache-Control", "no-store");
+    res.type("png").send(card);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// DELETE /countries/:name - Delete a country record by name, ISO code or alias
 async function deleteCountry(req, res, next) {
   try {
     const { name } = req.params;
@@ -107,10 +170,10 @@ async function deleteCountry(req, res, next) {
       throw new AppError("Country name is required", 400);
     }
 
-    const deleted = await deleteCountryByName(name);
+    const { deleted, suggestions } = await deleteCountryByName(name);
 
     if (!deleted) {
-      throw new AppError("Country not found", 404);
+      throw countryNotFound(suggestions);
     }
 
     res.status(204).send();
@@ -119,41 +182,149 @@ async function deleteCountry(req, res, next) {
   }
 }
 
-// GET /status - Show total countries and last refresh timestamp
+// POST /countries - Add a country the upstream data lacks
+async function addCountry(req, res, next) {
+  try {
+    const countryData = validateCountryData(req.body);
+
+    const { country, conflict } = await createCountry(countryData);
+
+    if (conflict === "deleted") {
+      throw new AppError("Country was deleted", 409, {
+        restore_url: `/countries/${encodeURIComponent(countryData.name)}/restore`,
+      });
+    }
+
+    if (conflict) {
+      throw new AppError("Country already exists", 409);
+    }
+
+    res.status(201).location(`/countries/${encodeURIComponent(country.name)}`).json(country);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// PUT /countries/:name - Replace every editable field of a country
+// PATCH /countries/:name - Correct some fields of a country
+async function editCountry(req, res, next) {
+  try {
+    const replace = req.method === "PUT";
+    const countryData = validateCountryData(req.body, { partial: !replace });
+
+    const { country, suggestions } = await updateCountry(req.params.name, countryData, { replace });
+
+    if (!country) {
+      throw countryNotFound(suggestions);
+    }
+
+    res.json(country);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// DELETE /countries/:name/overrides - Let refreshes update every field again
+async function resetCountryOverrides(req, res, next) {
+  try {
+    const { country, suggestions } = await clearCountryOverrides(req.params.name);
+
+    if (!country) {
+      throw countryNotFound(suggestions);
+    }
+
+    res.json(country);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /countries/:name/restore - Restore a deleted country
+async function restoreDeletedCountry(req, res, next) {
+  try {
+    const { country, suggestions } = await restoreCountry(req.params.name);
+
+    if (!country) {
+      throw countryNotFound(suggestions, "Deleted country not found");
+    }
+
+    res.json(country);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /status - Show total countries, last refresh timestamp and data freshness
 async function getStatus(req, res, next) {
   try {
     const metadata = await getRefreshMetadata();
+    const staleReasons = getStaleReasons(metadata, STALE_AFTER_HOURS);
 
     res.json({
       total_countries: metadata.total_countries,
       last_refreshed_at: metadata.last_refreshed_at,
+      gdp_estimation: metadata.gdp_estimation,
+      stale: staleReasons.length > 0,
+      stale_reasons: staleReasons,
+      data_source: metadata.data_source,
+      providers: metadata.providers,
+      exchange_rates_filled: metadata.exchange_rates_filled,
+      exchange_rates_as_of: metadata.exchange_rates_as_of,
     });
   } catch (error) {
     next(error);
   }
 }
 
-// GET /countries/image - Serve the generated summary image
-async function getSummaryImage(req, res, next) {
+// GET /status/history - List past refresh runs, newest first
+async function getRefreshHistory(req, res, next) {
   try {
-    const cacheDir = path.join(process.cwd(), process.env.CACHE_DIR || "cache");
-    const imagePath = path.join(cacheDir, "summary.png");
-
-    // Check if image exists
-    try {
-      await fs.access(imagePath);
-    } catch (error) {
-      throw new AppError("Summary image not found", 404);
+    const { limit } = validateHistoryParams(req.query);
+
+    const runs = await getRefreshRuns(limit);
+
+    res.json(runs);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /countries/:name/history - List recorded changes of one country
+async function getCountryChangeHistory(req, res, next) {
+  try {
+    const { name } = req.params;
+    const { limit } = validateHistoryParams(req.query);
+
+    // Deleted countries keep their history, so fall back to the requested name
+    const { country, suggestions } = await findCountry(name);
+    const countryName = country ? country.name : name;
+    const history = await getCountryHistory(countryName, limit);
+
+    if (!country && history.length === 0) {
+      throw countryNotFound(suggestions);
     }
 
+    res.json({
+      country: countryName,
+      history,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /countries/image - Serve a summary image, rendered for the requested options
+async function getSummaryImage(req, res, next) {
+  try {
+    const options = validateImageParams(req.query);
+
+    const imagePath = await getSummaryImagePath(options);
+
     // Serve the image
+    res.type(options.format === "svg" ? "image/svg+xml" : `image/${options.format}`);
     res.sendFile(imagePath);
   } catch (error) {
-    if (error.statusCode === 404) {
-      res.status(404).json({ error: "Summary image not found" });
-    } else {
-      next(error);
-    }
+    next(error);
   }
 }
 
@@ -161,7 +332,15 @@ module.exports = {
   refreshCountries,
   getCountries,
   getCountry,
+  compareCountries,
   deleteCountry,
   getStatus,
+  getRefreshHistory,
+  getCountryChangeHistory,
   getSummaryImage,
+  getCountryCardImage,
+  addCountry,
+  editCountry,
+  resetCountryOverrides,
+  restoreDeletedCountry,
 };
@@ -0,0 +1,70 @@
+const {
+  getCurrencies,
+  getCurrencyHistory,
+  convertCurrency,
+} = require("../services/exchangeRateService");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  validateCurrencyHistoryParams,
+  validateConversionParams,
+} = require("../middleware/validator");
+
+// GET /currencies - List currencies with their latest USD rate
+async function listCurrencies(req, res, next) {
+  try {
+    const currencies = await getCurrencies();
+
+    res.json(currencies);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /currencies/:code/history - Get the USD rate time series of a currency
+async function getCurrencyRateHistory(req, res, next) {
+  try {
+    const { code, from, to } = validateCurrencyHistoryParams({
+      ...req.query,
+      code: req.params.code,
+    });
+
+    const history = await getCurrencyHistory(code, { from, to });
+
+    if (history.length === 0) {
+      throw new AppError("Currency not found", 404);
+    }
+
+    res.json({
+      code,
+      base: "USD",
+      history,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /convert - Convert an amount between currencies using cross rates through USD
+async function convert(req, res, next) {
+  try {
+    const { from, to, amount, date } = validateConversionParams(req.query);
+
+    const conversion = await convertCurrency(from, to, amount, date || null);
+
+    if (conversion.missing) {
+      throw new AppError("Exchange rate not found", 404, {
+        currencies: conversion.missing,
+      });
+    }
+
+    res.json(conversion);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listCurrencies,
+  getCurrencyRateHistory,
+  convert,
+};
@@ -0,0 +1,76 @@
+const {
+  getCountryFlag,
+  getFlagByHash,
+} = require("../services/countryService");
+const { AppError } = require("../middleware/errorHandler");
+const { validateFlagParams } = require("../middleware/validator");
+
+// Flags by country change only when a refresh finds a new one
+const FLAG_MAX_AGE_SECONDS = 24 * 60 * 60;
+// Flags by content hash never change
+const FLAG_FILE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+// Send a flag with its ETag; conditional requests get 304 Not Modified
+function sendFlag(req, res, flag, cacheControl) {
+  res.set("ETag", flag.etag);
+  res.set("Cache-Control", cacheControl);
+  res.type(flag.content_type);
+
+  if (flag.path) {
+    res.sendFile(flag.path);
+  } else if (req.fresh) {
+    res.status(304).end();
+  } else {
+    res.send(flag.data);
+  }
+}
+
+// GET /flags/:code - Serve a country's flag from the local mirror
+async function getFlag(req, res, next) {
+  try {
+    const options = validateFlagParams(req.query);
+
+    const { flag, suggestions } = await getCountryFlag(req.params.code, options);
+
+    if (!flag) {
+      throw new AppError(
+        "Country not found",
+        404,
+        suggestions.length > 0 ? { did_you_mean: suggestions } : null
+      );
+    }
+
+    // Placeholders are revalidated, so clients pick up the real flag once it is downloaded
+    res.set("X-Flag-Placeholder", String(flag.placeholder));
+    sendFlag(
+      req,
+      res,
+      flag,
+      flag.placeholder ? "no-cache" : `public, max-age=${FLAG_MAX_AGE_SECONDS}`
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /flags/files/:hash - Serve a mirrored flag by content hash
+async function getFlagFile(req, res, next) {
+  try {
+    const options = validateFlagParams(req.query);
+
+    const flag = await getFlagByHash(req.params.hash, options);
+
+    if (!flag) {
+      throw new AppError("Flag not found", 404);
+    }
+
+    sendFlag(req, res, flag, `public, max-age=${FLAG_FILE_MAX_AGE_SECONDS}, immutable`);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getFlag,
+  getFlagFile,
+};
@@ -0,0 +1,21 @@
+const { getJobById } = require("../services/jobService");
+const { AppError } = require("../middleware/errorHandler");
+
+// GET /jobs/:id - Get the status and result of a background job
+async function getJob(req, res, next) {
+  try {
+    const job = await getJobById(req.params.id);
+
+    if (!job) {
+      throw new AppError("Job not found", 404);
+    }
+
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getJob,
+};
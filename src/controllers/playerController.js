@@ -0,0 +1,69 @@
+const {
+  createPlayer,
+  getPlayerProfile,
+  getLeaderboard,
+} = require("../services/playerService");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  validatePlayerData,
+  validateLeaderboardParams,
+} = require("../middleware/validator");
+
+// POST /players - Register a player and return their token
+async function registerPlayer(req, res, next) {
+  try {
+    const { nickname } = validatePlayerData(req.body);
+
+    const player = await createPlayer(nickname);
+
+    if (!player) {
+      throw new AppError("Nickname is already taken", 409);
+    }
+
+    res.status(201).json({
+      nickname: player.nickname,
+      token: player.token,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /players/:nickname - Get a player profile with quiz statistics
+async function getPlayer(req, res, next) {
+  try {
+    const profile = await getPlayerProfile(req.params.nickname);
+
+    if (!profile) {
+      throw new AppError("Player not found", 404);
+    }
+
+    res.json(profile);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /leaderboards - Rank players by total score for a period and region
+async function getLeaderboards(req, res, next) {
+  try {
+    const validatedParams = validateLeaderboardParams(req.query);
+
+    const leaderboard = await getLeaderboard(validatedParams);
+
+    res.json({
+      period: validatedParams.period,
+      region: validatedParams.region || null,
+      since: leaderboard.since,
+      rankings: leaderboard.rankings,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  registerPlayer,
+  getPlayer,
+  getLeaderboards,
+};
@@ -0,0 +1,117 @@
+const { getTriviaCountries } = require("../services/countryService");
+const {
+  generateQuestions,
+  generateDailyChallenge,
+} = require("../services/triviaGenerator");
+const {
+  createQuiz,
+  getDailyQuiz,
+  getQuizById,
+  recordAnswer,
+} = require("../services/quizService");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  validateQuizParams,
+  validateAnswerData,
+} = require("../middleware/validator");
+
+// POST /quizzes - Create a quiz session with N questions, or one for the daily challenge
+async function createQuizSession(req, res, next) {
+  try {
+    const settings = validateQuizParams(req.body);
+    const playerId = req.player ? req.player.id : null;
+
+    // Players get one session per daily challenge, since answers reveal the correct
+    // ones a retake could copy; starting it again returns the session they have
+    if (settings.daily && playerId !== null) {
+      const existing = await getDailyQuiz(playerId, settings.daily);
+
+      if (existing) {
+        return res.json(existing);
+      }
+    }
+
+    const countries = await getTriviaCountries();
+    const questions = settings.daily
+      ? generateDailyChallenge(countries, settings.daily).questions
+      : generateQuestions(countries, settings.count, settings);
+
+    if (questions.length < settings.count) {
+      throw new AppError("Not enough country data to generate the quiz", 404, {
+        requested: settings.count,
+        available: questions.length,
+      });
+    }
+
+    const id = await createQuiz(settings, questions, playerId);
+
+    // Another request started the player's daily session first
+    if (!id) {
+      return res.json(await getDailyQuiz(playerId, settings.daily));
+    }
+
+    const quiz = await getQuizById(id);
+
+    res.status(201).json(quiz);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /quizzes/:id - Get score, streak and per-question results
+async function getQuiz(req, res, next) {
+  try {
+    const quiz = await getQuizById(req.params.id);
+
+    if (!quiz) {
+      throw new AppError("Quiz not found", 404);
+    }
+
+    res.json(quiz);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /quizzes/:id/answers - Check an answer to one of the quiz questions
+async function submitAnswer(req, res, next) {
+  try {
+    const { question, answer } = validateAnswerData(req.body);
+
+    const result = await recordAnswer(
+      req.params.id,
+      question,
+      answer,
+      req.player ? req.player.id : null
+    );
+
+    if (result.status === "quiz_not_found") {
+      throw new AppError("Quiz not found", 404);
+    }
+    if (result.status === "forbidden") {
+      throw new AppError("Quiz belongs to another player", 403);
+    }
+    if (result.status === "question_not_found") {
+      throw new AppError("Question not found", 404);
+    }
+    if (result.status === "already_answered") {
+      throw new AppError("Question has already been answered", 409);
+    }
+
+    res.json({
+      question,
+      correct: result.correct,
+      correct_answer: result.correct_answer,
+      score: result.score,
+      streak: result.streak,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  createQuizSession,
+  getQuiz,
+  submitAnswer,
+};
@@ -0,0 +1,29 @@
+const {
+  getCountryStats,
+  getRegionStats,
+} = require("../services/countryService");
+
+// GET /stats - Get statistics of all countries and of each region
+async function getStats(req, res, next) {
+  try {
+    const stats = await getCountryStats();
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /regions/:region/stats - Get statistics of one region
+async function getRegionStatistics(req, res, next) {
+  try {
+    const stats = await getRegionStats(req.params.region);
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getStats,
+  getRegionStatistics,
+};
@@ -0,0 +1,71 @@
+const { getTriviaCountries } = require("../services/countryService");
+const {
+  generateQuestion,
+  generateDailyChallenge,
+  DAILY_QUESTION_COUNT,
+} = require("../services/triviaGenerator");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  validateTriviaParams,
+  validateDailyParams,
+} = require("../middleware/validator");
+
+// GET /trivia/question - Generate a multiple-choice question from the cached countries
+async function getQuestion(req, res, next) {
+  try {
+    const validatedParams = validateTriviaParams(req.query);
+
+    const countries = await getTriviaCountries();
+    const question = generateQuestion(countries, validatedParams);
+
+    if (!question) {
+      throw new AppError("Not enough country data to generate a question", 404);
+    }
+
+    res.json(question);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET /trivia/daily - Get the country of the day and the daily question set
+async function getDailyChallenge(req, res, next) {
+  try {
+    const { date } = validateDailyParams(req.query);
+
+    const countries = await getTriviaCountries();
+    const challenge = generateDailyChallenge(countries, date);
+
+    if (challenge.questions.length < DAILY_QUESTION_COUNT) {
+      throw new AppError("Not enough country data to generate the daily challenge", 404);
+    }
+
+    // Answers are checked through a daily quiz session (POST /quizzes)
+    res.json({
+      date: challenge.date,
+      country: {
+        name: challenge.country.name,
+        capital: challenge.country.capital,
+        region: challenge.country.region,
+        population: challenge.country.population,
+        currency_code: challenge.country.currency_code,
+        flag_url: challenge.country.flag_url,
+      },
+      questions: challenge.questions.map((question, index) => ({
+        position: index + 1,
+        type: question.type,
+        difficulty: question.difficulty,
+        question: question.question,
+        image_url: question.image_url,
+        options: question.options,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getQuestion,
+  getDailyChallenge,
+};
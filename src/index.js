@@ -1,24 +1,45 @@
 require('dotenv').config();
 const express = require('express');
-const { initializeDatabase } = require('./config/database');
+const { DB_CLIENT, initialize } = require('./repositories');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { cors } = require('./middleware/cors');
+const { authenticate, requireRole } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rateLimit');
+const { startScheduler } = require('./services/scheduler');
 const countryRoutes = require('./routes/countryRoutes');
 const statusRoutes = require('./routes/statusRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
+const convertRoutes = require('./routes/convertRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const triviaRoutes = require('./routes/triviaRoutes');
+const quizRoutes = require('./routes/quizRoutes');
+const playerRoutes = require('./routes/playerRoutes');
+const leaderboardRoutes = require('./routes/leaderboardRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const flagRoutes = require('./routes/flagRoutes');
+const statsRoutes = require('./routes/statsRoutes');
+const regionRoutes = require('./routes/regionRoutes');
+const compareRoutes = require('./routes/compareRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, rate limits need the client address from X-Forwarded-For.
+// TRUST_PROXY is the number of proxies in front of the server, or their addresses.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// CORS headers (optional, but useful for API)
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  next();
-});
+// CORS headers for the origins in CORS_ORIGINS
+app.use(cors);
+
+// Identify the client from its API key
+app.use(authenticate);
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -29,16 +50,61 @@ app.get('/', (req, res) => {
       refresh: 'POST /countries/refresh',
       countries: 'GET /countries',
       country: 'GET /countries/:name',
+      createCountry: 'POST /countries',
+      replaceCountry: 'PUT /countries/:name',
+      updateCountry: 'PATCH /countries/:name',
       deleteCountry: 'DELETE /countries/:name',
+      restoreCountry: 'POST /countries/:name/restore',
+      clearCountryOverrides: 'DELETE /countries/:name/overrides',
+      countryHistory: 'GET /countries/:name/history',
       status: 'GET /status',
-      image: 'GET /countries/image'
+      refreshHistory: 'GET /status/history',
+      job: 'GET /jobs/:id',
+      image: 'GET /countries/image',
+      countryCard: 'GET /countries/:name/card.png',
+      flag: 'GET /flags/:code',
+      flagFile: 'GET /flags/files/:hash',
+      stats: 'GET /stats',
+      regionStats: 'GET /regions/:region/stats',
+      compare: 'GET /compare',
+      currencies: 'GET /currencies',
+      currencyHistory: 'GET /currencies/:code/history',
+      convert: 'GET /convert',
+      triviaQuestion: 'GET /trivia/question',
+      createQuiz: 'POST /quizzes',
+      quiz: 'GET /quizzes/:id',
+      answerQuiz: 'POST /quizzes/:id/answers',
+      createPlayer: 'POST /players',
+      player: 'GET /players/:nickname',
+      leaderboards: 'GET /leaderboards',
+      apiKeys: 'GET /admin/api-keys',
+      createApiKey: 'POST /admin/api-keys',
+      revokeApiKey: 'DELETE /admin/api-keys/:id'
     }
   });
 });
 
+// Everything below needs at least read access (anonymous unless AUTH_REQUIRED=true)
+app.use(requireRole('reader'));
+
+// Per-client request budget (RATE_LIMIT_DEFAULT)
+app.use(rateLimit('default'));
+
 // Routes
 app.use('/countries', countryRoutes);
 app.use('/status', statusRoutes);
+app.use('/jobs', jobRoutes);
+app.use('/currencies', currencyRoutes);
+app.use('/convert', convertRoutes);
+app.use('/flags', flagRoutes);
+app.use('/stats', statsRoutes);
+app.use('/regions', regionRoutes);
+app.use('/compare', compareRoutes);
+app.use('/trivia', rateLimit('trivia'), triviaRoutes);
+app.use('/quizzes', rateLimit('trivia'), quizRoutes);
+app.use('/players', rateLimit('trivia'), playerRoutes);
+app.use('/leaderboards', rateLimit('trivia'), leaderboardRoutes);
+app.use('/admin', adminRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -49,9 +115,12 @@ app.use(errorHandler);
 // Initialize database and start server
 async function startServer() {
   try {
-    // Initialize database
-    await initializeDatabase();
-    console.log('Database initialized successfully');
+    // Initialize storage (DB_CLIENT)
+    await initialize();
+    console.log(`Storage initialized (${DB_CLIENT})`);
+
+    // Schedule background refreshes (REFRESH_CRON)
+    startScheduler();
 
     // Start server
     app.listen(PORT, () => {
@@ -77,7 +146,9 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// Start the server
-startServer();
+// Start the server when run directly; tests load the app without listening
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,91 @@
+const { AppError } = require('./errorHandler');
+const { authenticateApiKey, hasRole } = require('../services/apiKeyService');
+const { checkFailedAuthentications, recordFailedAuthentication } = require('./rateLimit');
+
+/**
+ * Reject a request as unauthenticated
+ * @param {Object} res - Express response
+ * @param {string} message - Error message
+ * @returns {AppError} - 401 error to pass on
+ */
+function unauthorized(res, message) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return new AppError(message, 401);
+}
+
+/**
+ * Get the API key sent with a request, as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null} - Plain key, or null if none was sent
+ */
+function getRequestKey(req) {
+  const authorization = req.get('Authorization');
+
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : '';
+  }
+
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Identify the client from its API key.
+ * Requests without a key continue anonymously; an unknown or revoked key is rejected
+ * and counted against the IP, which is cut off once RATE_LIMIT_AUTH is spent.
+ */
+async function authenticate(req, res, next) {
+  try {
+    const key = getRequestKey(req);
+    req.apiClient = null;
+
+    if (key !== null) {
+      const blocked = await checkFailedAuthentications(req, res);
+      if (blocked) {
+        throw blocked;
+      }
+
+      const client = key ? await authenticateApiKey(key) : null;
+
+      if (!client) {
+        await recordFailedAuthentication(req, res);
+        throw unauthorized(res, 'Invalid API key');
+      }
+
+      req.apiClient = client;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only let clients with at least the given role through. Anonymous clients may
+ * read and play unless AUTH_REQUIRED=true; admin actions always need a key.
+ * @param {string} role - Role the route needs
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.apiClient) {
+      if (role !== 'admin' && process.env.AUTH_REQUIRED !== 'true') {
+        return next();
+      }
+
+      return next(unauthorized(res, 'Authentication required'));
+    }
+
+    if (!hasRole(req.apiClient.role, role)) {
+      return next(new AppError('Insufficient permissions', 403, { required_role: role }));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRole
+};
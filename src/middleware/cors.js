@@ -0,0 +1,37 @@
+// Origins allowed to call the API from a browser: "*" for any, or a comma-separated list
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+/**
+ * Set the CORS headers for the origins in CORS_ORIGINS and answer preflight requests
+ */
+function cors(req, res, next) {
+  const origin = req.get('Origin');
+
+  if (CORS_ORIGINS.includes('*')) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else {
+    // The response depends on the Origin header, so caches must keep one copy per origin
+    res.vary('Origin');
+
+    if (origin && CORS_ORIGINS.includes(origin)) {
+      res.header('Access-Control-Allow-Origin', origin);
+    }
+  }
+
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers',
+    'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Player-Token');
+  res.header('Access-Control-Expose-Headers',
+    'Link, X-Total-Count, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After, '
+    + 'ETag, X-Flag-Placeholder');
+
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+
+  next();
+}
+
+module.exports = {
+  cors
+};
@@ -11,7 +11,11 @@ function errorHandler(err, req, res, next) {
   };
 
   // Handle specific error types
-  if (err.statusCode) {
+  if (err instanceof UpstreamError) {
+    statusCode = err.statusCode;
+    errorResponse.error = 'External data source unavailable';
+    errorResponse.details = err.message;
+  } else if (err.statusCode) {
     statusCode = err.statusCode;
     errorResponse.error = err.message;
 
@@ -22,10 +26,6 @@ function errorHandler(err, req, res, next) {
     statusCode = 400;
     errorResponse.error = 'Validation failed';
     errorResponse.details = err.details || {};
-  } else if (err.message && err.message.includes('Could not fetch data from')) {
-    statusCode = 503;
-    errorResponse.error = 'External data source unavailable';
-    errorResponse.details = err.message;
   }
 
   res.status(statusCode).json(errorResponse);
@@ -52,8 +52,19 @@ class AppError extends Error {
   }
 }
 
+/**
+ * Error for an external data source that could not be reached
+ */
+class UpstreamError extends AppError {
+  constructor(message, source) {
+    super(message, 503);
+    this.source = source;
+  }
+}
+
 module.exports = {
   errorHandler,
   notFoundHandler,
-  AppError
+  AppError,
+  UpstreamError
 };
@@ -0,0 +1,31 @@
+const { AppError } = require('./errorHandler');
+const { getPlayerByToken } = require('../services/playerService');
+
+/**
+ * Identify the player from the X-Player-Token header.
+ * Requests without the header continue anonymously; an unknown token is rejected.
+ */
+async function identifyPlayer(req, res, next) {
+  try {
+    const token = req.get('X-Player-Token');
+    req.player = null;
+
+    if (token) {
+      const player = await getPlayerByToken(token);
+
+      if (!player) {
+        throw new AppError('Invalid player token', 401);
+      }
+
+      req.player = player;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  identifyPlayer
+};
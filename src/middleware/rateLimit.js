@@ -0,0 +1,128 @@
+const { AppError } = require('./errorHandler');
+const { consume, peek } = require('../services/rateLimiter');
+
+/**
+ * Identify the client a request is counted against: its API key if it sent
+ * one, otherwise its IP address
+ * @param {Object} req - Express request
+ * @returns {string} - Client identity
+ */
+function getClientIdentity(req) {
+  if (req.apiClient) {
+    return `key:${req.apiClient.id === null ? 'bootstrap' : req.apiClient.id}`;
+  }
+
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Set the RateLimit-* headers, unless a budget checked earlier for the same
+ * request has fewer requests left
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} outcome - Result of consume()
+ * @returns {void}
+ */
+function setRateLimitHeaders(req, res, outcome) {
+  if (req.rateLimit && req.rateLimit.remaining < outcome.remaining) {
+    return;
+  }
+
+  req.rateLimit = outcome;
+  res.set({
+    'RateLimit-Limit': String(outcome.limit),
+    'RateLimit-Remaining': String(outcome.remaining),
+    'RateLimit-Reset': String(outcome.reset_seconds),
+    'RateLimit-Policy': `${outcome.limit};w=${outcome.window_seconds}`
+  });
+}
+
+/**
+ * Reject a request whose budget is spent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} outcome - Result of consume() or peek()
+ * @returns {AppError} - 429 error to pass on
+ */
+function tooManyRequests(req, res, outcome) {
+  setRateLimitHeaders(req, res, outcome);
+  res.set('Retry-After', String(outcome.reset_seconds));
+  return new AppError('Too many requests', 429, {
+    limit: outcome.limit,
+    window_seconds: outcome.window_seconds,
+    retry_after: outcome.reset_seconds
+  });
+}
+
+/**
+ * Limit how often each client may call the routes of a group (RATE_LIMIT_<GROUP>).
+ * If the counter store fails the request is let through rather than rejected.
+ * @param {string} group - Route group
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(group) {
+  return async (req, res, next) => {
+    let outcome;
+
+    try {
+      outcome = await consume(group, getClientIdentity(req));
+    } catch (error) {
+      console.warn(`Rate limit check for ${group} failed (${error.message}), allowing request`);
+      return next();
+    }
+
+    if (!outcome) {
+      return next();
+    }
+
+    if (!outcome.allowed) {
+      return next(tooManyRequests(req, res, outcome));
+    }
+
+    setRateLimitHeaders(req, res, outcome);
+    next();
+  };
+}
+
+/**
+ * Check whether the IP of a request has used up its budget of failed API key
+ * checks (RATE_LIMIT_AUTH), so keys it sends are turned away before they cost a lookup
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<AppError|null>} - 429 error to pass on, or null if the key may be checked
+ */
+async function checkFailedAuthentications(req, res) {
+  let outcome;
+
+  try {
+    outcome = await peek('auth', `ip:${req.ip}`);
+  } catch (error) {
+    console.warn(`Rate limit check for auth failed (${error.message}), allowing request`);
+    return null;
+  }
+
+  return outcome && !outcome.allowed ? tooManyRequests(req, res, outcome) : null;
+}
+
+/**
+ * Count a failed API key check against the IP of the request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+async function recordFailedAuthentication(req, res) {
+  try {
+    const outcome = await consume('auth', `ip:${req.ip}`);
+    if (outcome) {
+      setRateLimitHeaders(req, res, outcome);
+    }
+  } catch (error) {
+    console.warn(`Rate limit count for auth failed (${error.message})`);
+  }
+}
+
+module.exports = {
+  rateLimit,
+  checkFailedAuthentications,
+  recordFailedAuthentication
+};
@@ -1,63 +1,915 @@
 const { AppError } = require('./errorHandler');
+const { QUESTION_TYPES, DIFFICULTY_LEVELS, DAILY_QUESTION_COUNT } = require('../services/triviaGenerator');
+const { GDP_STRATEGIES } = require('../services/gdpEstimator');
+const { COUNTRY_FIELDS, COUNTRY_SORT_FIELDS, EDITABLE_COUNTRY_FIELDS } = require('../services/countryService');
+const { API_KEY_ROLES } = require('../services/apiKeyService');
+const {
+  IMAGE_METRICS,
+  IMAGE_CHART_TYPES,
+  IMAGE_THEMES,
+  IMAGE_FORMATS,
+  PIE_METRICS,
+  MIN_IMAGE_SIZE,
+  MAX_IMAGE_SIZE,
+  MAX_IMAGE_LIMIT,
+  DEFAULT_IMAGE_OPTIONS
+} = require('../services/imageGenerator');
+const { FLAG_OUTPUT_FORMATS, MIN_FLAG_WIDTH, MAX_FLAG_WIDTH } = require('../services/flagCache');
+const { MIN_COMPARE_COUNTRIES, MAX_COMPARE_COUNTRIES } = require('../services/countryComparison');
+
+// Single-key sort values from before multi-key sorting, still accepted
+const LEGACY_COUNTRY_SORTS = {
+  gdp_desc: '-gdp',
+  gdp_asc: 'gdp',
+  population_desc: '-population',
+  population_asc: 'population',
+  name_asc: 'name',
+  name_desc: '-name'
+};
+const MAX_SEARCH_LENGTH = 100;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 250;
+
+/**
+ * Check that a value is a list of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Normalize a list of languages, accepting plain names as a shorthand for { name }
+ * @param {*} value - Value to normalize
+ * @returns {Array<Object>|null} - Languages as { code, name, native_name }, or null if invalid
+ */
+function normalizeLanguages(value) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+
+  const languages = value.map(language => {
+    const name = typeof language === 'string' ? language : language && language.name;
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      return null;
+    }
+
+    return {
+      code: (typeof language === 'object' && language.code) || null,
+      name: name.trim(),
+      native_name: (typeof language === 'object' && language.native_name) || null
+    };
+  });
+
+  return languages.includes(null) ? null : languages;
+}
+
+/**
+ * Validate one editable country field
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {Object} - { value } with the cleaned value, or { error } with a message
+ */
+function validateCountryField(field, value) {
+  switch (field) {
+    case 'population':
+      return typeof value === 'number' && Number.isInteger(value) && value >= 0
+        ? { value }
+        : { error: 'must be a non-negative integer' };
+    case 'area':
+      return value === null || (typeof value === 'number' && value >= 0)
+        ? { value }
+        : { error: 'must be a non-negative number or null' };
+    case 'alpha2_code':
+    case 'alpha3_code':
+    case 'currency_code': {
+      const length = field === 'alpha2_code' ? 2 : 3;
+      if (value === null) {
+        return { value };
+      }
+      const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+      return new RegExp(`^[A-Z]{${length}}$`).test(code)
+        ? { value: code }
+        : { error: `must be a ${length}-letter code or null` };
+    }
+    case 'capitals':
+    case 'timezones':
+    case 'calling_codes':
+      return isStringList(value) ? { value: value.map(item => item.trim()) } : { error: 'must be a list of strings' };
+    case 'borders':
+      return Array.isArray(value) && value.every(code => typeof code === 'string' && /^[A-Za-z]{3}$/.test(code))
+        ? { value: value.map(code => code.toUpperCase()) }
+        : { error: 'must be a list of 3-letter country codes' };
+    case 'languages': {
+      const languages = normalizeLanguages(value);
+      return languages ? { value: languages } : { error: 'must be a list of language names or { code, name, native_name } objects' };
+    }
+    case 'flag_url':
+      return value === null || (typeof value === 'string' && /^https?:\/\/\S+$/.test(value.trim()))
+        ? { value: value === null ? null : value.trim() }
+        : { error: 'must be an http(s) URL or null' };
+    default:
+      // capital, region and subregion
+      return value === null || (typeof value === 'string' && value.trim() !== '')
+        ? { value: value === null ? null : value.trim() }
+        : { error: 'must be a non-empty string or null' };
+  }
+}
 
 /**
- * Validate country data
+ * Validate country data for POST /countries and PUT or PATCH /countries/:name.
+ * Read-only fields of a country response (exchange_rate, estimated_gdp, ...) are
+ * ignored, so a fetched country can be sent back with changes.
  * @param {Object} countryData - Country data to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial] - Only validate the given fields (PATCH); otherwise
+ *   name, population and currency_code are required
+ * @returns {Object} - Validated name (if given) and editable fields
  * @throws {AppError} - Validation error
  */
-function validateCountryData(countryData) {
+function validateCountryData(countryData, { partial = false } = {}) {
   const errors = {};
+  const validated = {};
 
-  if (!countryData.name || countryData.name.trim() === '') {
-    errors.name = 'is required';
+  if (!countryData || typeof countryData !== 'object' || Array.isArray(countryData)) {
+    throw new AppError('Validation failed', 400, { body: 'must be a JSON object' });
   }
 
-  if (countryData.population === undefined || countryData.population === null) {
-    errors.population = 'is required';
-  } else if (typeof countryData.population !== 'number' || countryData.population < 0) {
-    errors.population = 'must be a non-negative number';
+  if (countryData.name !== undefined) {
+    if (typeof countryData.name !== 'string' || countryData.name.trim() === '') {
+      errors.name = 'must be a non-empty string';
+    } else if (countryData.name.trim().length > 255) {
+      errors.name = 'must be at most 255 characters';
+    } else {
+      validated.name = countryData.name.trim();
+    }
+  } else if (!partial) {
+    errors.name = 'is required';
   }
 
-  if (!countryData.currency_code && countryData.currency_code !== null) {
-    // If currency_code is undefined (not provided), it's an error
-    // If it's null (no currencies), it's acceptable
+  if (!partial) {
+    if (countryData.population === undefined || countryData.population === null) {
+      errors.population = 'is required';
+    }
+
+    // A null currency_code (no currencies) is acceptable, a missing one is not
     if (countryData.currency_code === undefined) {
       errors.currency_code = 'is required';
     }
   }
 
+  for (const [field, value] of Object.entries(countryData)) {
+    if (field === 'name' || errors[field]) {
+      continue;
+    }
+
+    if (!EDITABLE_COUNTRY_FIELDS.includes(field)) {
+      if (!COUNTRY_FIELDS.includes(field)) {
+        errors[field] = 'is not a country field';
+      }
+      continue;
+    }
+
+    const result = validateCountryField(field, value);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      validated[field] = result.value;
+    }
+  }
+
+  if (partial && Object.keys(validated).length === 0 && Object.keys(errors).length === 0) {
+    errors.body = `must set at least one of: ${EDITABLE_COUNTRY_FIELDS.join(', ')}`;
+  }
+
   if (Object.keys(errors).length > 0) {
     throw new AppError('Validation failed', 400, errors);
   }
+
+  return validated;
+}
+
+/**
+ * Split a comma-separated query parameter, which may also be repeated
+ * @param {string|Array<string>} value - Query parameter value
+ * @returns {Array<string>} - Trimmed, non-empty values
+ */
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a sort parameter such as "region,-population" into sort keys
+ * @param {string} value - Sort parameter
+ * @returns {Array<Object>|null} - Sort keys as { field, direction }, or null if invalid
+ */
+function parseCountrySort(value) {
+  const legacy = LEGACY_COUNTRY_SORTS[value.trim().toLowerCase()];
+  const keys = splitList(legacy || value).map(item => {
+    const descending = item.startsWith('-');
+    return { field: (descending ? item.slice(1) : item).toLowerCase(), direction: descending ? 'desc' : 'asc' };
+  });
+
+  const fields = keys.map(key => key.field);
+  const valid = keys.length > 0
+    && fields.every(field => COUNTRY_SORT_FIELDS.includes(field))
+    && new Set(fields).size === fields.length;
+
+  return valid ? keys : null;
 }
 
 /**
  * Validate query parameters for GET /countries
  * @param {Object} query - Query parameters
- * @returns {Object} - Validated and sanitized query parameters
+ * @returns {Object} - Validated page (default 1), limit (default 50), sort keys, fields and filters
+ * @throws {AppError} - Validation error
  */
 function validateQueryParams(query) {
-  const validatedParams = {};
+  const errors = {};
+  const filters = {};
+  const validatedParams = { page: 1, limit: DEFAULT_PAGE_SIZE, filters };
 
   if (query.region) {
-    validatedParams.region = query.region.trim();
+    const regions = splitList(query.region);
+    if (regions.length > 0) {
+      filters.regions = regions;
+    }
   }
 
   if (query.currency) {
-    validatedParams.currency = query.currency.trim().toUpperCase();
+    const currencies = splitList(query.currency).map(code => code.toUpperCase());
+    if (currencies.some(code => !/^[A-Z]{3}$/.test(code))) {
+      errors.currency = 'must be one or more comma-separated 3-letter currency codes';
+    } else if (currencies.length > 0) {
+      filters.currencies = currencies;
+    }
+  }
+
+  if (query.has_currency !== undefined) {
+    const hasCurrency = String(query.has_currency).trim().toLowerCase();
+    if (hasCurrency === 'true' || hasCurrency === 'false') {
+      filters.has_currency = hasCurrency === 'true';
+    } else {
+      errors.has_currency = 'must be true or false';
+    }
+  }
+
+  for (const key of ['population_min', 'population_max', 'gdp_min', 'gdp_max']) {
+    if (query[key] !== undefined) {
+      const value = String(query[key]).trim() === '' ? NaN : Number(query[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        errors[key] = 'must be a non-negative number';
+      } else {
+        filters[key] = value;
+      }
+    }
+  }
+
+  for (const key of ['population', 'gdp']) {
+    if (filters[`${key}_min`] > filters[`${key}_max`]) {
+      errors[`${key}_min`] = `must not be greater than ${key}_max`;
+    }
+  }
+
+  if (query.q !== undefined) {
+    const q = String(query.q).trim();
+    if (q.length > MAX_SEARCH_LENGTH) {
+      errors.q = `must be at most ${MAX_SEARCH_LENGTH} characters`;
+    } else if (q !== '') {
+      filters.q = q;
+    }
   }
 
   if (query.sort) {
-    const validSorts = ['gdp_desc', 'gdp_asc', 'population_desc', 'population_asc', 'name_asc', 'name_desc'];
-    if (validSorts.includes(query.sort)) {
-      validatedParams.sort = query.sort;
+    const sort = parseCountrySort(String(query.sort));
+    if (sort) {
+      validatedParams.sort = sort;
+    } else {
+      errors.sort = `must be a comma-separated list of distinct fields (${COUNTRY_SORT_FIELDS.join(', ')}), `
+        + `each prefixed with "-" for descending order, e.g. "region,-population"`;
+    }
+  }
+
+  if (query.page) {
+    const page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errors.page = 'must be a positive integer';
+    } else {
+      validatedParams.page = page;
     }
   }
 
+  if (query.limit) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.limit = `must be an integer between 1 and ${MAX_PAGE_SIZE}`;
+    } else {
+      validatedParams.limit = limit;
+    }
+  }
+
+  if (query.fields !== undefined) {
+    const fields = splitList(query.fields).map(field => field.toLowerCase());
+    const unknown = fields.filter(field => !COUNTRY_FIELDS.includes(field));
+
+    if (fields.length === 0) {
+      errors.fields = 'must list at least one field';
+    } else if (unknown.length > 0) {
+      errors.fields = `unknown field(s) ${unknown.join(', ')}; must be any of: ${COUNTRY_FIELDS.join(', ')}`;
+    } else {
+      validatedParams.fields = [...new Set(fields)];
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
   return validatedParams;
 }
 
+/**
+ * Validate GDP estimation options for POST /countries/refresh
+ * @param {Object} params - Query parameters and body merged
+ * @returns {Object} - Validated GDP estimator options
+ * @throws {AppError} - Validation error
+ */
+function validateRefreshParams(params = {}) {
+  const errors = {};
+  const validatedParams = {};
+
+  if (params.gdp_strategy !== undefined) {
+    const strategy = String(params.gdp_strategy).trim().toLowerCase();
+    if (GDP_STRATEGIES.includes(strategy)) {
+      validatedParams.strategy = strategy;
+    } else {
+      errors.gdp_strategy = `must be one of: ${GDP_STRATEGIES.join(', ')}`;
+    }
+  }
+
+  if (params.gdp_seed !== undefined) {
+    const seed = String(params.gdp_seed).trim();
+    if (seed === '' || seed.length > 64) {
+      errors.gdp_seed = 'must be 1-64 characters';
+    } else {
+      validatedParams.seed = seed;
+    }
+  }
+
+  if (params.gdp_reseed !== undefined) {
+    const reseed = String(params.gdp_reseed).trim().toLowerCase();
+    if (!['true', 'false'].includes(reseed)) {
+      errors.gdp_reseed = 'must be true or false';
+    } else if (reseed === 'true' && params.gdp_seed !== undefined) {
+      errors.gdp_reseed = 'cannot be combined with gdp_seed';
+    } else {
+      validatedParams.reseed = reseed === 'true';
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return validatedParams;
+}
+
+/**
+ * Validate query parameters for the history endpoints
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Validated limit (default 20)
+ * @throws {AppError} - Validation error
+ */
+function validateHistoryParams(query) {
+  if (!query.limit) {
+    return { limit: 20 };
+  }
+
+  const limit = Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new AppError('Validation failed', 400, { limit: 'must be an integer between 1 and 100' });
+  }
+
+  return { limit };
+}
+
+/**
+ * Validate query parameters for GET /countries/image
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Image options, with defaults for the ones not given
+ * @throws {AppError} - Validation error
+ */
+function validateImageParams(query) {
+  const errors = {};
+  const validatedParams = { ...DEFAULT_IMAGE_OPTIONS };
+
+  const choices = {
+    metric: IMAGE_METRICS,
+    chart: IMAGE_CHART_TYPES,
+    theme: IMAGE_THEMES,
+    format: IMAGE_FORMATS
+  };
+
+  for (const [param, allowed] of Object.entries(choices)) {
+    if (query[param]) {
+      const value = String(query[param]).trim().toLowerCase();
+      if (allowed.includes(value)) {
+        validatedParams[param] = value;
+      } else {
+        errors[param] = `must be one of: ${allowed.join(', ')}`;
+      }
+    }
+  }
+
+  if (validatedParams.chart === 'pie' && !errors.metric && !PIE_METRICS.includes(validatedParams.metric)) {
+    errors.metric = `must be one of: ${PIE_METRICS.join(', ')} for pie charts`;
+  }
+
+  if (query.limit) {
+    // A pie needs room for at least one slice besides "Other"
+    const min = validatedParams.chart === 'pie' ? 2 : 1;
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < min || limit > MAX_IMAGE_LIMIT) {
+      errors.limit = `must be an integer between ${min} and ${MAX_IMAGE_LIMIT}`;
+    } else {
+      validatedParams.limit = limit;
+    }
+  }
+
+  if (query.region) {
+    validatedParams.region = String(query.region).trim();
+  }
+
+  for (const param of ['width', 'height']) {
+    if (query[param]) {
+      const size = Number(query[param]);
+      if (!Number.isInteger(size) || size < MIN_IMAGE_SIZE || size > MAX_IMAGE_SIZE) {
+        errors[param] = `must be an integer between ${MIN_IMAGE_SIZE} and ${MAX_IMAGE_SIZE}`;
+      } else {
+        validatedParams[param] = size;
+      }
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return validatedParams;
+}
+
+/**
+ * Validate query parameters for GET /flags/:code
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Width (w) and format, null when not given
+ * @throws {AppError} - Validation error
+ */
+function validateFlagParams(query) {
+  const errors = {};
+  const validatedParams = { width: null, format: null };
+
+  if (query.w) {
+    const width = Number(query.w);
+    if (!Number.isInteger(width) || width < MIN_FLAG_WIDTH || width > MAX_FLAG_WIDTH) {
+      errors.w = `must be an integer between ${MIN_FLAG_WIDTH} and ${MAX_FLAG_WIDTH}`;
+    } else {
+      validatedParams.width = width;
+    }
+  }
+
+  if (query.format) {
+    const format = String(query.format).trim().toLowerCase();
+    if (FLAG_OUTPUT_FORMATS.includes(format)) {
+      validatedParams.format = format;
+    } else {
+      errors.format = `must be one of: ${FLAG_OUTPUT_FORMATS.join(', ')}`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return validatedParams;
+}
+
+/**
+ * Validate query parameters for GET /compare
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Country names, codes or aliases to compare, in the order given
+ * @throws {AppError} - Validation error
+ */
+function validateCompareParams(query) {
+  const countries = query.countries ? splitList(query.countries) : [];
+
+  if (countries.length < MIN_COMPARE_COUNTRIES || countries.length > MAX_COMPARE_COUNTRIES) {
+    throw new AppError('Validation failed', 400, {
+      countries: `must list ${MIN_COMPARE_COUNTRIES} to ${MAX_COMPARE_COUNTRIES} countries, separated by commas`
+    });
+  }
+
+  return { countries };
+}
+
+/**
+ * Validate query parameters for GET /trivia/question
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Validated and sanitized query parameters
+ * @throws {AppError} - Validation error
+ */
+function validateTriviaParams(query) {
+  const errors = {};
+  const validatedParams = {};
+
+  if (query.type) {
+    const type = String(query.type).trim().toLowerCase();
+    if (QUESTION_TYPES.includes(type)) {
+      validatedParams.type = type;
+    } else {
+      errors.type = `must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+  }
+
+  if (query.region) {
+    validatedParams.region = String(query.region).trim();
+  }
+
+  if (query.difficulty) {
+    const difficulty = String(query.difficulty).trim().toLowerCase();
+    if (DIFFICULTY_LEVELS.includes(difficulty)) {
+      validatedParams.difficulty = difficulty;
+    } else {
+      errors.difficulty = `must be one of: ${DIFFICULTY_LEVELS.join(', ')}`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return validatedParams;
+}
+
+/**
+ * Get today's date in UTC
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+function getUTCDateString() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} date - Date string
+ * @returns {boolean} - True if valid
+ */
+function isValidDateString(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Validate query parameters for GET /trivia/daily
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Validated date (defaults to today in UTC)
+ * @throws {AppError} - Validation error
+ */
+function validateDailyParams(query) {
+  const today = getUTCDateString();
+
+  if (!query.date) {
+    return { date: today };
+  }
+
+  const date = String(query.date).trim();
+
+  if (!isValidDateString(date)) {
+    throw new AppError('Validation failed', 400, { date: 'must be a valid date (YYYY-MM-DD)' });
+  }
+
+  // Future challenges would let players look ahead
+  if (date > today) {
+    throw new AppError('Validation failed', 400, { date: 'must not be in the future' });
+  }
+
+  return { date };
+}
+
+/**
+ * Validate query parameters for GET /currencies/:code/history
+ * @param {Object} params - Route and query parameters
+ * @returns {Object} - Validated currency code and date range
+ * @throws {AppError} - Validation error
+ */
+function validateCurrencyHistoryParams(params) {
+  const errors = {};
+  const validatedParams = {};
+
+  const code = String(params.code || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    errors.code = 'must be a 3-letter currency code';
+  } else {
+    validatedParams.code = code;
+  }
+
+  for (const key of ['from', 'to']) {
+    if (params[key]) {
+      const date = String(params[key]).trim();
+      if (isValidDateString(date)) {
+        validatedParams[key] = date;
+      } else {
+        errors[key] = 'must be a valid date (YYYY-MM-DD)';
+      }
+    }
+  }
+
+  if (validatedParams.from && validatedParams.to && validatedParams.from > validatedParams.to) {
+    errors.from = 'must not be after to';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return validatedParams;
+}
+
+/**
+ * Validate query parameters for GET /convert
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Validated currencies, amount and date
+ * @throws {AppError} - Validation error
+ */
+function validateConversionParams(query) {
+  const errors = {};
+  const validatedParams = {};
+
+  for (const key of ['from', 'to']) {
+    const code = String(query[key] || '').trim().toUpperCase();
+    if (code === '') {
+      errors[key] = 'is required';
+    } else if (!/^[A-Z]{3}$/.test(code)) {
+      errors[key] = 'must be a 3-letter currency code';
+    } else {
+      validatedParams[key] = code;
+    }
+  }
+
+  if (query.amount === undefined || query.amount === '') {
+    validatedParams.amount = 1;
+  } else {
+    const amount = Number(query.amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      errors.amount = 'must be a non-negative number';
+    } else {
+      validatedParams.amount = amount;
+    }
+  }
+
+  if (query.date) {
+    const date = String(query.date).trim();
+    if (isValidDateString(date)) {
+      validatedParams.date = date;
+    } else {
+      errors.date = 'must be a valid date (YYYY-MM-DD)';
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return validatedParams;
+}
+
+/**
+ * Validate request body for POST /quizzes
+ * @param {Object} body - Request body
+ * @returns {Object} - Validated quiz settings
+ * @throws {AppError} - Validation error
+ */
+function validateQuizParams(body = {}) {
+  const errors = {};
+  const validatedParams = { count: 10 };
+
+  // The daily challenge has a fixed question set, so it takes no other settings
+  if (body.daily !== undefined) {
+    if (typeof body.daily !== 'boolean') {
+      throw new AppError('Validation failed', 400, { daily: 'must be a boolean' });
+    }
+
+    if (body.daily) {
+      const otherSettings = ['count', 'type', 'region', 'difficulty'].filter(key => body[key] !== undefined);
+      if (otherSettings.length > 0) {
+        throw new AppError('Validation failed', 400, {
+          daily: `cannot be combined with ${otherSettings.join(', ')}`
+        });
+      }
+
+      return { daily: getUTCDateString(), count: DAILY_QUESTION_COUNT };
+    }
+  }
+
+  if (body.count !== undefined) {
+    const count = Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      errors.count = 'must be an integer between 1 and 50';
+    } else {
+      validatedParams.count = count;
+    }
+  }
+
+  if (body.type !== undefined) {
+    const type = typeof body.type === 'string' ? body.type.trim().toLowerCase() : null;
+    if (QUESTION_TYPES.includes(type)) {
+      validatedParams.type = type;
+    } else {
+      errors.type = `must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+  }
+
+  if (body.region !== undefined) {
+    if (typeof body.region !== 'string' || body.region.trim() === '') {
+      errors.region = 'must be a non-empty string';
+    } else {
+      validatedParams.region = body.region.trim();
+    }
+  }
+
+  if (body.difficulty !== undefined) {
+    const difficulty = typeof body.difficulty === 'string' ? body.difficulty.trim().toLowerCase() : null;
+    if (DIFFICULTY_LEVELS.includes(difficulty)) {
+      validatedParams.difficulty = difficulty;
+    } else {
+      errors.difficulty = `must be one of: ${DIFFICULTY_LEVELS.join(', ')}`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return validatedParams;
+}
+
+/**
+ * Validate request body for POST /quizzes/:id/answers
+ * @param {Object} body - Request body
+ * @returns {Object} - Validated answer data
+ * @throws {AppError} - Validation error
+ */
+function validateAnswerData(body = {}) {
+  const errors = {};
+  const position = Number(body.question);
+
+  if (body.question === undefined || body.question === null) {
+    errors.question = 'is required';
+  } else if (!Number.isInteger(position) || position < 1) {
+    errors.question = 'must be a positive integer';
+  }
+
+  if (typeof body.answer !== 'string' || body.answer.trim() === '') {
+    errors.answer = 'is required';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return {
+    question: position,
+    answer: body.answer.trim()
+  };
+}
+
+/**
+ * Validate request body for POST /players
+ * @param {Object} body - Request body
+ * @returns {Object} - Validated player data
+ * @throws {AppError} - Validation error
+ */
+function validatePlayerData(body = {}) {
+  const nickname = typeof body.nickname === 'string' ? body.nickname.trim() : '';
+
+  if (nickname === '') {
+    throw new AppError('Validation failed', 400, { nickname: 'is required' });
+  }
+
+  if (!/^[A-Za-z0-9_-]{3,30}$/.test(nickname)) {
+    throw new AppError('Validation failed', 400, {
+      nickname: 'must be 3-30 characters of letters, numbers, "_" or "-"'
+    });
+  }
+
+  return { nickname };
+}
+
+/**
+ * Validate query parameters for GET /leaderboards
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Validated and sanitized query parameters
+ * @throws {AppError} - Validation error
+ */
+function validateLeaderboardParams(query) {
+  const errors = {};
+  const validatedParams = { period: 'all', limit: 10 };
+
+  if (query.period) {
+    const validPeriods = ['all', 'week'];
+    const period = String(query.period).trim().toLowerCase();
+    if (validPeriods.includes(period)) {
+      validatedParams.period = period;
+    } else {
+      errors.period = `must be one of: ${validPeriods.join(', ')}`;
+    }
+  }
+
+  if (query.region) {
+    validatedParams.region = String(query.region).trim();
+  }
+
+  if (query.limit) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      errors.limit = 'must be an integer between 1 and 100';
+    } else {
+      validatedParams.limit = limit;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return validatedParams;
+}
+
+/**
+ * Validate request body for POST /admin/api-keys
+ * @param {Object} body - Request body
+ * @returns {Object} - Validated API key data
+ * @throws {AppError} - Validation error
+ */
+function validateApiKeyData(body = {}) {
+  const errors = {};
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const role = typeof body.role === 'string' ? body.role.trim().toLowerCase() : '';
+
+  if (name === '') {
+    errors.name = 'is required';
+  } else if (name.length > 100) {
+    errors.name = 'must be at most 100 characters';
+  }
+
+  if (!API_KEY_ROLES.includes(role)) {
+    errors.role = `must be one of: ${API_KEY_ROLES.join(', ')}`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+
+  return { name, role };
+}
+
+/**
+ * Validate an API key id route parameter
+ * @param {string} value - Route parameter
+ * @returns {number} - API key id
+ * @throws {AppError} - Validation error
+ */
+function validateApiKeyId(value) {
+  const id = Number(value);
+
+  if (!Number.isInteger(id) || id < 1) {
+    throw new AppError('Validation failed', 400, { id: 'must be a positive integer' });
+  }
+
+  return id;
+}
+
 module.exports = {
   validateCountryData,
-  validateQueryParams
+  validateQueryParams,
+  validateRefreshParams,
+  validateHistoryParams,
+  validateImageParams,
+  validateFlagParams,
+  validateCompareParams,
+  validateTriviaParams,
+  validateDailyParams,
+  validateCurrencyHistoryParams,
+  validateConversionParams,
+  validateQuizParams,
+  validateAnswerData,
+  validatePlayerData,
+  validateLeaderboardParams,
+  validateApiKeyData,
+  validateApiKeyId
 };
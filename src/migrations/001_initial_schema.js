@@ -0,0 +1,43 @@
+/**
+ * Countries cache and refresh metadata, as created before migrations existed
+ */
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS countries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        capital VARCHAR(255),
+        region VARCHAR(100),
+        population BIGINT NOT NULL,
+        currency_code VARCHAR(10),
+        exchange_rate DECIMAL(20, 6),
+        estimated_gdp DECIMAL(30, 2),
+        flag_url TEXT,
+        last_refreshed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_name (name),
+        INDEX idx_region (region),
+        INDEX idx_currency_code (currency_code)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_metadata (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        last_refreshed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        total_countries INT DEFAULT 0
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    const [rows] = await connection.query('SELECT COUNT(*) as count FROM refresh_metadata');
+    if (rows[0].count === 0) {
+      await connection.query('INSERT INTO refresh_metadata (total_countries) VALUES (0)');
+    }
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS refresh_metadata');
+    await connection.query('DROP TABLE IF EXISTS countries');
+  }
+};
@@ -0,0 +1,58 @@
+const { addColumns, dropColumns, addIndexes, dropIndexes } = require('../config/migrator');
+
+const COUNTRY_COLUMNS = [
+  ['capitals', 'JSON AFTER capital'],
+  ['subregion', 'VARCHAR(100) AFTER region'],
+  ['area', 'DOUBLE AFTER population'],
+  ['alpha2_code', 'CHAR(2) AFTER area'],
+  ['alpha3_code', 'CHAR(3) AFTER alpha2_code'],
+  ['languages', 'JSON AFTER estimated_gdp'],
+  ['borders', 'JSON AFTER languages'],
+  ['timezones', 'JSON AFTER borders'],
+  ['calling_codes', 'JSON AFTER timezones'],
+  ['difficulty_score', 'DECIMAL(5, 2) AFTER flag_url'],
+  ['answer_attempts', 'INT NOT NULL DEFAULT 0 AFTER difficulty_score'],
+  ['correct_answers', 'INT NOT NULL DEFAULT 0 AFTER answer_attempts']
+];
+
+const COUNTRY_INDEXES = [
+  ['idx_alpha2_code', 'alpha2_code'],
+  ['idx_alpha3_code', 'alpha3_code']
+];
+
+/**
+ * Rich country attributes, difficulty tracking and every currency of a country
+ */
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'countries', COUNTRY_COLUMNS);
+    await addIndexes(connection, 'countries', COUNTRY_INDEXES);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS currencies (
+        code VARCHAR(10) PRIMARY KEY,
+        name VARCHAR(255),
+        symbol VARCHAR(20)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS country_currencies (
+        country_id INT NOT NULL,
+        currency_code VARCHAR(10) NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (country_id, currency_code),
+        INDEX idx_currency_code (currency_code),
+        FOREIGN KEY (country_id) REFERENCES countries(id) ON DELETE CASCADE,
+        FOREIGN KEY (currency_code) REFERENCES currencies(code) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS country_currencies');
+    await connection.query('DROP TABLE IF EXISTS currencies');
+    await dropIndexes(connection, 'countries', COUNTRY_INDEXES.map(([name]) => name));
+    await dropColumns(connection, 'countries', COUNTRY_COLUMNS.map(([name]) => name));
+  }
+};
@@ -0,0 +1,91 @@
+const { addColumns, dropColumns } = require('../config/migrator');
+
+const METADATA_COLUMNS = [
+  ['gdp_strategy', 'VARCHAR(20)'],
+  ['gdp_seed', 'VARCHAR(64)'],
+  ['data_source', 'VARCHAR(20)'],
+  ['countries_provider', 'VARCHAR(50)'],
+  ['exchange_rates_provider', 'VARCHAR(50)'],
+  ['exchange_rates_stale', 'BOOLEAN NOT NULL DEFAULT FALSE'],
+  ['exchange_rates_as_of', 'DATE']
+];
+
+/**
+ * Refresh runs and their country changes, the exchange rate time series,
+ * background jobs and the sources recorded in the refresh metadata
+ */
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'refresh_metadata', METADATA_COLUMNS);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP NULL DEFAULT NULL,
+        countries_url TEXT,
+        exchange_rates_url TEXT,
+        gdp_strategy VARCHAR(20),
+        gdp_seed VARCHAR(64),
+        inserted_count INT NOT NULL DEFAULT 0,
+        updated_count INT NOT NULL DEFAULT 0,
+        unchanged_count INT NOT NULL DEFAULT 0,
+        failed_count INT NOT NULL DEFAULT 0,
+        errors JSON,
+        INDEX idx_started_at (started_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS country_changes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        refresh_run_id INT NOT NULL,
+        country_name VARCHAR(255) NOT NULL,
+        change_type VARCHAR(20) NOT NULL,
+        changes JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_country_created (country_name, created_at),
+        FOREIGN KEY (refresh_run_id) REFERENCES refresh_runs(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        currency_code VARCHAR(10) NOT NULL,
+        rate DECIMAL(20, 6) NOT NULL,
+        rate_date DATE NOT NULL,
+        refresh_run_id INT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_currency_date (currency_code, rate_date),
+        INDEX idx_rate_date (rate_date),
+        FOREIGN KEY (refresh_run_id) REFERENCES refresh_runs(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id CHAR(36) PRIMARY KEY,
+        type VARCHAR(30) NOT NULL,
+        triggered_by VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        params JSON,
+        result JSON,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP NULL DEFAULT NULL,
+        finished_at TIMESTAMP NULL DEFAULT NULL,
+        INDEX idx_type_created (type, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS jobs');
+    await connection.query('DROP TABLE IF EXISTS exchange_rates');
+    await connection.query('DROP TABLE IF EXISTS country_changes');
+    await connection.query('DROP TABLE IF EXISTS refresh_runs');
+    await dropColumns(connection, 'refresh_metadata', METADATA_COLUMNS.map(([name]) => name));
+  }
+};
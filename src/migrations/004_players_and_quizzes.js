@@ -0,0 +1,80 @@
+/**
+ * Players, quiz sessions and the results the leaderboards are built from
+ */
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS players (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        nickname VARCHAR(30) NOT NULL UNIQUE,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS quizzes (
+        id CHAR(36) PRIMARY KEY,
+        player_id INT,
+        region VARCHAR(100),
+        question_type VARCHAR(20),
+        difficulty VARCHAR(10),
+        total_questions INT NOT NULL,
+        answered_count INT NOT NULL DEFAULT 0,
+        score INT NOT NULL DEFAULT 0,
+        streak INT NOT NULL DEFAULT 0,
+        best_streak INT NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL DEFAULT NULL,
+        FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS quiz_questions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        quiz_id CHAR(36) NOT NULL,
+        position INT NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        question TEXT NOT NULL,
+        options JSON NOT NULL,
+        correct_answer VARCHAR(255) NOT NULL,
+        country_name VARCHAR(255),
+        difficulty VARCHAR(10),
+        player_answer VARCHAR(255),
+        is_correct BOOLEAN,
+        answered_at TIMESTAMP NULL DEFAULT NULL,
+        UNIQUE KEY uniq_quiz_position (quiz_id, position),
+        FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Covering indexes let the leaderboard aggregate by period and region without
+    // touching the table rows
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS quiz_results (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        quiz_id CHAR(36) NOT NULL UNIQUE,
+        player_id INT NOT NULL,
+        region VARCHAR(100),
+        score INT NOT NULL,
+        total_questions INT NOT NULL,
+        best_streak INT NOT NULL DEFAULT 0,
+        completed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_completed_player (completed_at, player_id, score, total_questions),
+        INDEX idx_region_completed_player (region, completed_at, player_id, score, total_questions),
+        INDEX idx_player_completed (player_id, completed_at),
+        FOREIGN KEY (quiz_id) REFERENCES quizzes(id) ON DELETE CASCADE,
+        FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS quiz_results');
+    await connection.query('DROP TABLE IF EXISTS quiz_questions');
+    await connection.query('DROP TABLE IF EXISTS quizzes');
+    await connection.query('DROP TABLE IF EXISTS players');
+  }
+};
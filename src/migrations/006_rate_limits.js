@@ -0,0 +1,19 @@
+/**
+ * Request counters shared by every instance when RATE_LIMIT_STORE=database
+ */
+module.exports = {
+  async up(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket_key VARCHAR(191) PRIMARY KEY,
+        hits INT NOT NULL,
+        reset_at TIMESTAMP(3) NOT NULL,
+        INDEX idx_reset_at (reset_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS rate_limits');
+  }
+};
@@ -0,0 +1,32 @@
+const { addColumns, dropColumns, addIndexes, dropIndexes } = require('../config/migrator');
+
+const COUNTRY_COLUMNS = [
+  ['overridden_fields', 'JSON AFTER difficulty_score'],
+  ['deleted_at', 'TIMESTAMP NULL DEFAULT NULL AFTER last_refreshed_at']
+];
+
+const COUNTRY_INDEXES = [
+  ['idx_deleted_at', 'deleted_at']
+];
+
+const REFRESH_RUN_COLUMNS = [
+  ['skipped_count', 'INT NOT NULL DEFAULT 0 AFTER unchanged_count']
+];
+
+/**
+ * Manually corrected fields that refreshes keep, soft-deleted countries that
+ * refreshes skip, and the number of countries each run skipped
+ */
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'countries', COUNTRY_COLUMNS);
+    await addIndexes(connection, 'countries', COUNTRY_INDEXES);
+    await addColumns(connection, 'refresh_runs', REFRESH_RUN_COLUMNS);
+  },
+
+  async down(connection) {
+    await dropColumns(connection, 'refresh_runs', REFRESH_RUN_COLUMNS.map(([name]) => name));
+    await dropIndexes(connection, 'countries', COUNTRY_INDEXES.map(([name]) => name));
+    await dropColumns(connection, 'countries', COUNTRY_COLUMNS.map(([name]) => name));
+  }
+};
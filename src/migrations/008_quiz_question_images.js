@@ -0,0 +1,18 @@
+const { addColumns, dropColumns } = require('../config/migrator');
+
+const QUIZ_QUESTION_COLUMNS = [
+  ['image_url', 'VARCHAR(255) NULL AFTER question']
+];
+
+/**
+ * Image shown with a quiz question, such as the flag of a flag question
+ */
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'quiz_questions', QUIZ_QUESTION_COLUMNS);
+  },
+
+  async down(connection) {
+    await dropColumns(connection, 'quiz_questions', QUIZ_QUESTION_COLUMNS.map(([name]) => name));
+  }
+};
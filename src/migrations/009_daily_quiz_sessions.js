@@ -0,0 +1,41 @@
+const { addColumns, dropColumns, addIndexes, dropIndexes } = require('../config/migrator');
+
+const QUIZ_COLUMNS = [
+  ['daily_date', 'DATE NULL AFTER difficulty']
+];
+
+const QUIZ_RESULT_COLUMNS = [
+  ['daily_date', 'DATE NULL AFTER region']
+];
+
+// NULL dates never collide, so only daily challenges are limited
+const DAILY_INDEXES = [
+  ['uniq_player_daily', 'player_id, daily_date']
+];
+
+// MySQL drops the index it created for the quizzes.player_id foreign key once
+// uniq_player_daily can serve the key instead, so rollbacks have to add one back
+const QUIZ_PLAYER_INDEXES = [
+  ['idx_player', 'player_id']
+];
+
+/**
+ * The date of daily challenge sessions, limited to one session and one
+ * leaderboard result per player and date
+ */
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'quizzes', QUIZ_COLUMNS);
+    await addIndexes(connection, 'quizzes', DAILY_INDEXES, { unique: true });
+    await addColumns(connection, 'quiz_results', QUIZ_RESULT_COLUMNS);
+    await addIndexes(connection, 'quiz_results', DAILY_INDEXES, { unique: true });
+  },
+
+  async down(connection) {
+    await dropIndexes(connection, 'quiz_results', DAILY_INDEXES.map(([name]) => name));
+    await dropColumns(connection, 'quiz_results', QUIZ_RESULT_COLUMNS.map(([name]) => name));
+    await addIndexes(connection, 'quizzes', QUIZ_PLAYER_INDEXES);
+    await dropIndexes(connection, 'quizzes', DAILY_INDEXES.map(([name]) => name));
+    await dropColumns(connection, 'quizzes', QUIZ_COLUMNS.map(([name]) => name));
+  }
+};
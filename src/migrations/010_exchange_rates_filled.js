@@ -0,0 +1,18 @@
+const { addColumns, dropColumns } = require('../config/migrator');
+
+const METADATA_COLUMNS = [
+  ['exchange_rates_filled', 'INT NOT NULL DEFAULT 0 AFTER exchange_rates_stale']
+];
+
+/**
+ * The number of currencies the last refresh filled in with stored rates
+ */
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'refresh_metadata', METADATA_COLUMNS);
+  },
+
+  async down(connection) {
+    await dropColumns(connection, 'refresh_metadata', METADATA_COLUMNS.map(([name]) => name));
+  }
+};
@@ -0,0 +1,16 @@
+require('dotenv').config();
+
+// Storage backends: MySQL for deployments, memory for running without a database server
+const DB_CLIENTS = ['mysql', 'memory'];
+const DB_CLIENT = process.env.DB_CLIENT || 'mysql';
+
+if (!DB_CLIENTS.includes(DB_CLIENT)) {
+  throw new Error(`Unknown DB_CLIENT "${DB_CLIENT}", expected one of: ${DB_CLIENTS.join(', ')}`);
+}
+
+const backend = DB_CLIENT === 'memory' ? require('./memory') : require('./mysql');
+
+module.exports = {
+  DB_CLIENT,
+  ...backend
+};
@@ -0,0 +1,102 @@
+const { store, nextId, copy } = require('./store');
+
+/**
+ * Copy an API key row without its hash
+ * @param {Object} row - Stored row
+ * @returns {Object} - Row without key_hash
+ */
+function withoutHash(row) {
+  const apiKey = copy(row);
+  delete apiKey.key_hash;
+  return apiKey;
+}
+
+/**
+ * Insert an API key
+ * @param {Object} apiKey - Key with name, role, key_prefix and key_hash
+ * @returns {Promise<number>} - API key id
+ */
+async function create({ name, role, key_prefix, key_hash }) {
+  if (store.apiKeys.some(row => row.key_hash === key_hash)) {
+    throw new Error('Duplicate API key hash');
+  }
+
+  const id = nextId('api_keys');
+  store.apiKeys.push({
+    id,
+    name,
+    role,
+    key_prefix,
+    key_hash,
+    created_at: new Date(),
+    last_used_at: null,
+    revoked_at: null
+  });
+
+  return id;
+}
+
+/**
+ * Find an API key by id
+ * @param {number} id - API key id
+ * @returns {Promise<Object|null>} - Row without the hash, or null
+ */
+async function findById(id) {
+  const row = store.apiKeys.find(apiKey => apiKey.id === id);
+  return row ? withoutHash(row) : null;
+}
+
+/**
+ * Find an API key that has not been revoked by its hash
+ * @param {string} keyHash - Hash of the key
+ * @returns {Promise<Object|null>} - Row without the hash, or null
+ */
+async function findActiveByHash(keyHash) {
+  const row = store.apiKeys.find(apiKey => apiKey.key_hash === keyHash && apiKey.revoked_at === null);
+  return row ? withoutHash(row) : null;
+}
+
+/**
+ * List every API key, revoked ones included
+ * @returns {Promise<Array>} - Rows without the hash, oldest first
+ */
+async function findAll() {
+  return store.apiKeys.map(withoutHash);
+}
+
+/**
+ * Record that an API key was used
+ * @param {number} id - API key id
+ * @returns {Promise<void>}
+ */
+async function touch(id) {
+  const row = store.apiKeys.find(apiKey => apiKey.id === id);
+  if (row) {
+    row.last_used_at = new Date();
+  }
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id - API key id
+ * @returns {Promise<boolean>} - True if revoked, false if not found or already revoked
+ */
+async function revoke(id) {
+  const row = store.apiKeys.find(apiKey => apiKey.id === id && apiKey.revoked_at === null);
+
+  if (!row) {
+    return false;
+  }
+
+  row.revoked_at = new Date();
+  return true;
+}
+
+module.exports = {
+  create,
+  findById,
+  findActiveByHash,
+  findAll,
+  touch,
+  revoke
+};
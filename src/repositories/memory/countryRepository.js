@@ -0,0 +1,486 @@
+const { diffCountry } = require('../../services/countryDiff');
+const { COUNTRY_COLUMNS, SORT_COLUMNS } = require('../schema');
+const { store, nextId, copy, foldText, sameText, compareValues } = require('./store');
+
+/**
+ * Find the stored row of a country, live or deleted
+ * @param {string} name - Country name, matched ignoring case
+ * @returns {Object|undefined} - Stored row
+ */
+function findRow(name) {
+  return store.countries.find(row => sameText(row.name, name));
+}
+
+/**
+ * Get the stored rows of countries that have not been deleted
+ * @returns {Array} - Stored rows
+ */
+function liveRows() {
+  return store.countries.filter(row => !row.deleted_at);
+}
+
+/**
+ * Insert or update one country row
+ * @param {Object} country - Country data object
+ * @returns {Object} - Stored row
+ */
+function writeCountry(country) {
+  let row = findRow(country.name);
+
+  if (!row) {
+    row = {
+      id: nextId('countries'),
+      name: country.name,
+      answer_attempts: 0,
+      correct_answers: 0,
+      overridden_fields: null,
+      deleted_at: null,
+      created_at: new Date()
+    };
+    store.countries.push(row);
+  }
+
+  for (const column of COUNTRY_COLUMNS) {
+    row[column] = country[column] === undefined ? null : structuredClone(country[column]);
+  }
+  row.last_refreshed_at = new Date();
+
+  return row;
+}
+
+/**
+ * Store currency names and symbols, keeping known values the new data lacks
+ * @param {Array} currencies - Currencies as { code, name, symbol }
+ * @returns {void}
+ */
+function saveCurrencies(currencies) {
+  for (const currency of currencies) {
+    const existing = store.currencies.get(currency.code) || {};
+
+    store.currencies.set(currency.code, {
+      code: currency.code,
+      name: currency.name === null || currency.name === undefined ? existing.name || null : currency.name,
+      symbol: currency.symbol === null || currency.symbol === undefined ? existing.symbol || null : currency.symbol
+    });
+  }
+}
+
+/**
+ * Upsert (insert or update) a country record with its currencies
+ * @param {Object} countryData - Country data object; overridden_fields, if given,
+ *   replaces the list of manually corrected fields
+ * @returns {Promise<void>}
+ */
+async function upsert(countryData) {
+  const row = writeCountry(countryData);
+
+  if (countryData.currencies) {
+    saveCurrencies(countryData.currencies);
+    store.countryCurrencies.set(row.id, countryData.currencies.map(currency => currency.code));
+  }
+
+  if (countryData.overridden_fields !== undefined) {
+    row.overridden_fields = structuredClone(countryData.overridden_fields);
+  }
+}
+
+/**
+ * Bulk upsert countries. Only rows whose data changed are written; each
+ * change is recorded against the refresh run when one is given. Deleted
+ * countries are skipped.
+ * @param {Array} countries - Array of country data objects
+ * @param {number|null} refreshRunId - Refresh run to record changes against
+ * @returns {Promise<Object>} - Counts of inserted, updated, unchanged, skipped and failed rows, and errors
+ */
+async function bulkUpsert(countries, refreshRunId = null) {
+  const result = {
+    processed: countries.length,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    errors: []
+  };
+
+  saveCurrencies(countries.flatMap(country => country.currencies || []));
+
+  for (const country of countries) {
+    const row = findRow(country.name);
+
+    // Deleted countries stay deleted until they are restored
+    if (row && row.deleted_at) {
+      result.skipped++;
+      continue;
+    }
+
+    const existing = row && { ...row, currency_codes: store.countryCurrencies.get(row.id) || [] };
+    const currencies = country.currencies || [];
+    const changes = diffCountry(existing, {
+      ...country,
+      currency_codes: currencies.map(currency => currency.code)
+    });
+
+    if (existing && Object.keys(changes).length === 0) {
+      row.last_refreshed_at = new Date();
+      result.unchanged++;
+      continue;
+    }
+
+    const written = writeCountry(country);
+
+    if (!existing || changes.currency_codes) {
+      store.countryCurrencies.set(written.id, currencies.map(currency => currency.code));
+    }
+
+    if (refreshRunId) {
+      store.countryChanges.push({
+        id: nextId('country_changes'),
+        refresh_run_id: refreshRunId,
+        country_name: country.name,
+        change_type: existing ? 'updated' : 'inserted',
+        changes,
+        created_at: new Date()
+      });
+    }
+
+    result[existing ? 'updated' : 'inserted']++;
+  }
+
+  return result;
+}
+
+/**
+ * Load the currencies of the given country rows
+ * @param {Array} rows - Country rows
+ * @returns {Promise<Map<number, Array>>} - Country id to currencies, primary first
+ */
+async function findCurrencies(rows) {
+  const currenciesById = new Map();
+
+  for (const row of rows) {
+    const codes = store.countryCurrencies.get(row.id) || [];
+    const currencies = codes
+      .filter(code => store.currencies.has(code))
+      .map(code => copy(store.currencies.get(code)));
+
+    if (currencies.length > 0) {
+      currenciesById.set(row.id, currencies);
+    }
+  }
+
+  return currenciesById;
+}
+
+/**
+ * Check whether a number is within an optional range
+ * @param {*} value - Column value
+ * @param {number|undefined} min - Lowest allowed value
+ * @param {number|undefined} max - Highest allowed value
+ * @returns {boolean} - True if in range; values that are not set never are
+ */
+function inRange(value, min, max) {
+  if (min === undefined && max === undefined) {
+    return true;
+  }
+
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  return (min === undefined || Number(value) >= min) && (max === undefined || Number(value) <= max);
+}
+
+/**
+ * Get the stored rows matching country filters
+ * @param {Object} filters - Filter options (regions, currencies, population_min, population_max,
+ *   gdp_min, gdp_max, has_currency, q)
+ * @returns {Array} - Stored rows
+ */
+function filterRows(filters = {}) {
+  const codesOf = row => [row.currency_code, ...(store.countryCurrencies.get(row.id) || [])].filter(Boolean);
+  const search = filters.q ? foldText(filters.q) : null;
+
+  return liveRows().filter(row => {
+    if (filters.regions && !filters.regions.some(region => sameText(row.region, region))) {
+      return false;
+    }
+
+    // Match any of a country's currencies, not only the primary one
+    if (filters.currencies
+      && !codesOf(row).some(code => filters.currencies.some(currency => sameText(code, currency)))) {
+      return false;
+    }
+
+    if (filters.has_currency !== undefined && (codesOf(row).length > 0) !== filters.has_currency) {
+      return false;
+    }
+
+    if (!inRange(row.population, filters.population_min, filters.population_max)
+      || !inRange(row.estimated_gdp, filters.gdp_min, filters.gdp_max)) {
+      return false;
+    }
+
+    return !search || [row.name, row.capital].some(value => value && foldText(value).includes(search));
+  });
+}
+
+/**
+ * Find countries with optional filters, sorting and paging
+ * @param {Object} filters - Filter options, as for filterRows
+ * @param {Array<Object>|null} sort - Sort keys as { field, direction }, by name if null
+ * @param {Object|null} page - Rows to return as { limit, offset }, all rows if null
+ * @returns {Promise<Array>} - Country rows
+ */
+async function findAll(filters = {}, sort = null, page = null) {
+  const keys = sort && sort.length > 0 ? sort : [{ field: 'name', direction: 'asc' }];
+
+  // Ties must break the same way on every request, or rows move between pages
+  const compareRows = (a, b) => {
+    for (const key of keys) {
+      const column = SORT_COLUMNS[key.field];
+      const order = compareValues(a[column], b[column]);
+      if (order !== 0) {
+        return key.direction === 'desc' ? -order : order;
+      }
+    }
+    return a.id - b.id;
+  };
+
+  const sorted = filterRows(filters).slice().sort(compareRows);
+  const rows = page ? sorted.slice(page.offset, page.offset + page.limit) : sorted;
+  return rows.map(copy);
+}
+
+/**
+ * Find a single country by name
+ * @param {string} name - Country name
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.deleted] - Find a deleted country instead of a live one
+ * @returns {Promise<Object|null>} - Country row or null
+ */
+async function findByName(name, { deleted = false } = {}) {
+  const row = findRow(name);
+  return row && Boolean(row.deleted_at) === deleted ? copy(row) : null;
+}
+
+/**
+ * List the name and ISO codes of every country, for matching names that are
+ * not an exact match
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.deleted] - List deleted countries instead of live ones
+ * @returns {Promise<Array>} - Rows with id, name, alpha2_code and alpha3_code
+ */
+async function findNames({ deleted = false } = {}) {
+  return store.countries
+    .filter(row => Boolean(row.deleted_at) === deleted)
+    .map(row => ({
+      id: row.id,
+      name: row.name,
+      alpha2_code: row.alpha2_code,
+      alpha3_code: row.alpha3_code
+    }));
+}
+
+/**
+ * Find the live countries with manually corrected fields
+ * @returns {Promise<Array>} - Country rows whose overridden_fields is not empty
+ */
+async function findOverridden() {
+  return liveRows()
+    .filter(row => row.overridden_fields && row.overridden_fields.length > 0)
+    .map(copy);
+}
+
+/**
+ * Soft-delete a country by name. The row is kept, so refreshes can tell it
+ * was deleted and leave it out.
+ * @param {string} name - Country name
+ * @returns {Promise<boolean>} - True if deleted, false if not found or already deleted
+ */
+async function deleteByName(name) {
+  const row = findRow(name);
+
+  if (!row || row.deleted_at) {
+    return false;
+  }
+
+  row.deleted_at = new Date();
+  return true;
+}
+
+/**
+ * Restore a soft-deleted country by name
+ * @param {string} name - Country name
+ * @returns {Promise<boolean>} - True if restored, false if no deleted country has the name
+ */
+async function restoreByName(name) {
+  const row = findRow(name);
+
+  if (!row || !row.deleted_at) {
+    return false;
+  }
+
+  row.deleted_at = null;
+  return true;
+}
+
+/**
+ * Count the stored countries
+ * @param {Object} filters - Filter options, as for filterRows
+ * @returns {Promise<number>} - Number of matching countries
+ */
+async function count(filters = {}) {
+  return filterRows(filters).length;
+}
+
+/**
+ * Find the top countries by GDP
+ * @param {number} limit - Number of top countries to retrieve
+ * @returns {Promise<Array>} - Rows with name, estimated_gdp and flag_url
+ */
+async function findTopByGdp(limit = 5) {
+  return liveRows()
+    .filter(row => row.estimated_gdp !== null)
+    .sort((a, b) => compareValues(b.estimated_gdp, a.estimated_gdp))
+    .slice(0, limit)
+    .map(row => ({ name: row.name, estimated_gdp: row.estimated_gdp, flag_url: row.flag_url }));
+}
+
+/**
+ * Sum a column over rows, skipping rows without a value
+ * @param {Array} rows - Stored rows
+ * @param {string} column - Column name
+ * @returns {number|null} - Sum, or null if no row has a value, like SQL SUM
+ */
+function sumColumn(rows, column) {
+  const values = rows.map(row => row[column]).filter(value => value !== null && value !== undefined);
+  return values.length === 0 ? null : values.reduce((sum, value) => sum + Number(value), 0);
+}
+
+/**
+ * Sum up the matching countries, in total or per region
+ * @param {Object} filters - Filter options, as for filterRows
+ * @param {Object} [options] - Aggregation options
+ * @param {boolean} [options.byRegion] - Return one row per region instead of one in total
+ * @returns {Promise<Array>} - Rows with country_count, total_population, mean_population and
+ *   total_gdp, and region when grouped by region
+ */
+async function aggregate(filters = {}, { byRegion = false } = {}) {
+  const rows = filterRows(filters);
+  const summarize = group => {
+    const populated = group.filter(row => row.population !== null && row.population !== undefined);
+    return {
+      country_count: group.length,
+      total_population: sumColumn(group, 'population'),
+      mean_population: populated.length === 0 ? null : sumColumn(populated, 'population') / populated.length,
+      total_gdp: sumColumn(group, 'estimated_gdp')
+    };
+  };
+
+  if (!byRegion) {
+    return [summarize(rows)];
+  }
+
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row.region ? foldText(row.region) : null;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+
+  return [...groups.values()]
+    .map(group => ({ region: group[0].region, ...summarize(group) }))
+    .sort((a, b) => compareValues(a.region, b.region));
+}
+
+/**
+ * Find the median population of the matching countries
+ * @param {Object} filters - Filter options, as for filterRows
+ * @returns {Promise<number|null>} - Median population, or null if no country has one
+ */
+async function findMedianPopulation(filters = {}) {
+  const populations = filterRows(filters)
+    .map(row => row.population)
+    .filter(value => value !== null && value !== undefined)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  if (populations.length === 0) {
+    return null;
+  }
+
+  const middle = Math.floor((populations.length - 1) / 2);
+  return populations.length % 2 === 1
+    ? populations[middle]
+    : (populations[middle] + populations[middle + 1]) / 2;
+}
+
+/**
+ * Count how many of the matching countries use each currency
+ * @param {Object} filters - Filter options, as for filterRows
+ * @param {number} limit - Number of currencies to return
+ * @returns {Promise<Array>} - Rows with code, name, symbol and country_count, most used first
+ */
+async function countCurrencies(filters = {}, limit = 5) {
+  const counts = new Map();
+
+  for (const row of filterRows(filters)) {
+    for (const code of store.countryCurrencies.get(row.id) || []) {
+      if (store.currencies.has(code)) {
+        counts.set(code, (counts.get(code) || 0) + 1);
+      }
+    }
+  }
+
+  return [...counts.entries()]
+    .sort(([codeA, countA], [codeB, countB]) => countB - countA || compareValues(codeA, codeB))
+    .slice(0, limit)
+    .map(([code, countryCount]) => ({ ...copy(store.currencies.get(code)), country_count: countryCount }));
+}
+
+/**
+ * Find the largest and smallest matching countries by area in each region
+ * @param {Object} filters - Filter options, as for filterRows
+ * @returns {Promise<Array>} - Rows with extreme ('largest' or 'smallest'), region, name, area and
+ *   population; countries tied on area each get a row
+ */
+async function findAreaExtremes(filters = {}) {
+  const rows = filterRows(filters).filter(row => row.region && row.area !== null && row.area !== undefined);
+  const extremes = [];
+
+  for (const [label, pick] of [['largest', Math.max], ['smallest', Math.min]]) {
+    const regions = [...new Set(rows.map(row => foldText(row.region)))];
+
+    for (const region of regions) {
+      const inRegion = rows.filter(row => foldText(row.region) === region);
+      const area = pick(...inRegion.map(row => Number(row.area)));
+
+      extremes.push(...inRegion
+        .filter(row => Number(row.area) === area)
+        .map(row => ({ extreme: label, region: row.region, name: row.name, area: row.area, population: row.population })));
+    }
+  }
+
+  return extremes.sort((a, b) => compareValues(a.region, b.region) || compareValues(a.name, b.name));
+}
+
+module.exports = {
+  upsert,
+  bulkUpsert,
+  findAll,
+  findByName,
+  findNames,
+  findOverridden,
+  findCurrencies,
+  deleteByName,
+  restoreByName,
+  count,
+  findTopByGdp,
+  aggregate,
+  findMedianPopulation,
+  countCurrencies,
+  findAreaExtremes
+};
@@ -0,0 +1,100 @@
+const { store, copy } = require('./store');
+
+/**
+ * Get the stored rates of one currency, oldest first
+ * @param {string} code - Currency code
+ * @returns {Array<Object>} - Rows with currency_code, rate, rate_date and refresh_run_id
+ */
+function ratesOf(code) {
+  return [...store.exchangeRates.values()]
+    .filter(row => row.currency_code === code)
+    .sort((a, b) => (a.rate_date < b.rate_date ? -1 : a.rate_date > b.rate_date ? 1 : 0));
+}
+
+/**
+ * Store rates for one day, replacing rates already stored for that day
+ * @param {Array<Object>} rates - Rates as { currency_code, rate }
+ * @param {string} date - Rate date (YYYY-MM-DD)
+ * @param {number|null} refreshRunId - Refresh run the rates were fetched by
+ * @returns {Promise<void>}
+ */
+async function save(rates, date, refreshRunId) {
+  for (const rate of rates) {
+    store.exchangeRates.set(`${rate.currency_code}:${date}`, {
+      currency_code: rate.currency_code,
+      rate: rate.rate,
+      rate_date: date,
+      refresh_run_id: refreshRunId
+    });
+  }
+}
+
+/**
+ * Find the latest stored rate of every currency, with the currency's name,
+ * symbol and the number of countries using it
+ * @returns {Promise<Array>} - Rows with currency_code, name, symbol, rate, rate_date
+ *   (YYYY-MM-DD) and countries, ordered by code
+ */
+async function findLatest() {
+  const latest = new Map();
+
+  for (const row of store.exchangeRates.values()) {
+    const current = latest.get(row.currency_code);
+    if (!current || row.rate_date > current.rate_date) {
+      latest.set(row.currency_code, row);
+    }
+  }
+
+  const codeLists = store.countries
+    .filter(country => !country.deleted_at)
+    .map(country => store.countryCurrencies.get(country.id) || []);
+
+  return [...latest.values()]
+    .sort((a, b) => (a.currency_code < b.currency_code ? -1 : 1))
+    .map(row => {
+      const currency = store.currencies.get(row.currency_code);
+
+      return {
+        currency_code: row.currency_code,
+        name: currency ? currency.name : null,
+        symbol: currency ? currency.symbol : null,
+        rate: row.rate,
+        rate_date: row.rate_date,
+        countries: codeLists.filter(codes => codes.includes(row.currency_code)).length
+      };
+    });
+}
+
+/**
+ * Find the rates of one currency
+ * @param {string} code - Currency code
+ * @param {Object} range - Optional date range
+ * @param {string} [range.from] - First date (YYYY-MM-DD)
+ * @param {string} [range.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Rows with date (YYYY-MM-DD) and rate, ordered by date
+ */
+async function findHistory(code, range = {}) {
+  return ratesOf(code)
+    .filter(row => (!range.from || row.rate_date >= range.from) && (!range.to || row.rate_date <= range.to))
+    .map(row => ({ date: row.rate_date, rate: row.rate }));
+}
+
+/**
+ * Find the most recent rate of a currency on or before a date
+ * @param {string} code - Currency code
+ * @param {string|null} date - Date (YYYY-MM-DD), latest rate if null
+ * @returns {Promise<Object|null>} - Row with date (YYYY-MM-DD) and rate, or null
+ */
+async function findOnDate(code, date = null) {
+  const rows = ratesOf(code).filter(row => !date || row.rate_date <= date);
+  const row = rows[rows.length - 1];
+
+  return row ? copy({ date: row.rate_date, rate: row.rate }) : null;
+}
+
+module.exports = {
+  save,
+  findLatest,
+  findHistory,
+  findOnDate
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  // Nothing to connect to or migrate: data lives in this process until it exits
+  initialize: async () => {},
+  countryRepository: require('./countryRepository'),
+  metadataRepository: require('./metadataRepository'),
+  refreshRunRepository: require('./refreshRunRepository'),
+  exchangeRateRepository: require('./exchangeRateRepository'),
+  jobRepository: require('./jobRepository'),
+  lockRepository: require('./lockRepository'),
+  playerRepository: require('./playerRepository'),
+  quizRepository: require('./quizRepository'),
+  apiKeyRepository: require('./apiKeyRepository'),
+  rateLimitRepository: require('./rateLimitRepository')
+};
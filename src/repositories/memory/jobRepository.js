@@ -0,0 +1,71 @@
+const { store, copy } = require('./store');
+
+/**
+ * Insert a queued job
+ * @param {Object} job - Job fields (id, type, triggered_by, params)
+ * @returns {Promise<void>}
+ */
+async function create(job) {
+  store.jobs.set(job.id, {
+    id: job.id,
+    type: job.type,
+    status: 'queued',
+    triggered_by: job.triggered_by,
+    params: structuredClone(job.params),
+    result: null,
+    error: null,
+    created_at: new Date(),
+    started_at: null,
+    finished_at: null
+  });
+}
+
+/**
+ * Mark a job as running
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+async function markRunning(id) {
+  const job = store.jobs.get(id);
+
+  if (job) {
+    Object.assign(job, { status: 'running', started_at: new Date() });
+  }
+}
+
+/**
+ * Record how a job ended
+ * @param {string} id - Job id
+ * @param {string} status - 'succeeded' or 'failed'
+ * @param {Object|null} result - Job result
+ * @param {string|null} error - Error message
+ * @returns {Promise<void>}
+ */
+async function finish(id, status, result, error) {
+  const job = store.jobs.get(id);
+
+  if (job) {
+    Object.assign(job, {
+      status,
+      result: result === null ? null : structuredClone(result),
+      error,
+      finished_at: new Date()
+    });
+  }
+}
+
+/**
+ * Find a job by id
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} - Job row or null
+ */
+async function findById(id) {
+  return copy(store.jobs.get(id));
+}
+
+module.exports = {
+  create,
+  markRunning,
+  finish,
+  findById
+};
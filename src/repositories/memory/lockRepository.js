@@ -0,0 +1,40 @@
+const { store } = require('./store');
+
+/**
+ * Try to take a named lock without waiting. Locks only cover this process,
+ * which holds all of the memory backend's data anyway.
+ * @param {string} name - Lock name
+ * @returns {Promise<Object|null>} - Lock handle, or null if another holder has it
+ */
+async function acquire(name) {
+  if (store.locks.has(name)) {
+    return null;
+  }
+
+  store.locks.add(name);
+  return { name };
+}
+
+/**
+ * Release a lock taken with acquire
+ * @param {Object} lock - Lock handle
+ * @returns {Promise<void>}
+ */
+async function release(lock) {
+  store.locks.delete(lock.name);
+}
+
+/**
+ * Check whether a named lock is currently held
+ * @param {string} name - Lock name
+ * @returns {Promise<boolean>} - True if the lock is held
+ */
+async function isLocked(name) {
+  return store.locks.has(name);
+}
+
+module.exports = {
+  acquire,
+  release,
+  isLocked
+};
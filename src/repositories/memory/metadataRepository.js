@@ -0,0 +1,23 @@
+const { store, copy } = require('./store');
+
+/**
+ * Record a completed refresh in the metadata row
+ * @param {Object} metadata - Metadata fields, as for the MySQL repository
+ * @returns {Promise<void>}
+ */
+async function update(metadata) {
+  Object.assign(store.metadata, metadata, { last_refreshed_at: new Date() });
+}
+
+/**
+ * Get the metadata row
+ * @returns {Promise<Object|null>} - Metadata row, with exchange_rates_as_of as YYYY-MM-DD
+ */
+async function get() {
+  return copy(store.metadata);
+}
+
+module.exports = {
+  update,
+  get
+};
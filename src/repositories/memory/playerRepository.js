@@ -0,0 +1,105 @@
+const { store, nextId, copy, sameText } = require('./store');
+
+/**
+ * Insert a player
+ * @param {string} nickname - Player nickname
+ * @param {string} tokenHash - Hash of the player token
+ * @returns {Promise<number|null>} - Player id, or null if the nickname is taken
+ */
+async function create(nickname, tokenHash) {
+  if (store.players.some(player => sameText(player.nickname, nickname) || player.token_hash === tokenHash)) {
+    return null;
+  }
+
+  const id = nextId('players');
+  store.players.push({ id, nickname, token_hash: tokenHash, created_at: new Date() });
+
+  return id;
+}
+
+/**
+ * Find a player by token hash
+ * @param {string} tokenHash - Hash of the player token
+ * @returns {Promise<Object|null>} - Row with id, nickname and created_at, or null
+ */
+async function findByTokenHash(tokenHash) {
+  const player = store.players.find(row => row.token_hash === tokenHash);
+  return player ? copy({ id: player.id, nickname: player.nickname, created_at: player.created_at }) : null;
+}
+
+/**
+ * Find a player with totals over their quiz results. Players have one session
+ * per daily challenge, so each date's challenge counts once.
+ * @param {string} nickname - Player nickname
+ * @returns {Promise<Object|null>} - Row with nickname, created_at, quizzes_completed, total_score,
+ *   total_questions, best_score, best_streak and last_played_at, or null
+ */
+async function findProfile(nickname) {
+  const player = store.players.find(row => sameText(row.nickname, nickname));
+
+  if (!player) {
+    return null;
+  }
+
+  const results = store.quizResults.filter(result => result.player_id === player.id);
+  const lastPlayed = results.reduce((latest, result) => (
+    !latest || result.completed_at > latest ? result.completed_at : latest
+  ), null);
+
+  return copy({
+    nickname: player.nickname,
+    created_at: player.created_at,
+    quizzes_completed: results.length,
+    total_score: results.reduce((sum, result) => sum + result.score, 0),
+    total_questions: results.reduce((sum, result) => sum + result.total_questions, 0),
+    best_score: Math.max(0, ...results.map(result => result.score)),
+    best_streak: Math.max(0, ...results.map(result => result.best_streak)),
+    last_played_at: lastPlayed
+  });
+}
+
+/**
+ * Find players ranked by total score. Players have one session per daily
+ * challenge, so each date's challenge counts once.
+ * @param {Object} options - Leaderboard options
+ * @param {Date|null} options.since - Only count results completed from this time
+ * @param {string|null} options.region - Only count quizzes played in this region
+ * @param {number} options.limit - Number of players to return
+ * @returns {Promise<Array>} - Rows with nickname, total_score, total_questions and quizzes_completed
+ */
+async function findLeaderboard({ since, region, limit }) {
+  const totals = new Map();
+
+  for (const result of store.quizResults) {
+    if ((region && !sameText(result.region, region)) || (since && result.completed_at < since)) {
+      continue;
+    }
+
+    const player = store.players.find(row => row.id === result.player_id);
+    if (!player) {
+      continue;
+    }
+
+    if (!totals.has(player.id)) {
+      totals.set(player.id, { nickname: player.nickname, total_score: 0, total_questions: 0, quizzes_completed: 0 });
+    }
+
+    const row = totals.get(player.id);
+    row.total_score += result.score;
+    row.total_questions += result.total_questions;
+    row.quizzes_completed++;
+  }
+
+  return [...totals.values()]
+    .sort((a, b) => b.total_score - a.total_score
+      || a.total_questions - b.total_questions
+      || a.nickname.toLowerCase().localeCompare(b.nickname.toLowerCase()))
+    .slice(0, limit);
+}
+
+module.exports = {
+  create,
+  findByTokenHash,
+  findProfile,
+  findLeaderboard
+};
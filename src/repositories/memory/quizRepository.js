@@ -0,0 +1,155 @@
+const { store, nextId, copy, sameText } = require('./store');
+
+/**
+ * Insert a quiz session with its questions
+ * @param {string} id - Quiz id
+ * @param {Object} settings - Quiz settings (region, type, difficulty, daily)
+ * @param {Array} questions - Generated question objects
+ * @param {number|null} playerId - Player taking the quiz
+ * @returns {Promise<boolean>} - True if created, false if the player already has a session
+ *   for the daily challenge
+ */
+async function create(id, settings, questions, playerId) {
+  if (settings.daily && playerId !== null && (await findDailyId(playerId, settings.daily))) {
+    return false;
+  }
+
+  store.quizzes.set(id, {
+    id,
+    player_id: playerId,
+    region: settings.region || null,
+    question_type: settings.type || null,
+    difficulty: settings.difficulty || null,
+    daily_date: settings.daily || null,
+    total_questions: questions.length,
+    answered_count: 0,
+    score: 0,
+    streak: 0,
+    best_streak: 0,
+    status: 'in_progress',
+    created_at: new Date(),
+    completed_at: null
+  });
+
+  store.quizQuestions.set(id, questions.map((question, index) => ({
+    id: nextId('quiz_questions'),
+    quiz_id: id,
+    position: index + 1,
+    type: question.type,
+    question: question.question,
+    image_url: question.image_url || null,
+    options: question.options.slice(),
+    correct_answer: question.answer,
+    country_name: question.country,
+    difficulty: question.difficulty,
+    player_answer: null,
+    is_correct: null,
+    answered_at: null
+  })));
+
+  return true;
+}
+
+/**
+ * Find a player's session for a daily challenge
+ * @param {number} playerId - Player id
+ * @param {string} date - Challenge date (YYYY-MM-DD)
+ * @returns {Promise<string|null>} - Quiz id, or null if the player has not started the challenge
+ */
+async function findDailyId(playerId, date) {
+  const quiz = [...store.quizzes.values()].find(row => row.player_id === playerId && row.daily_date === date);
+  return quiz ? quiz.id : null;
+}
+
+/**
+ * Find a quiz session with its questions
+ * @param {string} id - Quiz id
+ * @returns {Promise<Object|null>} - { quiz, questions } rows, the quiz row including the player's
+ *   nickname, or null
+ */
+async function findById(id) {
+  const quiz = store.quizzes.get(id);
+
+  if (!quiz) {
+    return null;
+  }
+
+  const player = store.players.find(row => row.id === quiz.player_id);
+
+  return {
+    quiz: copy({ ...quiz, nickname: player ? player.nickname : null }),
+    questions: store.quizQuestions.get(id).map(copy)
+  };
+}
+
+/**
+ * Record an answer. Evaluation and writes happen without yielding, so
+ * concurrent answers cannot corrupt the streak.
+ * @param {string} id - Quiz id
+ * @param {number} position - Question position (1-based)
+ * @param {Function} evaluate - Receives the quiz and question rows and returns either
+ *   { status } to reject the answer, or the answer outcome with status 'ok'
+ * @returns {Promise<Object>} - Outcome from evaluate, or { status: 'quiz_not_found' | 'question_not_found' }
+ */
+async function recordAnswer(id, position, evaluate) {
+  const quiz = store.quizzes.get(id);
+  if (!quiz) {
+    return { status: 'quiz_not_found' };
+  }
+
+  const question = store.quizQuestions.get(id).find(row => row.position === position);
+  if (!question) {
+    return { status: 'question_not_found' };
+  }
+
+  const outcome = evaluate(copy(quiz), copy(question));
+  if (outcome.status !== 'ok') {
+    return outcome;
+  }
+
+  Object.assign(question, {
+    player_answer: outcome.answer,
+    is_correct: outcome.correct,
+    answered_at: new Date()
+  });
+
+  // Feed the answer into the country's observed difficulty
+  const country = store.countries.find(row => sameText(row.name, question.country_name));
+  if (country) {
+    country.answer_attempts++;
+    country.correct_answers += outcome.correct ? 1 : 0;
+  }
+
+  Object.assign(quiz, {
+    answered_count: outcome.answered_count,
+    score: outcome.score,
+    streak: outcome.streak,
+    best_streak: outcome.best_streak,
+    status: outcome.completed ? 'completed' : 'in_progress',
+    completed_at: outcome.completed ? new Date() : null
+  });
+
+  // Completed quizzes of identified players count towards the leaderboards
+  if (outcome.completed && quiz.player_id !== null) {
+    store.quizResults.push({
+      id: nextId('quiz_results'),
+      quiz_id: id,
+      player_id: quiz.player_id,
+      region: quiz.region,
+      daily_date: quiz.daily_date,
+      score: outcome.score,
+      total_questions: quiz.total_questions,
+      best_streak: outcome.best_streak,
+      completed_at: new Date()
+    });
+  }
+
+  return outcome;
+}
+
+module.exports = {
+  create,
+  findDailyId,
+  findById,
+  recordAnswer
+};
@@ -0,0 +1,70 @@
+const { store } = require('./store');
+
+/**
+ * Count a request against a fixed-window counter, starting a new window if the
+ * current one has ended
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} - Requests in the current window (hits) and
+ *   milliseconds until it ends (reset_in_ms)
+ */
+async function hit(key, windowMs) {
+  const now = Date.now();
+  let counter = store.rateLimits.get(key);
+
+  if (!counter || counter.reset_at <= now) {
+    counter = { hits: 0, reset_at: now + windowMs };
+    store.rateLimits.set(key, counter);
+  }
+
+  counter.hits++;
+
+  return {
+    hits: counter.hits,
+    reset_in_ms: counter.reset_at - now
+  };
+}
+
+/**
+ * Read a counter without counting a request
+ * @param {string} key - Counter key
+ * @returns {Promise<Object|null>} - hits and reset_in_ms of the current window, or null if
+ *   no window is running
+ */
+async function peek(key) {
+  const now = Date.now();
+  const counter = store.rateLimits.get(key);
+
+  if (!counter || counter.reset_at <= now) {
+    return null;
+  }
+
+  return {
+    hits: counter.hits,
+    reset_in_ms: counter.reset_at - now
+  };
+}
+
+/**
+ * Delete counters whose window has ended
+ * @returns {Promise<number>} - Number of deleted counters
+ */
+async function deleteExpired() {
+  const now = Date.now();
+  let deleted = 0;
+
+  for (const [key, counter] of store.rateLimits) {
+    if (counter.reset_at <= now) {
+      store.rateLimits.delete(key);
+      deleted++;
+    }
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  hit,
+  peek,
+  deleteExpired
+};
@@ -0,0 +1,88 @@
+const { store, nextId, copy, sameText } = require('./store');
+
+/**
+ * Insert a running refresh run
+ * @param {Object} run - Run details (countries_url, exchange_rates_url, gdp_strategy, gdp_seed)
+ * @returns {Promise<number>} - Refresh run id
+ */
+async function create(run) {
+  const id = nextId('refresh_runs');
+
+  store.refreshRuns.push({
+    id,
+    status: 'running',
+    started_at: new Date(),
+    finished_at: null,
+    countries_url: run.countries_url,
+    exchange_rates_url: run.exchange_rates_url,
+    gdp_strategy: run.gdp_strategy,
+    gdp_seed: run.gdp_seed,
+    inserted_count: 0,
+    updated_count: 0,
+    unchanged_count: 0,
+    skipped_count: 0,
+    failed_count: 0,
+    errors: null
+  });
+
+  return id;
+}
+
+/**
+ * Record the end of a refresh run
+ * @param {number} id - Refresh run id
+ * @param {string} status - 'succeeded', 'partial' or 'failed'
+ * @param {Object} counts - Inserted, updated, unchanged, skipped and failed counts
+ * @param {Array} errors - Errors to record
+ * @returns {Promise<void>}
+ */
+async function finish(id, status, counts, errors) {
+  const run = store.refreshRuns.find(row => row.id === id);
+
+  if (run) {
+    Object.assign(run, {
+      status,
+      finished_at: new Date(),
+      inserted_count: counts.inserted,
+      updated_count: counts.updated,
+      unchanged_count: counts.unchanged,
+      skipped_count: counts.skipped,
+      failed_count: counts.failed,
+      errors: structuredClone(errors)
+    });
+  }
+}
+
+/**
+ * Find the most recent refresh runs
+ * @param {number} limit - Number of runs to return
+ * @returns {Promise<Array>} - Refresh run rows, newest first
+ */
+async function findRecent(limit) {
+  return store.refreshRuns
+    .slice()
+    .sort((a, b) => b.started_at - a.started_at || b.id - a.id)
+    .slice(0, limit)
+    .map(copy);
+}
+
+/**
+ * Find the recorded changes of one country
+ * @param {string} name - Country name
+ * @param {number} limit - Number of changes to return
+ * @returns {Promise<Array>} - Country change rows, newest first
+ */
+async function findCountryChanges(name, limit) {
+  return store.countryChanges
+    .filter(change => sameText(change.country_name, name))
+    .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+    .slice(0, limit)
+    .map(copy);
+}
+
+module.exports = {
+  create,
+  finish,
+  findRecent,
+  findCountryChanges
+};
@@ -0,0 +1,117 @@
+// State of the memory backend. Rows have the same shape as the MySQL rows, and
+// copies are handed out so callers can't change stored data by accident.
+const store = {};
+
+/**
+ * Empty every table
+ * @returns {void}
+ */
+function resetStore() {
+  store.countries = [];
+  store.currencies = new Map();
+  store.countryCurrencies = new Map();
+  store.metadata = {
+    total_countries: 0,
+    // No refresh has run yet
+    last_refreshed_at: null,
+    gdp_strategy: null,
+    gdp_seed: null,
+    data_source: null,
+    countries_provider: null,
+    exchange_rates_provider: null,
+    exchange_rates_stale: false,
+    exchange_rates_filled: 0,
+    exchange_rates_as_of: null
+  };
+  store.refreshRuns = [];
+  store.countryChanges = [];
+  store.exchangeRates = new Map();
+  store.jobs = new Map();
+  store.locks = new Set();
+  store.players = [];
+  store.quizzes = new Map();
+  store.quizQuestions = new Map();
+  store.quizResults = [];
+  store.apiKeys = [];
+  store.rateLimits = new Map();
+  store.nextIds = {};
+}
+
+/**
+ * Get the next auto-increment id of a table
+ * @param {string} table - Table name
+ * @returns {number} - Id
+ */
+function nextId(table) {
+  store.nextIds[table] = (store.nextIds[table] || 0) + 1;
+  return store.nextIds[table];
+}
+
+/**
+ * Copy a row before handing it out
+ * @param {Object|null} row - Stored row
+ * @returns {Object|null} - Deep copy
+ */
+function copy(row) {
+  return row ? structuredClone(row) : null;
+}
+
+/**
+ * Fold a string the way the utf8mb4_unicode_ci collation compares it,
+ * ignoring case and accents
+ * @param {string} value - String to fold
+ * @returns {string} - Lower-case string without diacritics
+ */
+function foldText(value) {
+  return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Compare strings the way the MySQL collation does, ignoring case and accents
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if both are equal strings ignoring case and accents
+ */
+function sameText(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && foldText(a) === foldText(b);
+}
+
+/**
+ * Compare two column values for sorting like MySQL: NULL first, numbers
+ * numerically and strings ignoring case and accents
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const aNull = a === null || a === undefined;
+  const bNull = b === null || b === undefined;
+
+  if (aNull || bNull) {
+    return aNull === bNull ? 0 : (aNull ? -1 : 1);
+  }
+
+  if (typeof a === 'string' && typeof b === 'string') {
+    const left = foldText(a);
+    const right = foldText(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a) - new Date(b);
+  }
+
+  return Number(a) - Number(b);
+}
+
+resetStore();
+
+module.exports = {
+  store,
+  resetStore,
+  nextId,
+  copy,
+  foldText,
+  sameText,
+  compareValues
+};
@@ -0,0 +1,82 @@
+const { pool } = require('../../config/database');
+
+const KEY_COLUMNS = 'id, name, role, key_prefix, created_at, last_used_at, revoked_at';
+
+/**
+ * Insert an API key
+ * @param {Object} apiKey - Key with name, role, key_prefix and key_hash
+ * @returns {Promise<number>} - API key id
+ */
+async function create({ name, role, key_prefix, key_hash }) {
+  const [result] = await pool.query(
+    'INSERT INTO api_keys (name, role, key_prefix, key_hash) VALUES (?, ?, ?, ?)',
+    [name, role, key_prefix, key_hash]
+  );
+
+  return result.insertId;
+}
+
+/**
+ * Find an API key by id
+ * @param {number} id - API key id
+ * @returns {Promise<Object|null>} - Row without the hash, or null
+ */
+async function findById(id) {
+  const [rows] = await pool.query(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = ? LIMIT 1`, [id]);
+  return rows.length === 0 ? null : rows[0];
+}
+
+/**
+ * Find an API key that has not been revoked by its hash
+ * @param {string} keyHash - Hash of the key
+ * @returns {Promise<Object|null>} - Row without the hash, or null
+ */
+async function findActiveByHash(keyHash) {
+  const [rows] = await pool.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL LIMIT 1`,
+    [keyHash]
+  );
+
+  return rows.length === 0 ? null : rows[0];
+}
+
+/**
+ * List every API key, revoked ones included
+ * @returns {Promise<Array>} - Rows without the hash, oldest first
+ */
+async function findAll() {
+  const [rows] = await pool.query(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY id ASC`);
+  return rows;
+}
+
+/**
+ * Record that an API key was used
+ * @param {number} id - API key id
+ * @returns {Promise<void>}
+ */
+async function touch(id) {
+  await pool.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id - API key id
+ * @returns {Promise<boolean>} - True if revoked, false if not found or already revoked
+ */
+async function revoke(id) {
+  const [result] = await pool.query(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [id]
+  );
+
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  create,
+  findById,
+  findActiveByHash,
+  findAll,
+  touch,
+  revoke
+};
@@ -0,0 +1,560 @@
+const { pool } = require('../../config/database');
+const { diffCountry } = require('../../services/countryDiff');
+const { COUNTRY_COLUMNS, JSON_COLUMNS, SORT_COLUMNS } = require('../schema');
+
+/**
+ * Insert or update one country row
+ * @param {Object} connection - Database connection
+ * @param {Object} country - Country data object
+ * @param {number|null} existingId - Id of the existing row, null if the country is new
+ * @returns {Promise<number>} - Country id
+ */
+async function writeCountry(connection, country, existingId = null) {
+  const values = COUNTRY_COLUMNS.map(column => {
+    const value = country[column] === undefined ? null : country[column];
+    return JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value;
+  });
+
+  const [result] = await connection.query(
+    `INSERT INTO countries (name, ${COUNTRY_COLUMNS.join(', ')}, last_refreshed_at)
+     VALUES (?, ${COUNTRY_COLUMNS.map(() => '?').join(', ')}, NOW())
+     ON DUPLICATE KEY UPDATE
+       ${COUNTRY_COLUMNS.map(column => `${column} = VALUES(${column})`).join(',\n       ')},
+       last_refreshed_at = NOW()`,
+    [country.name, ...values]
+  );
+
+  if (existingId) {
+    return existingId;
+  }
+
+  if (result.affectedRows === 1) {
+    return result.insertId;
+  }
+
+  const [rows] = await connection.query('SELECT id FROM countries WHERE name = ?', [country.name]);
+  return rows[0].id;
+}
+
+/**
+ * Store currency names and symbols
+ * @param {Object} connection - Database connection
+ * @param {Array} currencies - Currencies as { code, name, symbol }
+ * @returns {Promise<void>}
+ */
+async function saveCurrencies(connection, currencies) {
+  if (currencies.length === 0) {
+    return;
+  }
+
+  await connection.query(
+    `INSERT INTO currencies (code, name, symbol)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE
+       name = COALESCE(VALUES(name), name),
+       symbol = COALESCE(VALUES(symbol), symbol)`,
+    [currencies.map(currency => [currency.code, currency.name, currency.symbol])]
+  );
+}
+
+/**
+ * Replace the currencies linked to a country
+ * @param {Object} connection - Database connection
+ * @param {number} countryId - Country id
+ * @param {Array} currencies - Currencies as { code, name, symbol }, primary first
+ * @returns {Promise<void>}
+ */
+async function writeCountryCurrencies(connection, countryId, currencies) {
+  await connection.query('DELETE FROM country_currencies WHERE country_id = ?', [countryId]);
+
+  if (currencies.length > 0) {
+    await connection.query(
+      'INSERT INTO country_currencies (country_id, currency_code, position) VALUES ?',
+      [currencies.map((currency, index) => [countryId, currency.code, index])]
+    );
+  }
+}
+
+/**
+ * Upsert (insert or update) a country record with its currencies
+ * @param {Object} countryData - Country data object; overridden_fields, if given,
+ *   replaces the list of manually corrected fields
+ * @returns {Promise<void>}
+ */
+async function upsert(countryData) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const countryId = await writeCountry(connection, countryData);
+
+    if (countryData.currencies) {
+      await saveCurrencies(connection, countryData.currencies);
+      await writeCountryCurrencies(connection, countryId, countryData.currencies);
+    }
+
+    if (countryData.overridden_fields !== undefined) {
+      await connection.query(
+        'UPDATE countries SET overridden_fields = ? WHERE id = ?',
+        [countryData.overridden_fields === null ? null : JSON.stringify(countryData.overridden_fields), countryId]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Bulk upsert countries. Only rows whose data changed are written; each
+ * change is recorded against the refresh run when one is given. Deleted
+ * countries are skipped. A row that fails is rolled back on its own and
+ * reported, without aborting the rest.
+ * @param {Array} countries - Array of country data objects
+ * @param {number|null} refreshRunId - Refresh run to record changes against
+ * @returns {Promise<Object>} - Counts of inserted, updated, unchanged, skipped and failed rows, and errors
+ */
+async function bulkUpsert(countries, refreshRunId = null) {
+  const connection = await pool.getConnection();
+  const result = {
+    processed: countries.length,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    errors: []
+  };
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query('SELECT * FROM countries FOR UPDATE');
+    const [links] = await connection.query(
+      'SELECT country_id, currency_code FROM country_currencies ORDER BY country_id, position'
+    );
+
+    const currencyCodesById = new Map();
+    for (const link of links) {
+      if (!currencyCodesById.has(link.country_id)) {
+        currencyCodesById.set(link.country_id, []);
+      }
+      currencyCodesById.get(link.country_id).push(link.currency_code);
+    }
+
+    const existingByName = new Map(rows.map(row => [
+      row.name.toLowerCase(),
+      { ...row, currency_codes: currencyCodesById.get(row.id) || [] }
+    ]));
+
+    const allCurrencies = new Map();
+    for (const country of countries) {
+      for (const currency of country.currencies || []) {
+        allCurrencies.set(currency.code, currency);
+      }
+    }
+    await saveCurrencies(connection, [...allCurrencies.values()]);
+
+    for (const country of countries) {
+      const existing = existingByName.get(country.name.toLowerCase());
+
+      // Deleted countries stay deleted until they are restored
+      if (existing && existing.deleted_at) {
+        result.skipped++;
+        continue;
+      }
+
+      const currencies = country.currencies || [];
+      const changes = diffCountry(existing, {
+        ...country,
+        currency_codes: currencies.map(currency => currency.code)
+      });
+
+      if (existing && Object.keys(changes).length === 0) {
+        await connection.query('UPDATE countries SET last_refreshed_at = NOW() WHERE id = ?', [existing.id]);
+        result.unchanged++;
+        continue;
+      }
+
+      try {
+        await connection.query('SAVEPOINT country_upsert');
+
+        const countryId = await writeCountry(connection, country, existing ? existing.id : null);
+
+        if (!existing || changes.currency_codes) {
+          await writeCountryCurrencies(connection, countryId, currencies);
+        }
+
+        if (refreshRunId) {
+          await connection.query(
+            'INSERT INTO country_changes (refresh_run_id, country_name, change_type, changes) VALUES (?, ?, ?, ?)',
+            [refreshRunId, country.name, existing ? 'updated' : 'inserted', JSON.stringify(changes)]
+          );
+        }
+
+        await connection.query('RELEASE SAVEPOINT country_upsert');
+        result[existing ? 'updated' : 'inserted']++;
+      } catch (error) {
+        await connection.query('ROLLBACK TO SAVEPOINT country_upsert');
+        result.failed++;
+        result.errors.push({ country: country.name, error: error.message });
+      }
+    }
+
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Load the currencies of the given country rows
+ * @param {Array} rows - Country database rows
+ * @returns {Promise<Map<number, Array>>} - Country id to currencies, primary first
+ */
+async function findCurrencies(rows) {
+  const currenciesById = new Map();
+
+  if (rows.length === 0) {
+    return currenciesById;
+  }
+
+  const [links] = await pool.query(
+    `SELECT cc.country_id, c.code, c.name, c.symbol
+     FROM country_currencies cc
+     JOIN currencies c ON c.code = cc.currency_code
+     WHERE cc.country_id IN (?)
+     ORDER BY cc.country_id, cc.position`,
+    [rows.map(row => row.id)]
+  );
+
+  for (const link of links) {
+    if (!currenciesById.has(link.country_id)) {
+      currenciesById.set(link.country_id, []);
+    }
+    currenciesById.get(link.country_id).push({
+      code: link.code,
+      name: link.name,
+      symbol: link.symbol
+    });
+  }
+
+  return currenciesById;
+}
+
+// Countries with a primary currency or any linked one
+const HAS_CURRENCY = `(currency_code IS NOT NULL
+  OR EXISTS (SELECT 1 FROM country_currencies cc WHERE cc.country_id = countries.id))`;
+
+/**
+ * Escape LIKE wildcards so a search term matches literally
+ * @param {string} term - Search term
+ * @returns {string} - Escaped term
+ */
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, character => `\\${character}`);
+}
+
+/**
+ * Build the WHERE clause for country filters
+ * @param {Object} filters - Filter options (regions, currencies, population_min, population_max,
+ *   gdp_min, gdp_max, has_currency, q)
+ * @returns {Object} - SQL condition and its parameters
+ */
+function buildFilterClause(filters = {}) {
+  let where = 'deleted_at IS NULL';
+  const params = [];
+
+  if (filters.regions) {
+    where += ' AND region IN (?)';
+    params.push(filters.regions);
+  }
+
+  if (filters.currencies) {
+    // Match any of a country's currencies, not only the primary one
+    where += ` AND (currency_code IN (?)
+      OR id IN (SELECT country_id FROM country_currencies WHERE currency_code IN (?)))`;
+    params.push(filters.currencies, filters.currencies);
+  }
+
+  if (filters.has_currency !== undefined) {
+    where += filters.has_currency ? ` AND ${HAS_CURRENCY}` : ` AND NOT ${HAS_CURRENCY}`;
+  }
+
+  // Countries without a value never match a range
+  for (const [key, column] of [['population', 'population'], ['gdp', 'estimated_gdp']]) {
+    if (filters[`${key}_min`] !== undefined) {
+      where += ` AND ${column} >= ?`;
+      params.push(filters[`${key}_min`]);
+    }
+    if (filters[`${key}_max`] !== undefined) {
+      where += ` AND ${column} <= ?`;
+      params.push(filters[`${key}_max`]);
+    }
+  }
+
+  if (filters.q) {
+    // utf8mb4_unicode_ci makes LIKE ignore case and accents
+    const pattern = `%${escapeLike(filters.q)}%`;
+    where += ' AND (name LIKE ? OR capital LIKE ?)';
+    params.push(pattern, pattern);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Find countries with optional filters, sorting and paging
+ * @param {Object} filters - Filter options, as for buildFilterClause
+ * @param {Array<Object>|null} sort - Sort keys as { field, direction }, by name if null
+ * @param {Object|null} page - Rows to return as { limit, offset }, all rows if null
+ * @returns {Promise<Array>} - Country rows
+ */
+async function findAll(filters = {}, sort = null, page = null) {
+  const { where, params } = buildFilterClause(filters);
+  const keys = sort && sort.length > 0 ? sort : [{ field: 'name', direction: 'asc' }];
+  const orderBy = keys.map(key => `${SORT_COLUMNS[key.field]} ${key.direction === 'desc' ? 'DESC' : 'ASC'}`);
+
+  // Ties must break the same way on every request, or rows move between pages
+  let query = `SELECT * FROM countries WHERE ${where} ORDER BY ${orderBy.join(', ')}, id ASC`;
+
+  if (page) {
+    query += ' LIMIT ? OFFSET ?';
+    params.push(page.limit, page.offset);
+  }
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+/**
+ * Get the condition selecting live or deleted countries
+ * @param {boolean} deleted - True for deleted countries
+ * @returns {string} - SQL condition
+ */
+function deletedCondition(deleted) {
+  return deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL';
+}
+
+/**
+ * Find a single country by name
+ * @param {string} name - Country name
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.deleted] - Find a deleted country instead of a live one
+ * @returns {Promise<Object|null>} - Country row or null
+ */
+async function findByName(name, { deleted = false } = {}) {
+  const query = `SELECT * FROM countries WHERE LOWER(name) = LOWER(?) AND ${deletedCondition(deleted)} LIMIT 1`;
+  const [rows] = await pool.query(query, [name]);
+
+  return rows.length === 0 ? null : rows[0];
+}
+
+/**
+ * List the name and ISO codes of every country, for matching names that are
+ * not an exact match
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.deleted] - List deleted countries instead of live ones
+ * @returns {Promise<Array>} - Rows with id, name, alpha2_code and alpha3_code
+ */
+async function findNames({ deleted = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT id, name, alpha2_code, alpha3_code FROM countries WHERE ${deletedCondition(deleted)}`
+  );
+  return rows;
+}
+
+/**
+ * Find the live countries with manually corrected fields
+ * @returns {Promise<Array>} - Country rows whose overridden_fields is not empty
+ */
+async function findOverridden() {
+  const [rows] = await pool.query(
+    `SELECT * FROM countries
+     WHERE deleted_at IS NULL AND overridden_fields IS NOT NULL AND JSON_LENGTH(overridden_fields) > 0`
+  );
+  return rows;
+}
+
+/**
+ * Soft-delete a country by name. The row is kept, so refreshes can tell it
+ * was deleted and leave it out.
+ * @param {string} name - Country name
+ * @returns {Promise<boolean>} - True if deleted, false if not found or already deleted
+ */
+async function deleteByName(name) {
+  // last_refreshed_at updates itself on every write unless it is set explicitly
+  const query = `UPDATE countries SET deleted_at = NOW(), last_refreshed_at = last_refreshed_at
+    WHERE LOWER(name) = LOWER(?) AND deleted_at IS NULL`;
+  const [result] = await pool.query(query, [name]);
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Restore a soft-deleted country by name
+ * @param {string} name - Country name
+ * @returns {Promise<boolean>} - True if restored, false if no deleted country has the name
+ */
+async function restoreByName(name) {
+  const query = `UPDATE countries SET deleted_at = NULL, last_refreshed_at = last_refreshed_at
+    WHERE LOWER(name) = LOWER(?) AND deleted_at IS NOT NULL`;
+  const [result] = await pool.query(query, [name]);
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Count the stored countries
+ * @param {Object} filters - Filter options, as for buildFilterClause
+ * @returns {Promise<number>} - Number of matching countries
+ */
+async function count(filters = {}) {
+  const { where, params } = buildFilterClause(filters);
+  const [rows] = await pool.query(`SELECT COUNT(*) as total FROM countries WHERE ${where}`, params);
+  return rows[0].total;
+}
+
+/**
+ * Find the top countries by GDP
+ * @param {number} limit - Number of top countries to retrieve
+ * @returns {Promise<Array>} - Rows with name, estimated_gdp and flag_url
+ */
+async function findTopByGdp(limit = 5) {
+  const query = `
+    SELECT name, estimated_gdp, flag_url
+    FROM countries
+    WHERE estimated_gdp IS NOT NULL AND deleted_at IS NULL
+    ORDER BY estimated_gdp DESC
+    LIMIT ?
+  `;
+
+  const [rows] = await pool.query(query, [limit]);
+  return rows;
+}
+
+/**
+ * Sum up the matching countries, in total or per region
+ * @param {Object} filters - Filter options, as for buildFilterClause
+ * @param {Object} [options] - Aggregation options
+ * @param {boolean} [options.byRegion] - Return one row per region instead of one in total
+ * @returns {Promise<Array>} - Rows with country_count, total_population, mean_population and
+ *   total_gdp, and region when grouped by region
+ */
+async function aggregate(filters = {}, { byRegion = false } = {}) {
+  const { where, params } = buildFilterClause(filters);
+  const query = `
+    SELECT
+      ${byRegion ? 'region,' : ''}
+      COUNT(*) AS country_count,
+      SUM(population) AS total_population,
+      AVG(population) AS mean_population,
+      SUM(estimated_gdp) AS total_gdp
+    FROM countries
+    WHERE ${where}
+    ${byRegion ? 'GROUP BY region ORDER BY region' : ''}
+  `;
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+/**
+ * Find the median population of the matching countries
+ * @param {Object} filters - Filter options, as for buildFilterClause
+ * @returns {Promise<number|null>} - Median population, or null if no country has one
+ */
+async function findMedianPopulation(filters = {}) {
+  const { where, params } = buildFilterClause(filters);
+  const condition = `${where} AND population IS NOT NULL`;
+
+  const [counts] = await pool.query(`SELECT COUNT(*) AS total FROM countries WHERE ${condition}`, params);
+  const total = counts[0].total;
+
+  if (total === 0) {
+    return null;
+  }
+
+  // MySQL 5.7 has neither MEDIAN nor window functions, so read the middle row or two
+  const [rows] = await pool.query(
+    `SELECT population FROM countries WHERE ${condition} ORDER BY population ASC LIMIT ? OFFSET ?`,
+    [...params, 2 - (total % 2), Math.floor((total - 1) / 2)]
+  );
+
+  return rows.reduce((sum, row) => sum + Number(row.population), 0) / rows.length;
+}
+
+/**
+ * Count how many of the matching countries use each currency
+ * @param {Object} filters - Filter options, as for buildFilterClause
+ * @param {number} limit - Number of currencies to return
+ * @returns {Promise<Array>} - Rows with code, name, symbol and country_count, most used first
+ */
+async function countCurrencies(filters = {}, limit = 5) {
+  const { where, params } = buildFilterClause(filters);
+  const query = `
+    SELECT c.code, c.name, c.symbol, COUNT(*) AS country_count
+    FROM country_currencies cc
+    JOIN currencies c ON c.code = cc.currency_code
+    WHERE cc.country_id IN (SELECT id FROM countries WHERE ${where})
+    GROUP BY c.code, c.name, c.symbol
+    ORDER BY country_count DESC, c.code ASC
+    LIMIT ?
+  `;
+
+  const [rows] = await pool.query(query, [...params, limit]);
+  return rows;
+}
+
+/**
+ * Find the largest and smallest matching countries by area in each region
+ * @param {Object} filters - Filter options, as for buildFilterClause
+ * @returns {Promise<Array>} - Rows with extreme ('largest' or 'smallest'), region, name, area and
+ *   population; countries tied on area each get a row
+ */
+async function findAreaExtremes(filters = {}) {
+  const { where, params } = buildFilterClause(filters);
+  const extreme = (label, aggregateFunction) => `
+    SELECT '${label}' AS extreme, c.region, c.name, c.area, c.population
+    FROM countries c
+    JOIN (
+      SELECT region, ${aggregateFunction}(area) AS area
+      FROM countries
+      WHERE ${where} AND area IS NOT NULL
+      GROUP BY region
+    ) e ON e.region = c.region AND e.area = c.area
+    WHERE c.id IN (SELECT id FROM countries WHERE ${where})`;
+
+  const [rows] = await pool.query(
+    `${extreme('largest', 'MAX')} UNION ALL ${extreme('smallest', 'MIN')} ORDER BY region, name`,
+    [...params, ...params, ...params, ...params]
+  );
+  return rows;
+}
+
+module.exports = {
+  upsert,
+  bulkUpsert,
+  findAll,
+  findByName,
+  findNames,
+  findOverridden,
+  findCurrencies,
+  deleteByName,
+  restoreByName,
+  count,
+  findTopByGdp,
+  aggregate,
+  findMedianPopulation,
+  countCurrencies,
+  findAreaExtremes
+};
@@ -0,0 +1,111 @@
+const { pool } = require('../../config/database');
+
+/**
+ * Store rates for one day, replacing rates already stored for that day
+ * @param {Array<Object>} rates - Rates as { currency_code, rate }
+ * @param {string} date - Rate date (YYYY-MM-DD)
+ * @param {number|null} refreshRunId - Refresh run the rates were fetched by
+ * @returns {Promise<void>}
+ */
+async function save(rates, date, refreshRunId) {
+  await pool.query(
+    `INSERT INTO exchange_rates (currency_code, rate, rate_date, refresh_run_id)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE
+       rate = VALUES(rate),
+       refresh_run_id = VALUES(refresh_run_id)`,
+    [rates.map(rate => [rate.currency_code, rate.rate, date, refreshRunId])]
+  );
+}
+
+/**
+ * Find the latest stored rate of every currency, with the currency's name,
+ * symbol and the number of countries using it
+ * @returns {Promise<Array>} - Rows with currency_code, name, symbol, rate, rate_date
+ *   (YYYY-MM-DD) and countries, ordered by code
+ */
+async function findLatest() {
+  const [rows] = await pool.query(`
+    SELECT
+      e.currency_code,
+      cur.name,
+      cur.symbol,
+      e.rate,
+      DATE_FORMAT(e.rate_date, '%Y-%m-%d') AS rate_date,
+      (SELECT COUNT(*) FROM country_currencies cc
+       JOIN countries c ON c.id = cc.country_id AND c.deleted_at IS NULL
+       WHERE cc.currency_code = e.currency_code) AS countries
+    FROM exchange_rates e
+    LEFT JOIN currencies cur ON cur.code = e.currency_code
+    JOIN (
+      SELECT currency_code, MAX(rate_date) AS rate_date
+      FROM exchange_rates
+      GROUP BY currency_code
+    ) latest ON latest.currency_code = e.currency_code AND latest.rate_date = e.rate_date
+    ORDER BY e.currency_code ASC
+  `);
+
+  return rows;
+}
+
+/**
+ * Find the rates of one currency
+ * @param {string} code - Currency code
+ * @param {Object} range - Optional date range
+ * @param {string} [range.from] - First date (YYYY-MM-DD)
+ * @param {string} [range.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Rows with date (YYYY-MM-DD) and rate, ordered by date
+ */
+async function findHistory(code, range = {}) {
+  let query = `
+    SELECT DATE_FORMAT(rate_date, '%Y-%m-%d') AS date, rate
+    FROM exchange_rates
+    WHERE currency_code = ?`;
+  const params = [code];
+
+  if (range.from) {
+    query += ' AND rate_date >= ?';
+    params.push(range.from);
+  }
+
+  if (range.to) {
+    query += ' AND rate_date <= ?';
+    params.push(range.to);
+  }
+
+  query += ' ORDER BY rate_date ASC';
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+/**
+ * Find the most recent rate of a currency on or before a date
+ * @param {string} code - Currency code
+ * @param {string|null} date - Date (YYYY-MM-DD), latest rate if null
+ * @returns {Promise<Object|null>} - Row with date (YYYY-MM-DD) and rate, or null
+ */
+async function findOnDate(code, date = null) {
+  let query = `
+    SELECT DATE_FORMAT(rate_date, '%Y-%m-%d') AS date, rate
+    FROM exchange_rates
+    WHERE currency_code = ?`;
+  const params = [code];
+
+  if (date) {
+    query += ' AND rate_date <= ?';
+    params.push(date);
+  }
+
+  query += ' ORDER BY rate_date DESC LIMIT 1';
+
+  const [rows] = await pool.query(query, params);
+  return rows.length === 0 ? null : rows[0];
+}
+
+module.exports = {
+  save,
+  findLatest,
+  findHistory,
+  findOnDate
+};
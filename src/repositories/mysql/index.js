@@ -0,0 +1,15 @@
+const { initializeDatabase } = require('../../config/database');
+
+module.exports = {
+  initialize: initializeDatabase,
+  countryRepository: require('./countryRepository'),
+  metadataRepository: require('./metadataRepository'),
+  refreshRunRepository: require('./refreshRunRepository'),
+  exchangeRateRepository: require('./exchangeRateRepository'),
+  jobRepository: require('./jobRepository'),
+  lockRepository: require('./lockRepository'),
+  playerRepository: require('./playerRepository'),
+  quizRepository: require('./quizRepository'),
+  apiKeyRepository: require('./apiKeyRepository'),
+  rateLimitRepository: require('./rateLimitRepository')
+};
@@ -0,0 +1,58 @@
+const { pool } = require('../../config/database');
+
+/**
+ * Insert a queued job
+ * @param {Object} job - Job fields
+ * @param {string} job.id - Job id
+ * @param {string} job.type - Job type
+ * @param {string} job.triggered_by - What started the job
+ * @param {Object} job.params - Job parameters
+ * @returns {Promise<void>}
+ */
+async function create(job) {
+  await pool.query(
+    'INSERT INTO jobs (id, type, triggered_by, params) VALUES (?, ?, ?, ?)',
+    [job.id, job.type, job.triggered_by, JSON.stringify(job.params)]
+  );
+}
+
+/**
+ * Mark a job as running
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+async function markRunning(id) {
+  await pool.query("UPDATE jobs SET status = 'running', started_at = NOW() WHERE id = ?", [id]);
+}
+
+/**
+ * Record how a job ended
+ * @param {string} id - Job id
+ * @param {string} status - 'succeeded' or 'failed'
+ * @param {Object|null} result - Job result
+ * @param {string|null} error - Error message
+ * @returns {Promise<void>}
+ */
+async function finish(id, status, result, error) {
+  await pool.query(
+    'UPDATE jobs SET status = ?, result = ?, error = ?, finished_at = NOW() WHERE id = ?',
+    [status, result === null ? null : JSON.stringify(result), error, id]
+  );
+}
+
+/**
+ * Find a job by id
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} - Job row or null
+ */
+async function findById(id) {
+  const [rows] = await pool.query('SELECT * FROM jobs WHERE id = ?', [id]);
+  return rows.length === 0 ? null : rows[0];
+}
+
+module.exports = {
+  create,
+  markRunning,
+  finish,
+  findById
+};
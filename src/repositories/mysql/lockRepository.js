@@ -0,0 +1,64 @@
+const { pool, getDatabaseName } = require('../../config/database');
+
+/**
+ * Prefix lock names with the database name, since MySQL named locks are server-wide
+ * @param {string} name - Lock name
+ * @returns {string} - Qualified lock name
+ */
+function qualifyLockName(name) {
+  return `${getDatabaseName()}:${name}`;
+}
+
+/**
+ * Try to take a named database lock without waiting. The lock is held by a
+ * dedicated connection, so MySQL releases it if the process dies.
+ * @param {string} name - Lock name
+ * @returns {Promise<Object|null>} - Lock handle, or null if another holder has it
+ */
+async function acquire(name) {
+  const lockName = qualifyLockName(name);
+  const connection = await pool.getConnection();
+
+  try {
+    const [rows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [lockName]);
+
+    if (rows[0].acquired !== 1) {
+      connection.release();
+      return null;
+    }
+
+    return { name: lockName, connection };
+  } catch (error) {
+    connection.release();
+    throw error;
+  }
+}
+
+/**
+ * Release a lock taken with acquire
+ * @param {Object} lock - Lock handle
+ * @returns {Promise<void>}
+ */
+async function release(lock) {
+  try {
+    await lock.connection.query('SELECT RELEASE_LOCK(?)', [lock.name]);
+  } finally {
+    lock.connection.release();
+  }
+}
+
+/**
+ * Check whether a named lock is currently held by anyone
+ * @param {string} name - Lock name
+ * @returns {Promise<boolean>} - True if the lock is held
+ */
+async function isLocked(name) {
+  const [rows] = await pool.query('SELECT IS_FREE_LOCK(?) AS free', [qualifyLockName(name)]);
+  return rows[0].free !== 1;
+}
+
+module.exports = {
+  acquire,
+  release,
+  isLocked
+};
@@ -0,0 +1,64 @@
+const { pool } = require('../../config/database');
+
+/**
+ * Record a completed refresh in the metadata row
+ * @param {Object} metadata - Metadata fields
+ * @param {number} metadata.total_countries - Number of stored countries
+ * @param {string|null} metadata.gdp_strategy - GDP strategy used
+ * @param {string|null} metadata.gdp_seed - GDP seed used
+ * @param {string|null} metadata.data_source - Data source type
+ * @param {string|null} metadata.countries_provider - Provider that supplied the countries
+ * @param {string|null} metadata.exchange_rates_provider - Provider that supplied the exchange rates
+ * @param {boolean} metadata.exchange_rates_stale - True if last-known rates were used
+ * @param {number} metadata.exchange_rates_filled - Currencies filled in with last-known rates
+ * @param {string|null} metadata.exchange_rates_as_of - Date of the rates used (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+async function update(metadata) {
+  await pool.query(
+    `UPDATE refresh_metadata SET
+       last_refreshed_at = NOW(),
+       total_countries = ?,
+       gdp_strategy = ?,
+       gdp_seed = ?,
+       data_source = ?,
+       countries_provider = ?,
+       exchange_rates_provider = ?,
+       exchange_rates_stale = ?,
+       exchange_rates_filled = ?,
+       exchange_rates_as_of = ?
+     WHERE id = 1`,
+    [
+      metadata.total_countries,
+      metadata.gdp_strategy,
+      metadata.gdp_seed,
+      metadata.data_source,
+      metadata.countries_provider,
+      metadata.exchange_rates_provider,
+      metadata.exchange_rates_stale,
+      metadata.exchange_rates_filled,
+      metadata.exchange_rates_as_of
+    ]
+  );
+}
+
+/**
+ * Get the metadata row
+ * @returns {Promise<Object|null>} - Metadata row, with exchange_rates_as_of as YYYY-MM-DD, or null
+ */
+async function get() {
+  const [rows] = await pool.query(
+    `SELECT
+       total_countries, last_refreshed_at, gdp_strategy, gdp_seed, data_source,
+       countries_provider, exchange_rates_provider, exchange_rates_stale, exchange_rates_filled,
+       DATE_FORMAT(exchange_rates_as_of, '%Y-%m-%d') AS exchange_rates_as_of
+     FROM refresh_metadata WHERE id = 1`
+  );
+
+  return rows.length === 0 ? null : rows[0];
+}
+
+module.exports = {
+  update,
+  get
+};
@@ -0,0 +1,113 @@
+const { pool } = require('../../config/database');
+
+/**
+ * Insert a player
+ * @param {string} nickname - Player nickname
+ * @param {string} tokenHash - Hash of the player token
+ * @returns {Promise<number|null>} - Player id, or null if the nickname is taken
+ */
+async function create(nickname, tokenHash) {
+  try {
+    const [result] = await pool.query(
+      'INSERT INTO players (nickname, token_hash) VALUES (?, ?)',
+      [nickname, tokenHash]
+    );
+
+    return result.insertId;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find a player by token hash
+ * @param {string} tokenHash - Hash of the player token
+ * @returns {Promise<Object|null>} - Row with id, nickname and created_at, or null
+ */
+async function findByTokenHash(tokenHash) {
+  const [rows] = await pool.query(
+    'SELECT id, nickname, created_at FROM players WHERE token_hash = ? LIMIT 1',
+    [tokenHash]
+  );
+
+  return rows.length === 0 ? null : rows[0];
+}
+
+/**
+ * Find a player with totals over their quiz results. Players have one session
+ * per daily challenge, so each date's challenge counts once.
+ * @param {string} nickname - Player nickname
+ * @returns {Promise<Object|null>} - Row with nickname, created_at, quizzes_completed, total_score,
+ *   total_questions, best_score, best_streak and last_played_at, or null
+ */
+async function findProfile(nickname) {
+  const [rows] = await pool.query(
+    `SELECT
+       p.nickname,
+       p.created_at,
+       COUNT(r.id) AS quizzes_completed,
+       COALESCE(SUM(r.score), 0) AS total_score,
+       COALESCE(SUM(r.total_questions), 0) AS total_questions,
+       COALESCE(MAX(r.score), 0) AS best_score,
+       COALESCE(MAX(r.best_streak), 0) AS best_streak,
+       MAX(r.completed_at) AS last_played_at
+     FROM players p
+     LEFT JOIN quiz_results r ON r.player_id = p.id
+     WHERE p.nickname = ?
+     GROUP BY p.id`,
+    [nickname]
+  );
+
+  return rows.length === 0 ? null : rows[0];
+}
+
+/**
+ * Find players ranked by total score. Players have one session per daily
+ * challenge, so each date's challenge counts once.
+ * @param {Object} options - Leaderboard options
+ * @param {Date|null} options.since - Only count results completed from this time
+ * @param {string|null} options.region - Only count quizzes played in this region
+ * @param {number} options.limit - Number of players to return
+ * @returns {Promise<Array>} - Rows with nickname, total_score, total_questions and quizzes_completed
+ */
+async function findLeaderboard({ since, region, limit }) {
+  let query = `
+    SELECT
+      p.nickname,
+      SUM(r.score) AS total_score,
+      SUM(r.total_questions) AS total_questions,
+      COUNT(*) AS quizzes_completed
+    FROM quiz_results r
+    JOIN players p ON p.id = r.player_id
+    WHERE 1=1`;
+  const params = [];
+
+  if (region) {
+    query += ' AND r.region = ?';
+    params.push(region);
+  }
+
+  if (since) {
+    query += ' AND r.completed_at >= ?';
+    params.push(since);
+  }
+
+  query += `
+    GROUP BY r.player_id, p.nickname
+    ORDER BY total_score DESC, total_questions ASC, p.nickname ASC
+    LIMIT ?`;
+  params.push(limit);
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+}
+
+module.exports = {
+  create,
+  findByTokenHash,
+  findProfile,
+  findLeaderboard
+};
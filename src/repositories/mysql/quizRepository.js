@@ -0,0 +1,198 @@
+const { pool } = require('../../config/database');
+
+/**
+ * Insert a quiz session with its questions
+ * @param {string} id - Quiz id
+ * @param {Object} settings - Quiz settings (region, type, difficulty, daily)
+ * @param {Array} questions - Generated question objects
+ * @param {number|null} playerId - Player taking the quiz
+ * @returns {Promise<boolean>} - True if created, false if the player already has a session
+ *   for the daily challenge
+ */
+async function create(id, settings, questions, playerId) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await connection.query(
+      `INSERT INTO quizzes (id, player_id, region, question_type, difficulty, daily_date, total_questions)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        playerId,
+        settings.region || null,
+        settings.type || null,
+        settings.difficulty || null,
+        settings.daily || null,
+        questions.length
+      ]
+    );
+
+    for (const [index, question] of questions.entries()) {
+      await connection.query(
+        `INSERT INTO quiz_questions (quiz_id, position, type, question, image_url, options, correct_answer, country_name, difficulty)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          index + 1,
+          question.type,
+          question.question,
+          question.image_url || null,
+          JSON.stringify(question.options),
+          question.answer,
+          question.country,
+          question.difficulty
+        ]
+      );
+    }
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+
+    // Another request started the player's daily session first
+    if (error.code === 'ER_DUP_ENTRY') {
+      return false;
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Find a player's session for a daily challenge
+ * @param {number} playerId - Player id
+ * @param {string} date - Challenge date (YYYY-MM-DD)
+ * @returns {Promise<string|null>} - Quiz id, or null if the player has not started the challenge
+ */
+async function findDailyId(playerId, date) {
+  const [rows] = await pool.query(
+    'SELECT id FROM quizzes WHERE player_id = ? AND daily_date = ? LIMIT 1',
+    [playerId, date]
+  );
+
+  return rows.length === 0 ? null : rows[0].id;
+}
+
+/**
+ * Find a quiz session with its questions
+ * @param {string} id - Quiz id
+ * @returns {Promise<Object|null>} - { quiz, questions } rows, the quiz row including the player's
+ *   nickname, or null
+ */
+async function findById(id) {
+  const [quizzes] = await pool.query(
+    'SELECT q.*, p.nickname FROM quizzes q LEFT JOIN players p ON p.id = q.player_id WHERE q.id = ?',
+    [id]
+  );
+
+  if (quizzes.length === 0) {
+    return null;
+  }
+
+  const [questions] = await pool.query(
+    'SELECT * FROM quiz_questions WHERE quiz_id = ? ORDER BY position ASC',
+    [id]
+  );
+
+  return { quiz: quizzes[0], questions };
+}
+
+/**
+ * Record an answer. The quiz is locked while the answer is evaluated, so
+ * concurrent answers cannot corrupt the streak.
+ * @param {string} id - Quiz id
+ * @param {number} position - Question position (1-based)
+ * @param {Function} evaluate - Receives the quiz and question rows and returns either
+ *   { status } to reject the answer, or the answer outcome with status 'ok'
+ * @returns {Promise<Object>} - Outcome from evaluate, or { status: 'quiz_not_found' | 'question_not_found' }
+ */
+async function recordAnswer(id, position, evaluate) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [quizzes] = await connection.query('SELECT * FROM quizzes WHERE id = ? FOR UPDATE', [id]);
+    if (quizzes.length === 0) {
+      await connection.rollback();
+      return { status: 'quiz_not_found' };
+    }
+
+    const [questions] = await connection.query(
+      'SELECT * FROM quiz_questions WHERE quiz_id = ? AND position = ?',
+      [id, position]
+    );
+    if (questions.length === 0) {
+      await connection.rollback();
+      return { status: 'question_not_found' };
+    }
+
+    const quiz = quizzes[0];
+    const question = questions[0];
+    const outcome = evaluate(quiz, question);
+    if (outcome.status !== 'ok') {
+      await connection.rollback();
+      return outcome;
+    }
+
+    await connection.query(
+      'UPDATE quiz_questions SET player_answer = ?, is_correct = ?, answered_at = NOW() WHERE id = ?',
+      [outcome.answer, outcome.correct, question.id]
+    );
+
+    // Feed the answer into the country's observed difficulty
+    await connection.query(
+      'UPDATE countries SET answer_attempts = answer_attempts + 1, correct_answers = correct_answers + ? WHERE name = ?',
+      [outcome.correct ? 1 : 0, question.country_name]
+    );
+
+    await connection.query(
+      `UPDATE quizzes SET
+         answered_count = ?,
+         score = ?,
+         streak = ?,
+         best_streak = ?,
+         status = ?,
+         completed_at = IF(?, NOW(), NULL)
+       WHERE id = ?`,
+      [
+        outcome.answered_count,
+        outcome.score,
+        outcome.streak,
+        outcome.best_streak,
+        outcome.completed ? 'completed' : 'in_progress',
+        outcome.completed,
+        id
+      ]
+    );
+
+    // Completed quizzes of identified players count towards the leaderboards
+    if (outcome.completed && quiz.player_id !== null) {
+      await connection.query(
+        `INSERT INTO quiz_results (quiz_id, player_id, region, daily_date, score, total_questions, best_streak)
+         SELECT id, player_id, region, daily_date, ?, total_questions, ?
+         FROM quizzes WHERE id = ?`,
+        [outcome.score, outcome.best_streak, id]
+      );
+    }
+
+    await connection.commit();
+    return outcome;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  create,
+  findDailyId,
+  findById,
+  recordAnswer
+};
@@ -0,0 +1,85 @@
+const { pool } = require('../../config/database');
+
+/**
+ * Count a request against a fixed-window counter, starting a new window if the
+ * current one has ended. Times come from the database clock, so instances with
+ * drifting clocks still share the same windows.
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} - Requests in the current window (hits) and
+ *   milliseconds until it ends (reset_in_ms)
+ */
+async function hit(key, windowMs) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // hits is assigned before reset_at, so both IFs still see the old reset_at
+    await connection.query(
+      `INSERT INTO rate_limits (bucket_key, hits, reset_at)
+       VALUES (?, 1, NOW(3) + INTERVAL ? MICROSECOND)
+       ON DUPLICATE KEY UPDATE
+         hits = IF(reset_at <= NOW(3), 1, hits + 1),
+         reset_at = IF(reset_at <= NOW(3), VALUES(reset_at), reset_at)`,
+      [key, windowMs * 1000]
+    );
+
+    // The upsert keeps the row locked, so no other request can change it before this read
+    const [rows] = await connection.query(
+      `SELECT hits, TIMESTAMPDIFF(MICROSECOND, NOW(3), reset_at) DIV 1000 AS reset_in_ms
+       FROM rate_limits WHERE bucket_key = ?`,
+      [key]
+    );
+
+    await connection.commit();
+
+    return {
+      hits: rows[0].hits,
+      reset_in_ms: Math.max(0, Number(rows[0].reset_in_ms))
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Read a counter without counting a request
+ * @param {string} key - Counter key
+ * @returns {Promise<Object|null>} - hits and reset_in_ms of the current window, or null if
+ *   no window is running
+ */
+async function peek(key) {
+  const [rows] = await pool.query(
+    `SELECT hits, TIMESTAMPDIFF(MICROSECOND, NOW(3), reset_at) DIV 1000 AS reset_in_ms
+     FROM rate_limits WHERE bucket_key = ? AND reset_at > NOW(3)`,
+    [key]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    hits: rows[0].hits,
+    reset_in_ms: Math.max(0, Number(rows[0].reset_in_ms))
+  };
+}
+
+/**
+ * Delete counters whose window has ended
+ * @returns {Promise<number>} - Number of deleted counters
+ */
+async function deleteExpired() {
+  const [result] = await pool.query('DELETE FROM rate_limits WHERE reset_at <= NOW(3)');
+  return result.affectedRows;
+}
+
+module.exports = {
+  hit,
+  peek,
+  deleteExpired
+};
@@ -0,0 +1,94 @@
+const { pool } = require('../../config/database');
+
+/**
+ * Insert a running refresh run
+ * @param {Object} run - Run details
+ * @param {string} run.countries_url - Countries source URL
+ * @param {string} run.exchange_rates_url - Exchange rates source URL
+ * @param {string|null} run.gdp_strategy - GDP strategy
+ * @param {string|null} run.gdp_seed - GDP seed
+ * @returns {Promise<number>} - Refresh run id
+ */
+async function create(run) {
+  const [result] = await pool.query(
+    `INSERT INTO refresh_runs (countries_url, exchange_rates_url, gdp_strategy, gdp_seed)
+     VALUES (?, ?, ?, ?)`,
+    [run.countries_url, run.exchange_rates_url, run.gdp_strategy, run.gdp_seed]
+  );
+
+  return result.insertId;
+}
+
+/**
+ * Record the end of a refresh run
+ * @param {number} id - Refresh run id
+ * @param {string} status - 'succeeded', 'partial' or 'failed'
+ * @param {Object} counts - Inserted, updated, unchanged, skipped and failed counts
+ * @param {Array} errors - Errors to record
+ * @returns {Promise<void>}
+ */
+async function finish(id, status, counts, errors) {
+  await pool.query(
+    `UPDATE refresh_runs SET
+       status = ?,
+       finished_at = NOW(),
+       inserted_count = ?,
+       updated_count = ?,
+       unchanged_count = ?,
+       skipped_count = ?,
+       failed_count = ?,
+       errors = ?
+     WHERE id = ?`,
+    [
+      status,
+      counts.inserted,
+      counts.updated,
+      counts.unchanged,
+      counts.skipped,
+      counts.failed,
+      JSON.stringify(errors),
+      id
+    ]
+  );
+}
+
+/**
+ * Find the most recent refresh runs
+ * @param {number} limit - Number of runs to return
+ * @returns {Promise<Array>} - Refresh run rows, newest first
+ */
+async function findRecent(limit) {
+  const [rows] = await pool.query(
+    'SELECT * FROM refresh_runs ORDER BY started_at DESC, id DESC LIMIT ?',
+    [limit]
+  );
+
+  return rows;
+}
+
+/**
+ * Find the recorded changes of one country
+ * @param {string} name - Country name
+ * @param {number} limit - Number of changes to return
+ * @returns {Promise<Array>} - Country change rows, newest first
+ */
+async function findCountryChanges(name, limit) {
+  const [rows] = await pool.query(
+    `SELECT c.*
+     FROM country_changes c
+     JOIN refresh_runs r ON r.id = c.refresh_run_id
+     WHERE c.country_name = ?
+     ORDER BY c.created_at DESC, c.id DESC
+     LIMIT ?`,
+    [name, limit]
+  );
+
+  return rows;
+}
+
+module.exports = {
+  create,
+  finish,
+  findRecent,
+  findCountryChanges
+};
@@ -0,0 +1,40 @@
+// Country columns written on every upsert; JSON columns hold lists from the source data
+const COUNTRY_COLUMNS = [
+  'capital',
+  'capitals',
+  'region',
+  'subregion',
+  'population',
+  'area',
+  'alpha2_code',
+  'alpha3_code',
+  'currency_code',
+  'exchange_rate',
+  'estimated_gdp',
+  'languages',
+  'borders',
+  'timezones',
+  'calling_codes',
+  'flag_url',
+  'difficulty_score'
+];
+
+const JSON_COLUMNS = ['capitals', 'languages', 'borders', 'timezones', 'calling_codes'];
+
+// Fields the country list can be sorted by, and the columns they order by
+const SORT_COLUMNS = {
+  name: 'name',
+  capital: 'capital',
+  region: 'region',
+  subregion: 'subregion',
+  population: 'population',
+  area: 'area',
+  gdp: 'estimated_gdp',
+  exchange_rate: 'exchange_rate'
+};
+
+module.exports = {
+  COUNTRY_COLUMNS,
+  JSON_COLUMNS,
+  SORT_COLUMNS
+};
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getApiKeys,
+  addApiKey,
+  deleteApiKey,
+} = require("../controllers/adminController");
+const { requireRole } = require("../middleware/auth");
+
+// Every admin route needs an admin key
+router.use(requireRole("admin"));
+
+// GET /admin/api-keys - List API keys
+router.get("/api-keys", getApiKeys);
+
+// POST /admin/api-keys - Create an API key
+router.post("/api-keys", addApiKey);
+
+// DELETE /admin/api-keys/:id - Revoke an API key
+router.delete("/api-keys/:id", deleteApiKey);
+
+module.exports = router;
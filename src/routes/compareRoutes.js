@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { compareCountries } = require("../controllers/countryController");
+
+// GET /compare - Compare countries side by side
+router.get("/", compareCountries);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { convert } = require("../controllers/currencyController");
+
+// GET /convert - Convert an amount between two currencies
+router.get("/", convert);
+
+module.exports = router;
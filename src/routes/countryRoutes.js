@@ -5,11 +5,19 @@ const {
   getCountries,
   getCountry,
   deleteCountry,
+  getCountryChangeHistory,
   getSummaryImage,
+  getCountryCardImage,
+  addCountry,
+  editCountry,
+  resetCountryOverrides,
+  restoreDeletedCountry,
 } = require("../controllers/countryController");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
 
 // POST /countries/refresh - Refresh country data from external APIs
-router.post("/refresh", refreshCountries);
+router.post("/refresh", requireRole("admin"), rateLimit("refresh"), refreshCountries);
 
 // GET /countries/image - Serve summary image (must be before /:name to avoid conflict)
 router.get("/image", getSummaryImage);
@@ -17,10 +25,31 @@ router.get("/image", getSummaryImage);
 // GET /countries - Get all countries with optional filters
 router.get("/", getCountries);
 
+// POST /countries - Add a country manually
+router.post("/", requireRole("admin"), addCountry);
+
+// GET /countries/:name/history - Get recorded changes of a country
+router.get("/:name/history", getCountryChangeHistory);
+
+// GET /countries/:name/card.png - Get a shareable image card of a country
+router.get("/:name/card.png", getCountryCardImage);
+
 // GET /countries/:name - Get single country by name
 router.get("/:name", getCountry);
 
-// DELETE /countries/:name - Delete country by name
-router.delete("/:name", deleteCountry);
+// PUT /countries/:name - Replace a country's editable fields
+router.put("/:name", requireRole("admin"), editCountry);
+
+// PATCH /countries/:name - Correct some of a country's fields
+router.patch("/:name", requireRole("admin"), editCountry);
+
+// DELETE /countries/:name - Delete country by name (restorable)
+router.delete("/:name", requireRole("admin"), deleteCountry);
+
+// POST /countries/:name/restore - Restore a deleted country
+router.post("/:name/restore", requireRole("admin"), restoreDeletedCountry);
+
+// DELETE /countries/:name/overrides - Clear a country's manual corrections
+router.delete("/:name/overrides", requireRole("admin"), resetCountryOverrides);
 
 module.exports = router;
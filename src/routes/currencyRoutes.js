@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listCurrencies,
+  getCurrencyRateHistory,
+} = require("../controllers/currencyController");
+
+// GET /currencies - List currencies with latest rates
+router.get("/", listCurrencies);
+
+// GET /currencies/:code/history - Get exchange rate history of a currency
+router.get("/:code/history", getCurrencyRateHistory);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { getFlag, getFlagFile } = require("../controllers/flagController");
+
+// GET /flags/files/:hash - Get a mirrored flag by content hash
+router.get("/files/:hash", getFlagFile);
+
+// GET /flags/:code - Get a country's flag by ISO code, name or alias
+router.get("/:code", getFlag);
+
+module.exports = router;
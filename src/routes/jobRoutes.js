@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { getJob } = require("../controllers/jobController");
+
+// GET /jobs/:id - Get background job status
+router.get("/:id", getJob);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { getLeaderboards } = require("../controllers/playerController");
+
+// GET /leaderboards - Get all-time, weekly or per-region rankings
+router.get("/", getLeaderboards);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const {
+  registerPlayer,
+  getPlayer,
+} = require("../controllers/playerController");
+const { requireRole } = require("../middleware/auth");
+
+// POST /players - Register a new player
+router.post("/", requireRole("player"), registerPlayer);
+
+// GET /players/:nickname - Get player profile
+router.get("/:nickname", getPlayer);
+
+module.exports = router;
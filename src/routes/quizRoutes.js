@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createQuizSession,
+  getQuiz,
+  submitAnswer,
+} = require("../controllers/quizController");
+const { identifyPlayer } = require("../middleware/playerAuth");
+const { requireRole } = require("../middleware/auth");
+
+// POST /quizzes - Create a new quiz session
+router.post("/", requireRole("player"), identifyPlayer, createQuizSession);
+
+// GET /quizzes/:id - Get quiz progress and results
+router.get("/:id", getQuiz);
+
+// POST /quizzes/:id/answers - Answer a quiz question
+router.post("/:id/answers", requireRole("player"), identifyPlayer, submitAnswer);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { getRegionStatistics } = require("../controllers/statsController");
+
+// GET /regions/:region/stats - Get statistics of one region
+router.get("/:region/stats", getRegionStatistics);
+
+module.exports = router;
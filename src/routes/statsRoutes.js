@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { getStats } = require("../controllers/statsController");
+
+// GET /stats - Get statistics of all countries and of each region
+router.get("/", getStats);
+
+module.exports = router;
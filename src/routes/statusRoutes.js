@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { getStatus } = require('../controllers/countryController');
+const { getStatus, getRefreshHistory } = require('../controllers/countryController');
 
 // GET /status - Get system status
 router.get('/', getStatus);
 
+// GET /status/history - Get past refresh runs
+router.get('/history', getRefreshHistory);
+
 module.exports = router;
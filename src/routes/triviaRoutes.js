@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getQuestion,
+  getDailyChallenge,
+} = require("../controllers/triviaController");
+
+// GET /trivia/question - Get a random multiple-choice question
+router.get("/question", getQuestion);
+
+// GET /trivia/daily - Get the daily challenge (same for every player on a UTC day)
+router.get("/daily", getDailyChallenge);
+
+module.exports = router;
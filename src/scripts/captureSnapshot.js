@@ -0,0 +1,20 @@
+require('dotenv').config();
+const { captureSnapshot, DEFAULT_SNAPSHOT_PATH } = require('../services/dataSource');
+
+/**
+ * Capture the current upstream API responses for offline refreshes.
+ * Usage: npm run snapshot [-- <path>] (default DATA_SNAPSHOT_PATH or data/snapshot.json)
+ */
+async function main() {
+  const snapshotPath = process.argv[2] || process.env.DATA_SNAPSHOT_PATH || DEFAULT_SNAPSHOT_PATH;
+
+  try {
+    const result = await captureSnapshot(snapshotPath);
+    console.log(`Captured ${result.countries} countries and ${result.exchange_rates} exchange rates to ${result.path}`);
+  } catch (error) {
+    console.error('Failed to capture snapshot:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
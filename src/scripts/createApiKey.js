@@ -0,0 +1,26 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { API_KEY_ROLES, createApiKey } = require('../services/apiKeyService');
+
+/**
+ * Create an API key in the MySQL database, e.g. the first admin key.
+ * Usage: npm run api-key -- <name> [role] (default admin)
+ */
+async function main() {
+  const [name, role = 'admin'] = process.argv.slice(2);
+
+  if (!name || !API_KEY_ROLES.includes(role)) {
+    throw new Error(`Usage: npm run api-key -- <name> [${API_KEY_ROLES.join('|')}]`);
+  }
+
+  const apiKey = await createApiKey(name, role);
+  console.log(`Created ${apiKey.role} key ${apiKey.id} for "${apiKey.name}". It is only shown once:`);
+  console.log(apiKey.key);
+}
+
+main()
+  .catch(error => {
+    console.error('Failed to create API key:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
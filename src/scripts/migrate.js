@@ -0,0 +1,52 @@
+require('dotenv').config();
+const { pool, createDatabaseIfMissing } = require('../config/database');
+const { migrate, rollback, getMigrationStatus } = require('../config/migrator');
+
+/**
+ * Apply, list or revert schema migrations.
+ * Usage: npm run migrate | npm run migrate:status | npm run migrate:rollback [-- <steps>]
+ */
+async function main() {
+  const [command = 'up', argument] = process.argv.slice(2);
+
+  if (command === 'up') {
+    await createDatabaseIfMissing();
+    const applied = await migrate(pool);
+
+    if (applied.length === 0) {
+      console.log('Database schema is up to date');
+    }
+    applied.forEach(name => console.log(`Applied ${name}`));
+  } else if (command === 'status') {
+    const status = await getMigrationStatus(pool);
+
+    for (const migration of status) {
+      const state = migration.missing
+        ? 'applied, file missing'
+        : migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString()}` : 'pending';
+      console.log(`${migration.name}  ${state}`);
+    }
+  } else if (command === 'rollback') {
+    const steps = argument === undefined ? 1 : parseInt(argument, 10);
+
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('Rollback steps must be a positive integer');
+    }
+
+    const reverted = await rollback(pool, steps);
+
+    if (reverted.length === 0) {
+      console.log('No migrations to roll back');
+    }
+    reverted.forEach(name => console.log(`Rolled back ${name}`));
+  } else {
+    throw new Error(`Unknown command "${command}", expected up, status or rollback`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { apiKeyRepository } = require('../repositories');
+
+// Roles from least to most privileged; each role can do everything the ones before it can
+const API_KEY_ROLES = ['reader', 'player', 'admin'];
+const API_KEY_PREFIX = 'ctk_';
+// Characters of a key kept in plain text so admins can tell keys apart
+const VISIBLE_KEY_LENGTH = 12;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a role includes the permissions of another
+ * @param {string} role - Role of the client
+ * @param {string} required - Role an action needs
+ * @returns {boolean} - True if role is at least as privileged as required
+ */
+function hasRole(role, required) {
+  return API_KEY_ROLES.indexOf(role) >= API_KEY_ROLES.indexOf(required);
+}
+
+/**
+ * Check a key against ADMIN_API_KEY, the key that works before any are stored
+ * @param {string} key - Plain API key
+ * @returns {boolean} - True if ADMIN_API_KEY is set and matches
+ */
+function isBootstrapKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return false;
+  }
+
+  // Compare hashes so the comparison takes the same time whatever the input length
+  return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(adminKey), 'hex'));
+}
+
+/**
+ * Create an API key. The plain key is only ever returned here.
+ * @param {string} name - What the key is for
+ * @param {string} role - One of API_KEY_ROLES
+ * @returns {Promise<Object>} - API key with id, name, role, key, key_prefix and created_at
+ */
+async function createApiKey(name, role) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const id = await apiKeyRepository.create({
+    name,
+    role,
+    key_prefix: key.slice(0, VISIBLE_KEY_LENGTH),
+    key_hash: hashKey(key)
+  });
+
+  const apiKey = await apiKeyRepository.findById(id);
+
+  return {
+    id,
+    name,
+    role,
+    key,
+    key_prefix: apiKey.key_prefix,
+    created_at: apiKey.created_at
+  };
+}
+
+/**
+ * Get the client a key belongs to, and record that the key was used
+ * @param {string} key - Plain API key
+ * @returns {Promise<Object|null>} - Client with id, name and role, or null if the key is unknown or revoked
+ */
+async function authenticateApiKey(key) {
+  if (isBootstrapKey(key)) {
+    return { id: null, name: 'ADMIN_API_KEY', role: 'admin' };
+  }
+
+  const apiKey = await apiKeyRepository.findActiveByHash(hashKey(key));
+
+  if (!apiKey) {
+    return null;
+  }
+
+  await apiKeyRepository.touch(apiKey.id);
+
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    role: apiKey.role
+  };
+}
+
+/**
+ * List every API key without the keys themselves
+ * @returns {Promise<Array>} - API keys with id, name, role, key_prefix, created_at,
+ *   last_used_at and revoked_at
+ */
+async function listApiKeys() {
+  return apiKeyRepository.findAll();
+}
+
+/**
+ * Revoke an API key so it can no longer be used
+ * @param {number} id - API key id
+ * @returns {Promise<boolean>} - True if revoked, false if not found or already revoked
+ */
+async function revokeApiKey(id) {
+  return apiKeyRepository.revoke(id);
+}
+
+module.exports = {
+  API_KEY_ROLES,
+  hasRole,
+  createApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,77 @@
+// Other names people use for countries, by ISO alpha-3 code: common short
+// names, native names and former names. Matching ignores case, accents and
+// punctuation, so only genuinely different spellings belong here. Names that
+// only drop a qualifier from the stored name ("Bolivia" for "Bolivia
+// (Plurinational State of)") are derived automatically.
+const COUNTRY_ALIASES = {
+  ARE: ['UAE', 'Emirates', 'United Arab Emirates'],
+  AUT: ['Osterreich'],
+  BEL: ['Belgie', 'Belgique'],
+  BEN: ['Dahomey'],
+  BFA: ['Upper Volta'],
+  BIH: ['Bosnia', 'Bosnia Herzegovina'],
+  BLZ: ['British Honduras'],
+  BRA: ['Brasil'],
+  BRN: ['Brunei'],
+  BWA: ['Bechuanaland'],
+  CHE: ['Schweiz', 'Suisse', 'Svizzera', 'Swiss Confederation'],
+  CHN: ['PRC', 'Zhongguo', "People's Republic of China"],
+  CIV: ['Ivory Coast'],
+  COD: ['DRC', 'DR Congo', 'Congo-Kinshasa', 'Democratic Republic of the Congo', 'Zaire'],
+  COG: ['Congo-Brazzaville', 'Republic of the Congo'],
+  CPV: ['Cape Verde'],
+  CZE: ['Czechia'],
+  DEU: ['Deutschland', 'West Germany'],
+  DNK: ['Danmark'],
+  ESP: ['Espana'],
+  ETH: ['Abyssinia'],
+  FIN: ['Suomi'],
+  FSM: ['Micronesia'],
+  GBR: ['UK', 'U.K.', 'Britain', 'Great Britain', 'United Kingdom'],
+  GHA: ['Gold Coast'],
+  GRC: ['Hellas', 'Ellada'],
+  HRV: ['Hrvatska'],
+  HUN: ['Magyarorszag'],
+  IND: ['Bharat'],
+  IRL: ['Eire'],
+  IRN: ['Persia'],
+  ITA: ['Italia'],
+  JPN: ['Nippon', 'Nihon'],
+  KHM: ['Kampuchea'],
+  KNA: ['Saint Kitts'],
+  KOR: ['South Korea', 'Republic of Korea'],
+  LAO: ['Laos'],
+  LKA: ['Ceylon'],
+  LSO: ['Basutoland'],
+  MAC: ['Macau'],
+  MDA: ['Moldova'],
+  MKD: ['Macedonia', 'FYROM'],
+  MMR: ['Burma'],
+  MWI: ['Nyasaland'],
+  NLD: ['Holland', 'Nederland', 'The Netherlands'],
+  NOR: ['Norge'],
+  POL: ['Polska'],
+  PRK: ['North Korea', 'DPRK'],
+  PSE: ['Palestine'],
+  RUS: ['Russia', 'Rossiya'],
+  SUR: ['Dutch Guiana'],
+  SWE: ['Sverige'],
+  SWZ: ['Swaziland', 'Eswatini'],
+  SYR: ['Syria'],
+  THA: ['Siam'],
+  TLS: ['East Timor'],
+  TTO: ['Trinidad', 'Tobago'],
+  TUR: ['Turkiye', 'Turkey'],
+  TWN: ['Formosa', 'Republic of China'],
+  TZA: ['Tanganyika'],
+  USA: ['US', 'U.S.', 'U.S.A.', 'America', 'United States'],
+  VAT: ['Vatican', 'Vatican City', 'Holy See'],
+  VCT: ['Saint Vincent'],
+  VNM: ['Vietnam'],
+  VUT: ['New Hebrides'],
+  ZWE: ['Rhodesia']
+};
+
+module.exports = {
+  COUNTRY_ALIASES
+};
@@ -0,0 +1,119 @@
+// Countries one comparison may cover
+const MIN_COMPARE_COUNTRIES = 2;
+const MAX_COMPARE_COUNTRIES = 10;
+
+// Compared metrics, in response order. The winner has the highest value, except for
+// the exchange rate, where the fewest units per US dollar mark the strongest currency.
+const COMPARISON_METRICS = {
+  population: { higherWins: true },
+  estimated_gdp: { higherWins: true },
+  gdp_per_capita: { higherWins: true },
+  exchange_rate: { higherWins: false }
+};
+
+/**
+ * Round a number, keeping null
+ * @param {number|null} value - Number
+ * @param {number} digits - Decimal places
+ * @returns {number|null} - Rounded number
+ */
+function round(value, digits) {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Read a metric of a formatted country
+ * @param {Object} country - Formatted country
+ * @param {string} metric - Metric name
+ * @returns {number|null} - Value, or null if the country has none
+ */
+function metricValue(country, metric) {
+  if (metric === 'gdp_per_capita') {
+    return country.estimated_gdp !== null && country.population ? round(country.estimated_gdp / country.population, 2) : null;
+  }
+
+  const value = country[metric];
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Rank the values of one metric. Equal values share a rank (1, 1, 3) and
+ * countries without a value are not ranked.
+ * @param {Array<number|null>} values - Values, one per country
+ * @param {boolean} higherWins - True if the highest value ranks first
+ * @returns {Array<number|null>} - Rank of each value
+ */
+function rankValues(values, higherWins) {
+  const known = values.filter(value => value !== null);
+
+  return values.map(value => {
+    if (value === null) {
+      return null;
+    }
+
+    return 1 + known.filter(other => (higherWins ? other > value : other < value)).length;
+  });
+}
+
+/**
+ * Compare countries side by side on population, estimated GDP, GDP per capita
+ * and exchange rate
+ * @param {Array<Object>} countries - Formatted countries, in the order asked for
+ * @returns {Object} - { countries, metrics }: each country with, per metric, its value, rank,
+ *   winner flag and ratio to the winner's value; each metric with its ranking, winners and
+ *   the ratio of the highest value to the lowest
+ */
+function compareCountries(countries) {
+  const rows = countries.map(country => ({
+    name: country.name,
+    alpha2_code: country.alpha2_code,
+    alpha3_code: country.alpha3_code,
+    region: country.region,
+    currency_code: country.currency_code,
+    flag_url: country.flag_url,
+    metrics: {}
+  }));
+  const metrics = {};
+
+  for (const [metric, { higherWins }] of Object.entries(COMPARISON_METRICS)) {
+    const values = countries.map(country => metricValue(country, metric));
+    const ranks = rankValues(values, higherWins);
+    const known = values.filter(value => value !== null);
+    const best = known.length > 0 ? (higherWins ? Math.max(...known) : Math.min(...known)) : null;
+
+    rows.forEach((row, index) => {
+      row.metrics[metric] = {
+        value: values[index],
+        rank: ranks[index],
+        winner: ranks[index] === 1,
+        ratio_to_winner: values[index] !== null && best ? round(values[index] / best, 4) : null
+      };
+    });
+
+    const ranking = rows
+      .map((row, index) => ({ rank: ranks[index], name: row.name, value: values[index] }))
+      .filter(entry => entry.rank !== null)
+      .sort((a, b) => a.rank - b.rank);
+
+    metrics[metric] = {
+      ranking,
+      winners: ranking.filter(entry => entry.rank === 1).map(entry => entry.name),
+      // How many times the highest value is the lowest, e.g. 6.6 for populations of 206M and 31M
+      spread_ratio: known.length > 1 && Math.min(...known) > 0 ? round(Math.max(...known) / Math.min(...known), 4) : null
+    };
+  }
+
+  return { countries: rows, metrics };
+}
+
+module.exports = {
+  MIN_COMPARE_COUNTRIES,
+  MAX_COMPARE_COUNTRIES,
+  COMPARISON_METRICS,
+  compareCountries
+};
@@ -0,0 +1,82 @@
+// Columns compared between refreshes: the decimal scale of numeric ones,
+// null for strings and 'json' for lists
+const TRACKED_FIELDS = {
+  capital: null,
+  capitals: 'json',
+  region: null,
+  subregion: null,
+  population: 0,
+  area: 2,
+  alpha2_code: null,
+  alpha3_code: null,
+  currency_code: null,
+  currency_codes: 'json',
+  exchange_rate: 6,
+  estimated_gdp: 2,
+  languages: 'json',
+  borders: 'json',
+  timezones: 'json',
+  calling_codes: 'json',
+  flag_url: null,
+  difficulty_score: 2
+};
+
+/**
+ * Parse a JSON column, which mysql2 may already have parsed
+ * @param {*} value - Column value
+ * @returns {*} - Parsed value
+ */
+function parseJsonColumn(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Normalize a tracked field value so database and freshly processed values compare equal
+ * @param {*} value - Field value
+ * @param {number|string|null} scale - Decimal places for numeric fields, 'json' for lists, null for strings
+ * @returns {*} - Normalized value
+ */
+function normalizeTrackedValue(value, scale) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (scale === 'json') {
+    // MySQL reorders object keys in JSON columns, so compare with sorted keys
+    return JSON.stringify(parseJsonColumn(value), (key, item) => (
+      item && typeof item === 'object' && !Array.isArray(item)
+        ? Object.keys(item).sort().reduce((sorted, name) => ({ ...sorted, [name]: item[name] }), {})
+        : item
+    ));
+  }
+
+  return scale === null ? String(value) : Number(Number(value).toFixed(scale));
+}
+
+/**
+ * Compare a stored country with freshly processed data
+ * @param {Object|undefined} existing - Database row, undefined for new countries
+ * @param {Object} country - Processed country data
+ * @returns {Object} - Changed fields as { field: { from, to } }
+ */
+function diffCountry(existing, country) {
+  const changes = {};
+
+  for (const [field, scale] of Object.entries(TRACKED_FIELDS)) {
+    const from = existing ? normalizeTrackedValue(existing[field], scale) : null;
+    const to = normalizeTrackedValue(country[field], scale);
+
+    if (!existing || from !== to) {
+      changes[field] = scale === 'json'
+        ? { from: from === null ? null : JSON.parse(from), to: to === null ? null : JSON.parse(to) }
+        : { from, to };
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  parseJsonColumn,
+  diffCountry
+};
@@ -0,0 +1,83 @@
+/**
+ * Format a number with thousands separators
+ * @param {number} value - Number
+ * @param {number} digits - Maximum fraction digits
+ * @returns {string} - Formatted number
+ */
+function formatCount(value, digits = 0) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: digits });
+}
+
+/**
+ * Join names into a readable list ("A", "A and B", "A, B and C")
+ * @param {Array<string>} names - Names
+ * @returns {string} - Joined names
+ */
+function joinNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * List the facts the data of a country supports
+ * @param {Object} country - Formatted country, as returned by the country endpoints
+ * @returns {Array<string>} - Fact sentences
+ */
+function listCountryFacts(country) {
+  const facts = [];
+  const name = country.name;
+
+  if (country.area) {
+    facts.push(`${name} covers ${formatCount(country.area)} km².`);
+
+    if (country.population) {
+      facts.push(`${name} has about ${formatCount(country.population / country.area, 1)} people per km².`);
+    }
+  }
+
+  if (country.capitals && country.capitals.length > 1) {
+    facts.push(`${name} has ${country.capitals.length} capitals: ${joinNames(country.capitals)}.`);
+  }
+
+  if (country.languages && country.languages.length > 0) {
+    const languages = country.languages.map(language => language.name);
+    facts.push(languages.length === 1
+      ? `The language of ${name} is ${languages[0]}.`
+      : `${name} has ${languages.length} languages, including ${joinNames(languages.slice(0, 3))}.`);
+  }
+
+  if (country.borders) {
+    facts.push(country.borders.length === 0
+      ? `${name} shares no land border with another country.`
+      : `${name} borders ${country.borders.length} ${country.borders.length === 1 ? 'country' : 'countries'}.`);
+  }
+
+  if (country.timezones && country.timezones.length > 1) {
+    facts.push(`${name} spans ${country.timezones.length} time zones.`);
+  }
+
+  if (country.calling_codes && country.calling_codes.length > 0) {
+    facts.push(`To phone ${name}, dial +${country.calling_codes[0]}.`);
+  }
+
+  if (country.exchange_rate && country.currency_code && country.currency_code !== 'USD') {
+    facts.push(`One US dollar buys ${formatCount(country.exchange_rate, 2)} ${country.currency_code}.`);
+  }
+
+  return facts;
+}
+
+/**
+ * Pick a random fact about a country
+ * @param {Object} country - Formatted country, as returned by the country endpoints
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {string|null} - Fact sentence, or null if the data supports none
+ */
+function pickCountryFact(country, random = Math.random) {
+  const facts = listCountryFacts(country);
+  return facts.length > 0 ? facts[Math.floor(random() * facts.length)] : null;
+}
+
+module.exports = {
+  listCountryFacts,
+  pickCountryFact
+};
@@ -0,0 +1,153 @@
+const { COUNTRY_ALIASES } = require('./countryAliases');
+
+const SUGGESTION_LIMIT = 3;
+const MIN_SUGGESTION_SCORE = 0.6;
+
+/**
+ * Normalize a country name for comparison: no case, accents or punctuation,
+ * "&" and "St" spelled out and a leading "The" dropped
+ * @param {string} value - Country name
+ * @returns {string} - Normalized name
+ */
+function normalizeCountryName(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\bst\b/g, 'saint')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Strip the qualifier from a formal name, e.g. "Bolivia (Plurinational State of)"
+ * or "Tanzania, United Republic of" become "Bolivia" and "Tanzania"
+ * @param {string} name - Country name
+ * @returns {string} - Name without the qualifier
+ */
+function stripQualifier(name) {
+  return name.replace(/\s*\(.*\)\s*$/, '').replace(/,.*$/, '');
+}
+
+// Normalized alias to alpha-3 code
+const ALIAS_CODES = new Map(
+  Object.entries(COUNTRY_ALIASES).flatMap(([code, aliases]) => (
+    aliases.map(alias => [normalizeCountryName(alias), code])
+  ))
+);
+
+/**
+ * Get the normalized names a country can be found by: its name, its name
+ * without qualifier and its aliases
+ * @param {Object} country - Country with name and alpha3_code
+ * @returns {Array<string>} - Normalized names
+ */
+function namesOf(country) {
+  const aliases = country.alpha3_code ? COUNTRY_ALIASES[country.alpha3_code] || [] : [];
+  return [...new Set([country.name, stripQualifier(country.name), ...aliases].map(normalizeCountryName))];
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score how alike two normalized names are
+ * @param {string} input - Normalized input
+ * @param {string} name - Normalized candidate name
+ * @returns {number} - Similarity from 0 to 1
+ */
+function similarity(input, name) {
+  const score = 1 - editDistance(input, name) / Math.max(input.length, name.length);
+
+  // "korea" should suggest both Koreas even though the full names are much longer
+  if (input.length >= 3 && name.split(' ').some(word => word.startsWith(input))) {
+    return Math.max(score, 0.8);
+  }
+
+  return score;
+}
+
+/**
+ * Suggest country names close to an input that matched none
+ * @param {string} normalized - Normalized input
+ * @param {Array<Object>} countries - Countries with name, alpha2_code and alpha3_code
+ * @returns {Array<string>} - Up to SUGGESTION_LIMIT country names, best first
+ */
+function suggestCountries(normalized, countries) {
+  return countries
+    .map(country => ({
+      name: country.name,
+      score: Math.max(...namesOf(country).map(name => similarity(normalized, name)))
+    }))
+    .filter(candidate => candidate.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, SUGGESTION_LIMIT)
+    .map(candidate => candidate.name);
+}
+
+/**
+ * Find the country a name, ISO code or alias refers to
+ * @param {string} input - Country name, alpha-2 or alpha-3 code, or alias
+ * @param {Array<Object>} countries - Countries with name, alpha2_code and alpha3_code
+ * @returns {Object} - { country, matched_by } with matched_by 'name', 'code' or 'alias',
+ *   or { country: null, suggestions } if nothing matched
+ */
+function matchCountry(input, countries) {
+  const normalized = normalizeCountryName(input);
+  if (normalized === '') {
+    return { country: null, suggestions: [] };
+  }
+
+  const byName = countries.find(country => normalizeCountryName(country.name) === normalized);
+  if (byName) {
+    return { country: byName, matched_by: 'name' };
+  }
+
+  const code = String(input).trim().toUpperCase();
+  if (/^[A-Z]{2,3}$/.test(code)) {
+    const byCode = countries.find(country => country.alpha2_code === code || country.alpha3_code === code);
+    if (byCode) {
+      return { country: byCode, matched_by: 'code' };
+    }
+  }
+
+  const aliasCode = ALIAS_CODES.get(normalized);
+  const byAlias = aliasCode && countries.find(country => country.alpha3_code === aliasCode);
+  if (byAlias) {
+    return { country: byAlias, matched_by: 'alias' };
+  }
+
+  // A qualifier-free name only counts if it picks out a single country
+  const byShortName = countries.filter(country => normalizeCountryName(stripQualifier(country.name)) === normalized);
+  if (byShortName.length === 1) {
+    return { country: byShortName[0], matched_by: 'alias' };
+  }
+
+  return { country: null, suggestions: suggestCountries(normalized, countries) };
+}
+
+module.exports = {
+  normalizeCountryName,
+  matchCountry
+};
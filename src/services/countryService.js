@@ -1,4 +1,87 @@
-const { pool } = require('../config/database');
+const { countryRepository, metadataRepository, exchangeRateRepository } = require('../repositories');
+const {
+  blendDifficultyScore,
+  getDifficultyLevel,
+  estimateCountryEconomy,
+  scoreCountryDifficulty
+} = require('./dataProcessor');
+const { parseJsonColumn } = require('./countryDiff');
+const { matchCountry } = require('./countryMatcher');
+const { createGdpEstimator } = require('./gdpEstimator');
+const { SORT_COLUMNS, JSON_COLUMNS } = require('../repositories/schema');
+const {
+  DEFAULT_IMAGE_OPTIONS,
+  generateSummaryImage,
+  generateCountryCard,
+  generateFlagPlaceholder
+} = require('./imageGenerator');
+const {
+  hashFlag,
+  findCachedFlag,
+  findFlagByHash,
+  getFlagHashes,
+  readFlagDataUri,
+  convertFlag
+} = require('./flagCache');
+const { pickCountryFact } = require('./countryFacts');
+const { compareCountries } = require('./countryComparison');
+const { AppError } = require('../middleware/errorHandler');
+
+// Fields `sort=` accepts, each ascending or, prefixed with "-", descending
+const COUNTRY_SORT_FIELDS = Object.keys(SORT_COLUMNS);
+
+// Currencies listed in statistics, most used first
+const STATS_CURRENCY_LIMIT = 5;
+
+// Computed statistics by scope ('' for all countries, else the lower-case region), each
+// with the refresh it was computed after; a newer refresh makes an entry stale
+const statsCache = new Map();
+
+// Fields of a formatted country, in response order; `fields=` may select any of them
+const COUNTRY_FIELDS = [
+  'id',
+  'name',
+  'capital',
+  'capitals',
+  'region',
+  'subregion',
+  'population',
+  'area',
+  'alpha2_code',
+  'alpha3_code',
+  'currency_code',
+  'currencies',
+  'exchange_rate',
+  'estimated_gdp',
+  'languages',
+  'borders',
+  'timezones',
+  'calling_codes',
+  'flag_url',
+  'difficulty',
+  'difficulty_score',
+  'overridden_fields',
+  'last_refreshed_at'
+];
+
+// Fields admins can correct. Exchange rate, GDP and difficulty are always worked
+// out from them, and the name identifies the country so it can't be changed.
+const EDITABLE_COUNTRY_FIELDS = [
+  'capital',
+  'capitals',
+  'region',
+  'subregion',
+  'population',
+  'area',
+  'alpha2_code',
+  'alpha3_code',
+  'currency_code',
+  'languages',
+  'borders',
+  'timezones',
+  'calling_codes',
+  'flag_url'
+];
 
 /**
  * Upsert (insert or update) a country record
@@ -6,174 +89,419 @@ const { pool } = require('../config/database');
  * @returns {Promise<void>}
  */
 async function upsertCountry(countryData) {
-  const {
-    name,
-    capital,
-    region,
-    population,
-    currency_code,
-    exchange_rate,
-    estimated_gdp,
-    flag_url
-  } = countryData;
-
-  const query = `
-    INSERT INTO countries (name, capital, region, population, currency_code, exchange_rate, estimated_gdp, flag_url, last_refreshed_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
-    ON DUPLICATE KEY UPDATE
-      capital = VALUES(capital),
-      region = VALUES(region),
-      population = VALUES(population),
-      currency_code = VALUES(currency_code),
-      exchange_rate = VALUES(exchange_rate),
-      estimated_gdp = VALUES(estimated_gdp),
-      flag_url = VALUES(flag_url),
-      last_refreshed_at = NOW()
-  `;
-
-  await pool.query(query, [
-    name,
-    capital,
-    region,
-    population,
-    currency_code,
-    exchange_rate,
-    estimated_gdp,
-    flag_url
-  ]);
+  await countryRepository.upsert(countryData);
+  clearCountryStats();
 }
 
 /**
- * Bulk upsert countries
+ * Bulk upsert countries. Only rows whose data changed are written; each
+ * change is recorded against the refresh run when one is given. A row that
+ * fails is reported without aborting the rest.
  * @param {Array} countries - Array of country data objects
- * @returns {Promise<number>} - Number of countries processed
+ * @param {number|null} refreshRunId - Refresh run to record changes against
+ * @returns {Promise<Object>} - Counts of inserted, updated, unchanged and failed rows, and errors
  */
-async function bulkUpsertCountries(countries) {
-  const connection = await pool.getConnection();
-
-  try {
-    await connection.beginTransaction();
-
-    for (const country of countries) {
-      await connection.query(
-        `INSERT INTO countries (name, capital, region, population, currency_code, exchange_rate, estimated_gdp, flag_url, last_refreshed_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
-         ON DUPLICATE KEY UPDATE
-           capital = VALUES(capital),
-           region = VALUES(region),
-           population = VALUES(population),
-           currency_code = VALUES(currency_code),
-           exchange_rate = VALUES(exchange_rate),
-           estimated_gdp = VALUES(estimated_gdp),
-           flag_url = VALUES(flag_url),
-           last_refreshed_at = NOW()`,
-        [
-          country.name,
-          country.capital,
-          country.region,
-          country.population,
-          country.currency_code,
-          country.exchange_rate,
-          country.estimated_gdp,
-          country.flag_url
-        ]
-      );
-    }
-
-    await connection.commit();
-    return countries.length;
-  } catch (error) {
-    await connection.rollback();
-    throw error;
-  } finally {
-    connection.release();
-  }
+async function bulkUpsertCountries(countries, refreshRunId = null) {
+  return countryRepository.bulkUpsert(countries, refreshRunId);
 }
 
 /**
  * Get all countries with optional filters and sorting
- * @param {Object} filters - Filter options (region, currency)
- * @param {string} sort - Sort option
+ * @param {Object} filters - Filter options (regions, currencies, population_min, population_max,
+ *   gdp_min, gdp_max, has_currency, q)
+ * @param {Array<Object>|null} sort - Sort keys as { field, direction }, by name if null
  * @returns {Promise<Array>} - Array of country objects
  */
 async function getAllCountries(filters = {}, sort = null) {
-  let query = 'SELECT * FROM countries WHERE 1=1';
-  const params = [];
+  const rows = await countryRepository.findAll(filters, sort);
+  const currenciesById = await countryRepository.findCurrencies(rows);
 
-  // Apply filters
-  if (filters.region) {
-    query += ' AND region = ?';
-    params.push(filters.region);
-  }
+  // Format the response
+  return rows.map(row => formatCountryResponse(row, currenciesById.get(row.id)));
+}
 
-  if (filters.currency) {
-    query += ' AND currency_code = ?';
-    params.push(filters.currency);
+/**
+ * Get all countries for generating trivia, each with the content hash of its
+ * mirrored flag (flag_hash, null if the flag is not mirrored)
+ * @returns {Promise<Array>} - Array of country objects
+ */
+async function getTriviaCountries() {
+  const [countries, flagHashes] = await Promise.all([getAllCountries(), getFlagHashes()]);
+  return countries.map(country => ({ ...country, flag_hash: flagHashes.get(country.flag_url) || null }));
+}
+
+/**
+ * Get one page of countries with optional filters, sorting and field selection
+ * @param {Object} filters - Filter options, as for getAllCountries
+ * @param {Array<Object>|null} sort - Sort keys as { field, direction }, by name if null
+ * @param {Object} options - Page options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Countries per page
+ * @param {Array<string>|null} [options.fields] - Fields to include, all if omitted
+ * @returns {Promise<Object>} - Total number of matching countries and the page's countries
+ */
+async function getCountryPage(filters, sort, { page, limit, fields = null }) {
+  const [total, rows] = await Promise.all([
+    countryRepository.count(filters),
+    countryRepository.findAll(filters, sort, { limit, offset: (page - 1) * limit })
+  ]);
+
+  // Currencies live in their own table, so skip the lookup when they're not wanted
+  const currenciesById = !fields || fields.includes('currencies')
+    ? await countryRepository.findCurrencies(rows)
+    : new Map();
+
+  return {
+    total,
+    countries: rows.map(row => selectFields(formatCountryResponse(row, currenciesById.get(row.id)), fields))
+  };
+}
+
+/**
+ * Find the stored row of a country by name, ISO code or alias
+ * @param {string} identifier - Country name, alpha-2 or alpha-3 code, or alias
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.deleted] - Look among deleted countries instead of live ones
+ * @returns {Promise<Object>} - { row, matched_by }, or { row: null, suggestions } if nothing matched
+ */
+async function resolveCountryRow(identifier, options = {}) {
+  const row = await countryRepository.findByName(identifier, options);
+  if (row) {
+    return { row, matched_by: 'name' };
   }
 
-  // Apply sorting
-  if (sort === 'gdp_desc') {
-    query += ' ORDER BY estimated_gdp DESC';
-  } else if (sort === 'gdp_asc') {
-    query += ' ORDER BY estimated_gdp ASC';
-  } else if (sort === 'population_desc') {
-    query += ' ORDER BY population DESC';
-  } else if (sort === 'population_asc') {
-    query += ' ORDER BY population ASC';
-  } else if (sort === 'name_asc') {
-    query += ' ORDER BY name ASC';
-  } else if (sort === 'name_desc') {
-    query += ' ORDER BY name DESC';
-  } else {
-    query += ' ORDER BY name ASC'; // Default sorting
+  const match = matchCountry(identifier, await countryRepository.findNames(options));
+  if (!match.country) {
+    return { row: null, suggestions: match.suggestions };
   }
 
-  const [rows] = await pool.query(query, params);
+  return { row: await countryRepository.findByName(match.country.name, options), matched_by: match.matched_by };
+}
 
-  // Format the response
-  return rows.map(formatCountryResponse);
+/**
+ * Find a country by name, ISO alpha-2/alpha-3 code or alias, ignoring case,
+ * accents and punctuation
+ * @param {string} identifier - Country name, code or alias
+ * @returns {Promise<Object>} - { country, matched_by } with matched_by 'name', 'code' or 'alias',
+ *   or { country: null, suggestions } with up to three close country names
+ */
+async function findCountry(identifier) {
+  const { row, matched_by: matchedBy, suggestions } = await resolveCountryRow(identifier);
+
+  if (!row) {
+    return { country: null, suggestions };
+  }
+
+  const currenciesById = await countryRepository.findCurrencies([row]);
+  return { country: formatCountryResponse(row, currenciesById.get(row.id)), matched_by: matchedBy };
 }
 
 /**
- * Get a single country by name
- * @param {string} name - Country name
+ * Get a single country by name, ISO code or alias
+ * @param {string} name - Country name, code or alias
  * @returns {Promise<Object|null>} - Country object or null
  */
 async function getCountryByName(name) {
-  const query = 'SELECT * FROM countries WHERE LOWER(name) = LOWER(?) LIMIT 1';
-  const [rows] = await pool.query(query, [name]);
+  const { country } = await findCountry(name);
+  return country;
+}
 
-  if (rows.length === 0) {
-    return null;
+/**
+ * Compare countries side by side, with per-metric rankings, ratios and winners
+ * @param {Array<string>} identifiers - Country names, codes or aliases, in the order to list them
+ * @returns {Promise<Object>} - Comparison, as returned by compareCountries
+ * @throws {AppError} - 400 listing every name that matched no country, with suggestions,
+ *   or naming a country listed more than once
+ */
+async function getCountryComparison(identifiers) {
+  const matches = await Promise.all(identifiers.map(identifier => findCountry(identifier)));
+
+  const unresolved = identifiers
+    .map((identifier, index) => ({ name: identifier, did_you_mean: matches[index].suggestions }))
+    .filter((entry, index) => !matches[index].country);
+
+  if (unresolved.length > 0) {
+    throw new AppError('Validation failed', 400, {
+      countries: `no country matches: ${unresolved.map(entry => entry.name).join(', ')}`,
+      unresolved
+    });
+  }
+
+  const countries = matches.map(match => match.country);
+
+  // "NG" and "Nigeria" are the same country and would compete with themselves
+  const repeated = countries.find((country, index) => countries.findIndex(other => other.id === country.id) !== index);
+  if (repeated) {
+    throw new AppError('Validation failed', 400, { countries: `${repeated.name} is listed more than once` });
   }
 
-  return formatCountryResponse(rows[0]);
+  return compareCountries(countries);
 }
 
 /**
- * Delete a country by name
- * @param {string} name - Country name
- * @returns {Promise<boolean>} - True if deleted, false if not found
+ * Get the stored name of the country a name, ISO code or alias refers to
+ * @param {string} name - Country name, code or alias
+ * @returns {Promise<string|null>} - Stored country name, or null if none matches
+ */
+async function resolveCountryName(name) {
+  const { row } = await resolveCountryRow(name);
+  return row ? row.name : null;
+}
+
+/**
+ * Soft-delete a country by name, ISO code or alias. Refreshes leave it out
+ * until it is restored.
+ * @param {string} name - Country name, code or alias
+ * @returns {Promise<Object>} - { deleted: true, name }, or { deleted: false, suggestions } if not found
  */
 async function deleteCountryByName(name) {
-  const query = 'DELETE FROM countries WHERE LOWER(name) = LOWER(?)';
-  const [result] = await pool.query(query, [name]);
+  const { row, suggestions } = await resolveCountryRow(name);
+
+  if (!row) {
+    return { deleted: false, suggestions };
+  }
+
+  const deleted = await countryRepository.deleteByName(row.name);
+  clearCountryStats();
+
+  return { deleted, name: row.name };
+}
+
+/**
+ * Restore a deleted country by name, ISO code or alias
+ * @param {string} name - Country name, code or alias of a deleted country
+ * @returns {Promise<Object>} - { country }, or { country: null, suggestions } if no deleted country matches
+ */
+async function restoreCountry(name) {
+  const { row, suggestions } = await resolveCountryRow(name, { deleted: true });
+
+  if (!row) {
+    return { country: null, suggestions };
+  }
+
+  await countryRepository.restoreByName(row.name);
+  clearCountryStats();
 
-  return result.affectedRows > 0;
+  return findCountry(row.name);
+}
+
+/**
+ * Get the manually corrected fields of every live country, for refreshes to keep
+ * @returns {Promise<Map<string, Object>>} - Lower-case country name to corrected field values
+ */
+async function getCountryOverrides() {
+  const rows = await countryRepository.findOverridden();
+  const overrides = new Map();
+
+  for (const row of rows) {
+    const fields = parseJsonColumn(row.overridden_fields);
+    overrides.set(row.name.toLowerCase(), Object.fromEntries(fields.map(field => [field, readEditableField(row, field)])));
+  }
+
+  return overrides;
+}
+
+/**
+ * Read an editable field from a stored row in the shape refreshes produce
+ * @param {Object} row - Country row
+ * @param {string} field - Editable field
+ * @returns {*} - Field value
+ */
+function readEditableField(row, field) {
+  const value = row[field] === undefined ? null : row[field];
+
+  if (JSON_COLUMNS.includes(field)) {
+    return parseJsonColumn(value) || [];
+  }
+
+  return ['population', 'area'].includes(field) && value !== null ? Number(value) : value;
+}
+
+/**
+ * Work out the exchange rate, GDP and difficulty of a manually written country
+ * the way a refresh would: from the latest stored rates, with the GDP strategy
+ * and seed of the last refresh
+ * @param {Object} country - Country with its editable fields
+ * @returns {Promise<Object>} - Country with exchange_rate, estimated_gdp and difficulty_score
+ */
+async function deriveCountryFields(country) {
+  const [latestRates, metadata, rows] = await Promise.all([
+    exchangeRateRepository.findLatest(),
+    metadataRepository.get(),
+    countryRepository.findAll()
+  ]);
+
+  const rates = Object.fromEntries(latestRates.map(rate => [rate.currency_code, Number(rate.rate)]));
+  const gdpEstimator = await createGdpEstimator({
+    strategy: (metadata && metadata.gdp_strategy) || undefined,
+    seed: (metadata && metadata.gdp_seed) || undefined
+  });
+  const withEconomy = { ...country, ...estimateCountryEconomy(country, rates, gdpEstimator) };
+
+  // Difficulty depends on how many countries share the currency
+  const others = rows.filter(row => row.name.toLowerCase() !== country.name.toLowerCase());
+  return scoreCountryDifficulty([...others, withEconomy]).pop();
+}
+
+/**
+ * Save a manually written country, flagging the given fields as corrected
+ * @param {Object} country - Country with every editable field and its currencies
+ * @param {Array<string>} overriddenFields - Fields refreshes must keep
+ * @returns {Promise<Object>} - Formatted country
+ */
+async function saveManualCountry(country, overriddenFields) {
+  const derived = await deriveCountryFields(country);
+
+  await upsertCountry({
+    ...derived,
+    overridden_fields: EDITABLE_COUNTRY_FIELDS.filter(field => overriddenFields.includes(field))
+  });
+
+  return (await findCountry(country.name)).country;
+}
+
+/**
+ * Work out the currencies of a country after a manual change of its primary currency
+ * @param {string|null} code - New primary currency code
+ * @param {Array} currencies - Current currencies, primary first
+ * @returns {Array} - Currencies as { code, name, symbol }, primary first
+ */
+function withPrimaryCurrency(code, currencies) {
+  if (!code) {
+    return [];
+  }
+
+  const primary = currencies.find(currency => currency.code === code) || { code, name: null, symbol: null };
+  return [primary, ...currencies.filter(currency => currency.code !== code)];
+}
+
+/**
+ * Fill in capitals from capital when only the capital was given
+ * @param {Object} data - Validated country fields
+ * @returns {Object} - Fields with capitals
+ */
+function withCapitals(data) {
+  if (data.capital !== undefined && data.capitals === undefined) {
+    return { ...data, capitals: data.capital ? [data.capital] : [] };
+  }
+
+  return data;
+}
+
+/**
+ * Add a country the upstream data lacks. Every given field is flagged as
+ * corrected, so a later refresh that does find the country keeps them.
+ * @param {Object} data - Validated country fields, including name
+ * @returns {Promise<Object>} - { country }, or { country: null, conflict } with conflict
+ *   'exists' or 'deleted' if a country has the name
+ */
+async function createCountry(data) {
+  if (await countryRepository.findByName(data.name)) {
+    return { country: null, conflict: 'exists' };
+  }
+
+  if (await countryRepository.findByName(data.name, { deleted: true })) {
+    return { country: null, conflict: 'deleted' };
+  }
+
+  const fields = withCapitals(data);
+  const empty = Object.fromEntries(EDITABLE_COUNTRY_FIELDS.map(field => [field, JSON_COLUMNS.includes(field) ? [] : null]));
+
+  const country = await saveManualCountry({
+    ...empty,
+    ...fields,
+    currencies: withPrimaryCurrency(fields.currency_code, [])
+  }, Object.keys(fields));
+
+  return { country };
+}
+
+/**
+ * Correct the data of a country. Corrected fields are flagged so refreshes keep them.
+ * @param {string} identifier - Country name, code or alias
+ * @param {Object} data - Validated editable fields
+ * @param {Object} [options] - Update options
+ * @param {boolean} [options.replace] - Replace every editable field (PUT), setting the
+ *   missing ones to empty, instead of only the given ones (PATCH)
+ * @returns {Promise<Object>} - { country }, or { country: null, suggestions } if not found
+ * @throws {AppError} - If data renames the country
+ */
+async function updateCountry(identifier, data, { replace = false } = {}) {
+  const { row, suggestions } = await resolveCountryRow(identifier);
+
+  if (!row) {
+    return { country: null, suggestions };
+  }
+
+  // Refreshes match countries by name, so a renamed country would come back under its old name
+  if (data.name !== undefined && data.name.toLowerCase() !== row.name.toLowerCase()) {
+    throw new AppError('Validation failed', 400, { name: 'cannot be changed' });
+  }
+
+  const currenciesById = await countryRepository.findCurrencies([row]);
+  const currencies = currenciesById.get(row.id) || [];
+  const current = Object.fromEntries(EDITABLE_COUNTRY_FIELDS.map(field => [
+    field,
+    replace ? (JSON_COLUMNS.includes(field) ? [] : null) : readEditableField(row, field)
+  ]));
+  const fields = withCapitals(data);
+  const country = { ...current, ...fields, name: row.name };
+
+  country.currencies = fields.currency_code === undefined
+    ? currencies
+    : withPrimaryCurrency(fields.currency_code, currencies);
+
+  const overridden = replace
+    ? EDITABLE_COUNTRY_FIELDS
+    : [...new Set([...(parseJsonColumn(row.overridden_fields) || []), ...Object.keys(fields)])];
+
+  return { country: await saveManualCountry(country, overridden) };
+}
+
+/**
+ * Clear the corrected-field flags of a country, so the next refresh takes
+ * every field from the upstream data again
+ * @param {string} identifier - Country name, code or alias
+ * @returns {Promise<Object>} - { country }, or { country: null, suggestions } if not found
+ */
+async function clearCountryOverrides(identifier) {
+  const { row, suggestions } = await resolveCountryRow(identifier);
+
+  if (!row) {
+    return { country: null, suggestions };
+  }
+
+  await upsertCountry({ ...row, overridden_fields: null });
+
+  return findCountry(row.name);
 }
 
 /**
  * Update refresh metadata
+ * @param {Object} gdpEstimation - GDP strategy and seed used by the refresh
+ * @param {Object} sources - Where the refresh got its data
+ * @param {string} [sources.data_source] - Data source type ('http', 'file' or 'fixture')
+ * @param {string} [sources.countries_provider] - Provider that supplied the countries
+ * @param {string} [sources.exchange_rates_provider] - Provider that supplied the exchange rates
+ * @param {boolean} [sources.exchange_rates_stale] - True if last-known rates were used
+ * @param {number} [sources.exchange_rates_filled] - Currencies filled in with last-known rates
+ * @param {string} [sources.exchange_rates_as_of] - Date of the rates used (YYYY-MM-DD)
  * @returns {Promise<void>}
  */
-async function updateRefreshMetadata() {
-  const [countResult] = await pool.query('SELECT COUNT(*) as total FROM countries');
-  const totalCountries = countResult[0].total;
+async function updateRefreshMetadata(gdpEstimation = {}, sources = {}) {
+  const totalCountries = await countryRepository.count();
 
-  await pool.query(
-    'UPDATE refresh_metadata SET last_refreshed_at = NOW(), total_countries = ? WHERE id = 1',
-    [totalCountries]
-  );
+  await metadataRepository.update({
+    total_countries: totalCountries,
+    gdp_strategy: gdpEstimation.strategy || null,
+    gdp_seed: gdpEstimation.seed || null,
+    data_source: sources.data_source || null,
+    countries_provider: sources.countries_provider || null,
+    exchange_rates_provider: sources.exchange_rates_provider || null,
+    exchange_rates_stale: Boolean(sources.exchange_rates_stale),
+    exchange_rates_filled: sources.exchange_rates_filled || 0,
+    exchange_rates_as_of: sources.exchange_rates_as_of || null
+  });
 }
 
 /**
@@ -181,66 +509,460 @@ async function updateRefreshMetadata() {
  * @returns {Promise<Object>} - Metadata object
  */
 async function getRefreshMetadata() {
-  const [rows] = await pool.query('SELECT * FROM refresh_metadata WHERE id = 1');
+  const row = await metadataRepository.get();
 
-  if (rows.length === 0) {
+  if (!row) {
     return {
       total_countries: 0,
-      last_refreshed_at: null
+      last_refreshed_at: null,
+      gdp_estimation: null,
+      data_source: null,
+      providers: { countries: null, exchange_rates: null },
+      exchange_rates_stale: false,
+      exchange_rates_filled: 0,
+      exchange_rates_as_of: null
     };
   }
 
   return {
-    total_countries: rows[0].total_countries,
-    last_refreshed_at: rows[0].last_refreshed_at
+    total_countries: row.total_countries,
+    last_refreshed_at: row.last_refreshed_at,
+    gdp_estimation: row.gdp_strategy
+      ? { strategy: row.gdp_strategy, seed: row.gdp_seed }
+      : null,
+    data_source: row.data_source || null,
+    providers: {
+      countries: row.countries_provider || null,
+      exchange_rates: row.exchange_rates_provider || null
+    },
+    exchange_rates_stale: Boolean(row.exchange_rates_stale),
+    exchange_rates_filled: Number(row.exchange_rates_filled) || 0,
+    exchange_rates_as_of: row.exchange_rates_as_of || null
   };
 }
 
 /**
- * Get top countries by GDP for image generation
- * @param {number} limit - Number of top countries to retrieve
- * @returns {Promise<Array>} - Array of top countries
+ * Work out why the cached data is stale, if it is
+ * @param {Object} metadata - Metadata from getRefreshMetadata
+ * @param {number} maxAgeHours - Age after which a refresh is overdue
+ * @param {Date} now - Current time
+ * @returns {Array<string>} - 'never_refreshed', 'refresh_overdue' and/or
+ *   'last_known_exchange_rates' or 'filled_exchange_rates'; empty if the data is fresh
+ */
+function getStaleReasons(metadata, maxAgeHours, now = new Date()) {
+  const reasons = [];
+
+  if (!metadata.last_refreshed_at || metadata.total_countries === 0) {
+    reasons.push('never_refreshed');
+  } else if (now - new Date(metadata.last_refreshed_at) > maxAgeHours * 60 * 60 * 1000) {
+    reasons.push('refresh_overdue');
+  }
+
+  if (metadata.exchange_rates_stale) {
+    reasons.push('last_known_exchange_rates');
+  } else if (metadata.exchange_rates_filled > 0) {
+    reasons.push('filled_exchange_rates');
+  }
+
+  return reasons;
+}
+
+/**
+ * Get the entries of a summary chart: the top countries by a metric, or for
+ * pie charts the metric summed per region (per subregion within one region),
+ * with the smallest slices folded into "Other"
+ * @param {Object} options - Image options (metric, chart, limit, region)
+ * @returns {Promise<Array>} - Entries as { label, value, other, flag }, largest first; country
+ *   entries carry their cached flag as a data URI
  */
-async function getTopCountriesByGDP(limit = 5) {
-  const query = `
-    SELECT name, estimated_gdp, flag_url
-    FROM countries
-    WHERE estimated_gdp IS NOT NULL
-    ORDER BY estimated_gdp DESC
-    LIMIT ?
-  `;
+async function getSummaryChartItems({ metric, chart, limit, region }) {
+  const filters = region ? { regions: [region] } : {};
+  const column = SORT_COLUMNS[metric];
+  const valueOf = row => (row[column] === null || row[column] === undefined ? null : Number(row[column]));
 
-  const [rows] = await pool.query(query, [limit]);
-  return rows;
+  if (chart !== 'pie') {
+    // Countries without a value sort last, so they only show up when too few have one
+    const rows = await countryRepository.findAll(filters, [{ field: metric, direction: 'desc' }], { limit, offset: 0 });
+    return Promise.all(rows
+      .filter(row => valueOf(row) !== null)
+      .map(async row => ({
+        label: row.name,
+        value: valueOf(row),
+        other: false,
+        flag: await readFlagDataUri(row.flag_url)
+      })));
+  }
+
+  const groupColumn = region ? 'subregion' : 'region';
+  const totals = new Map();
+
+  for (const row of await countryRepository.findAll(filters)) {
+    const label = row[groupColumn] || 'Unknown';
+    totals.set(label, (totals.get(label) || 0) + (valueOf(row) || 0));
+  }
+
+  const slices = [...totals]
+    .map(([label, value]) => ({ label, value, other: false }))
+    .filter(slice => slice.value > 0)
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+
+  if (slices.length <= limit) {
+    return slices;
+  }
+
+  const rest = slices.slice(limit - 1);
+  return [
+    ...slices.slice(0, limit - 1),
+    { label: 'Other', value: rest.reduce((sum, slice) => sum + slice.value, 0), other: true }
+  ];
+}
+
+/**
+ * Get the flag URLs of every country, for downloading the flags
+ * @returns {Promise<Array<string>>} - Flag URLs
+ */
+async function getFlagUrls() {
+  const rows = await countryRepository.findAll();
+  return rows.map(row => row.flag_url).filter(Boolean);
+}
+
+/**
+ * Render the card of a country by name, ISO code or alias, with its cached
+ * flag and a random fact
+ * @param {string} identifier - Country name, code or alias
+ * @returns {Promise<Object>} - { card } with PNG data, or { card: null, suggestions } if not found
+ */
+async function getCountryCard(identifier) {
+  const { country, suggestions } = await findCountry(identifier);
+
+  if (!country) {
+    return { card: null, suggestions };
+  }
+
+  const card = await generateCountryCard(country, {
+    flag: await readFlagDataUri(country.flag_url),
+    fact: pickCountryFact(country)
+  });
+
+  return { card };
+}
+
+/**
+ * Convert a flag for GET /flags, turning a request for SVG output of a PNG flag
+ * into a validation error
+ * @param {Object} flag - Flag, as for convertFlag
+ * @param {Object} options - Output options (width, format)
+ * @returns {Promise<Object>} - Converted flag
+ * @throws {AppError} - 400 if SVG output is asked of a PNG flag
+ */
+async function convertFlagForResponse(flag, options) {
+  try {
+    return await convertFlag(flag, options);
+  } catch (error) {
+    if (error.code === 'FLAG_NOT_SVG') {
+      throw new AppError('Validation failed', 400, { format: 'svg is only available for flags stored as SVG' });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the flag of a country by name, ISO code or alias from the flag mirror,
+ * or a placeholder showing its ISO code if the flag has not been downloaded
+ * @param {string} identifier - Country name, code or alias
+ * @param {Object} options - Output options (width, format), as for convertFlag
+ * @returns {Promise<Object>} - { flag } with path or data, content_type, etag and placeholder,
+ *   or { flag: null, suggestions } if no country matches
+ */
+async function getCountryFlag(identifier, options = {}) {
+  const { row, suggestions } = await resolveCountryRow(identifier);
+
+  if (!row) {
+    return { flag: null, suggestions };
+  }
+
+  const mirrored = await findCachedFlag(row.flag_url);
+  if (mirrored) {
+    return { flag: { ...(await convertFlagForResponse(mirrored, options)), placeholder: false } };
+  }
+
+  const data = Buffer.from(generateFlagPlaceholder(row.alpha2_code));
+  const placeholder = { data, hash: hashFlag(data), content_type: 'image/svg+xml' };
+  return { flag: { ...(await convertFlagForResponse(placeholder, options)), placeholder: true } };
+}
+
+/**
+ * Get a mirrored flag by its content hash. Trivia questions link flags this
+ * way, so the URL does not give the country away.
+ * @param {string} hash - Content hash
+ * @param {Object} options - Output options (width, format), as for convertFlag
+ * @returns {Promise<Object|null>} - Flag with path or data, content_type and etag, or null if not found
+ */
+async function getFlagByHash(hash, options = {}) {
+  const flag = await findFlagByHash(hash);
+  return flag ? convertFlagForResponse(flag, options) : null;
+}
+
+/**
+ * Get the summary image for a set of options, rendering it if no cached copy
+ * matches the current data
+ * @param {Object} options - Image options, as DEFAULT_IMAGE_OPTIONS
+ * @returns {Promise<string>} - Path to the image
+ * @throws {AppError} - 404 if there are no countries to chart
+ */
+async function getSummaryImagePath(options = DEFAULT_IMAGE_OPTIONS) {
+  const settings = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+  const filters = settings.region ? { regions: [settings.region] } : {};
+
+  const [totalCountries, items, metadata] = await Promise.all([
+    countryRepository.count(filters),
+    getSummaryChartItems(settings),
+    getRefreshMetadata()
+  ]);
+
+  if (totalCountries === 0) {
+    throw new AppError('Summary image not found', 404, settings.region ? { region: 'has no countries' } : null);
+  }
+
+  return generateSummaryImage({
+    total_countries: totalCountries,
+    items,
+    last_refreshed_at: metadata.last_refreshed_at
+  }, settings);
+}
+
+/**
+ * Convert an aggregate value, which MySQL returns as a string for DECIMAL results
+ * @param {*} value - Aggregate value
+ * @param {number} digits - Decimal places to round to
+ * @returns {number|null} - Rounded number, or null if there was nothing to aggregate
+ */
+function toAggregateNumber(value, digits = 0) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const factor = 10 ** digits;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+/**
+ * Format the largest and smallest countries of a region
+ * @param {Array} extremes - Rows from findAreaExtremes, by name
+ * @param {string} region - Region
+ * @returns {Object} - { largest, smallest }, each { name, area, population } or null;
+ *   the first by name wins a tie
+ */
+function formatAreaExtremes(extremes, region) {
+  const pick = label => {
+    const row = extremes.find(extreme => extreme.extreme === label
+      && extreme.region && extreme.region.toLowerCase() === String(region).toLowerCase());
+    return row
+      ? { name: row.name, area: toAggregateNumber(row.area, 2), population: toAggregateNumber(row.population) }
+      : null;
+  };
+
+  return { largest: pick('largest'), smallest: pick('smallest') };
+}
+
+/**
+ * Compute the statistics of a set of countries with SQL aggregates
+ * @param {Object} filters - Filter options, as for getAllCountries
+ * @returns {Promise<Object>} - Country count, population total, mean and median,
+ *   total estimated GDP and most common currencies
+ */
+async function computeStats(filters) {
+  const [[totals], median, currencies] = await Promise.all([
+    countryRepository.aggregate(filters),
+    countryRepository.findMedianPopulation(filters),
+    countryRepository.countCurrencies(filters, STATS_CURRENCY_LIMIT)
+  ]);
+
+  return {
+    country_count: Number(totals.country_count),
+    population: {
+      total: toAggregateNumber(totals.total_population),
+      mean: toAggregateNumber(totals.mean_population),
+      median: toAggregateNumber(median)
+    },
+    total_estimated_gdp: toAggregateNumber(totals.total_gdp, 2),
+    most_common_currencies: currencies.map(currency => ({
+      code: currency.code,
+      name: currency.name,
+      symbol: currency.symbol,
+      countries: Number(currency.country_count)
+    }))
+  };
+}
+
+/**
+ * Get statistics from the cache, computing them if the data was refreshed since
+ * @param {string} key - Cache key of the scope
+ * @param {Function} compute - Computes the statistics
+ * @returns {Promise<Object>} - Statistics, with the last_refreshed_at they reflect
+ */
+async function getCachedStats(key, compute) {
+  const { last_refreshed_at: lastRefreshedAt } = await getRefreshMetadata();
+  const refreshedAt = lastRefreshedAt ? new Date(lastRefreshedAt).getTime() : null;
+
+  const cached = statsCache.get(key);
+  if (cached && cached.refreshedAt === refreshedAt) {
+    return cached.stats;
+  }
+
+  const stats = { ...(await compute()), last_refreshed_at: lastRefreshedAt };
+  statsCache.set(key, { refreshedAt, stats });
+
+  return stats;
+}
+
+/**
+ * Drop the cached statistics, after countries were changed outside a refresh
+ * @returns {void}
+ */
+function clearCountryStats() {
+  statsCache.clear();
+}
+
+/**
+ * Get the statistics of all countries, with a summary and the largest and
+ * smallest countries of each region. Cached until the next refresh.
+ * @returns {Promise<Object>} - Statistics
+ */
+async function getCountryStats() {
+  return getCachedStats('', async () => {
+    const [stats, regions, extremes] = await Promise.all([
+      computeStats({}),
+      countryRepository.aggregate({}, { byRegion: true }),
+      countryRepository.findAreaExtremes({})
+    ]);
+
+    return {
+      ...stats,
+      regions: regions.map(row => ({
+        region: row.region,
+        country_count: Number(row.country_count),
+        total_population: toAggregateNumber(row.total_population),
+        total_estimated_gdp: toAggregateNumber(row.total_gdp, 2),
+        ...formatAreaExtremes(extremes, row.region)
+      }))
+    };
+  });
+}
+
+/**
+ * Get the statistics of one region. Cached until the next refresh.
+ * @param {string} region - Region, matched ignoring case
+ * @returns {Promise<Object>} - Statistics, with the largest and smallest countries of the region
+ * @throws {AppError} - 404 listing the known regions if no country is in the region
+ */
+async function getRegionStats(region) {
+  // Only known regions are looked up, so arbitrary input can't fill the cache
+  const { regions } = await getCountryStats();
+  const known = regions.find(row => row.region && row.region.toLowerCase() === region.trim().toLowerCase());
+
+  if (!known) {
+    throw new AppError('Region not found', 404, {
+      available_regions: regions.map(row => row.region).filter(Boolean)
+    });
+  }
+
+  return getCachedStats(known.region.toLowerCase(), async () => {
+    const filters = { regions: [known.region] };
+    const [stats, extremes] = await Promise.all([
+      computeStats(filters),
+      countryRepository.findAreaExtremes(filters)
+    ]);
+
+    return {
+      region: known.region,
+      ...stats,
+      ...formatAreaExtremes(extremes, known.region)
+    };
+  });
 }
 
 /**
  * Format country response object
  * @param {Object} row - Database row
+ * @param {Array} [currencies] - Currencies of the country, primary first
  * @returns {Object} - Formatted country object
  */
-function formatCountryResponse(row) {
+function formatCountryResponse(row, currencies) {
+  const difficultyScore = blendDifficultyScore(
+    row.difficulty_score === null || row.difficulty_score === undefined ? null : parseFloat(row.difficulty_score),
+    row.answer_attempts,
+    row.correct_answers
+  );
+
   return {
     id: row.id,
     name: row.name,
     capital: row.capital,
+    capitals: parseJsonColumn(row.capitals) || (row.capital ? [row.capital] : []),
     region: row.region,
+    subregion: row.subregion || null,
     population: row.population,
+    area: row.area === null || row.area === undefined ? null : Number(row.area),
+    alpha2_code: row.alpha2_code || null,
+    alpha3_code: row.alpha3_code || null,
     currency_code: row.currency_code,
+    currencies: currencies || (row.currency_code ? [{ code: row.currency_code, name: null, symbol: null }] : []),
     exchange_rate: row.exchange_rate ? parseFloat(row.exchange_rate) : null,
     estimated_gdp: row.estimated_gdp ? parseFloat(row.estimated_gdp) : (row.estimated_gdp === 0 ? 0 : null),
+    languages: parseJsonColumn(row.languages) || [],
+    borders: parseJsonColumn(row.borders) || [],
+    timezones: parseJsonColumn(row.timezones) || [],
+    calling_codes: parseJsonColumn(row.calling_codes) || [],
     flag_url: row.flag_url,
+    difficulty: getDifficultyLevel(difficultyScore),
+    difficulty_score: difficultyScore,
+    overridden_fields: parseJsonColumn(row.overridden_fields) || [],
     last_refreshed_at: row.last_refreshed_at
   };
 }
 
+/**
+ * Keep only the requested fields of a formatted country
+ * @param {Object} country - Formatted country object
+ * @param {Array<string>|null} fields - Fields to keep, all if null
+ * @returns {Object} - Country object with the requested fields, in the requested order
+ */
+function selectFields(country, fields) {
+  if (!fields) {
+    return country;
+  }
+
+  return Object.fromEntries(fields.map(field => [field, country[field]]));
+}
+
 module.exports = {
+  COUNTRY_FIELDS,
+  COUNTRY_SORT_FIELDS,
+  EDITABLE_COUNTRY_FIELDS,
   upsertCountry,
   bulkUpsertCountries,
   getAllCountries,
+  getTriviaCountries,
+  getCountryPage,
+  findCountry,
   getCountryByName,
+  getCountryComparison,
+  resolveCountryName,
   deleteCountryByName,
+  restoreCountry,
+  getCountryOverrides,
+  createCountry,
+  updateCountry,
+  clearCountryOverrides,
   updateRefreshMetadata,
   getRefreshMetadata,
-  getTopCountriesByGDP
+  getStaleReasons,
+  getSummaryImagePath,
+  getFlagUrls,
+  getCountryCard,
+  getCountryFlag,
+  getFlagByHash,
+  getCountryStats,
+  getRegionStats
 };
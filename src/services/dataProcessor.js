@@ -12,71 +12,321 @@ function extractCurrencyCode(currencies) {
   return firstCurrency.code || null;
 }
 
+/**
+ * Extract all currencies of a country, skipping entries without a code
+ * @param {Array} currencies - Array of currency objects
+ * @returns {Array<Object>} - Currencies as { code, name, symbol }
+ */
+function extractCurrencies(currencies) {
+  if (!currencies || !Array.isArray(currencies)) {
+    return [];
+  }
+
+  const seen = new Set();
+  const result = [];
+
+  for (const currency of currencies) {
+    const code = currency && typeof currency.code === 'string' ? currency.code.trim().toUpperCase() : '';
+
+    if (/^[A-Z]{3}$/.test(code) && !seen.has(code)) {
+      seen.add(code);
+      result.push({
+        code,
+        name: currency.name || null,
+        symbol: currency.symbol || null
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extract the capitals of a country. The v2 API returns a single string,
+ * newer versions an array (e.g. South Africa's three capitals).
+ * @param {string|Array} capital - Capital or capitals
+ * @returns {Array<string>} - Capitals, primary capital first
+ */
+function extractCapitals(capital) {
+  const capitals = Array.isArray(capital) ? capital : [capital];
+  return capitals.filter(name => typeof name === 'string' && name.trim() !== '').map(name => name.trim());
+}
+
+/**
+ * Extract the spoken languages of a country
+ * @param {Array} languages - Array of language objects from the API
+ * @returns {Array<Object>} - Languages as { code, name, native_name }
+ */
+function extractLanguages(languages) {
+  if (!languages || !Array.isArray(languages)) {
+    return [];
+  }
+
+  return languages
+    .filter(language => language && language.name)
+    .map(language => ({
+      code: language.iso639_1 || language.iso639_2 || null,
+      name: language.name,
+      native_name: language.nativeName || null
+    }));
+}
+
+/**
+ * Keep only the non-empty strings of a list
+ * @param {Array} values - Values from the API
+ * @returns {Array<string>} - Non-empty strings
+ */
+function toStringList(values) {
+  if (!values || !Array.isArray(values)) {
+    return [];
+  }
+
+  return values.filter(value => typeof value === 'string' && value.trim() !== '');
+}
+
 /**
  * Generate a random multiplier between 1000 and 2000
+ * @param {Function} random - Random number generator returning [0, 1)
  * @returns {number} Random multiplier
  */
-function generateRandomMultiplier() {
-  return Math.random() * (2000 - 1000) + 1000;
+function generateRandomMultiplier(random = Math.random) {
+  return random() * (2000 - 1000) + 1000;
 }
 
 /**
  * Calculate estimated GDP
  * @param {number} population - Country population
  * @param {number|null} exchangeRate - Exchange rate
+ * @param {number} [multiplier] - GDP multiplier, random between 1000 and 2000 if omitted
  * @returns {number|null} - Estimated GDP or null
  */
-function calculateEstimatedGDP(population, exchangeRate) {
+function calculateEstimatedGDP(population, exchangeRate, multiplier = generateRandomMultiplier()) {
   if (!population || !exchangeRate) {
     return null;
   }
 
-  const multiplier = generateRandomMultiplier();
   const gdp = (population * multiplier) / exchangeRate;
 
   return parseFloat(gdp.toFixed(2));
 }
 
+// How familiar each region tends to be to players, 0 (most) to 30 (least)
+const REGION_DIFFICULTY = {
+  Europe: 0,
+  Americas: 10,
+  Asia: 10,
+  Africa: 20,
+  Oceania: 25,
+  Polar: 30,
+  'Antarctic Ocean': 30,
+  Antarctic: 30
+};
+
+// Number of answers at which observed correct-answer rates weigh as much as the derived score
+const DIFFICULTY_PRIOR_WEIGHT = 20;
+
+/**
+ * Calculate a derived difficulty score from signals in the country data
+ * @param {Object} country - Processed country object
+ * @param {Object} currencyUsage - Map of currency code to number of countries using it
+ * @returns {number} - Score between 0 (easy) and 100 (hard)
+ */
+function calculateDifficultyScore(country, currencyUsage) {
+  // Small countries are less known: 0 points at 100M people, 40 points at 100k or fewer
+  const magnitude = country.population > 0 ? Math.log10(country.population) : 0;
+  const populationScore = 40 * Math.min(Math.max((8 - magnitude) / 3, 0), 1);
+
+  const regionScore = REGION_DIFFICULTY[country.region] !== undefined
+    ? REGION_DIFFICULTY[country.region]
+    : 20;
+
+  let capitalScore = 15;
+  if (country.capital) {
+    if (country.capital.toLowerCase().includes(country.name.toLowerCase())) {
+      // e.g. Mexico City, Kuwait City
+      capitalScore = 0;
+    } else if (/^[\x20-\x7E]+$/.test(country.capital) && !/['ʻ’]/.test(country.capital)) {
+      capitalScore = 8;
+    }
+  }
+
+  // Currencies shared by several countries (EUR, USD, XOF, ...) are easier to recall
+  const currencyScore = country.currency_code && currencyUsage[country.currency_code] >= 3 ? 0 : 15;
+
+  return parseFloat((populationScore + regionScore + capitalScore + currencyScore).toFixed(2));
+}
+
+/**
+ * Blend the derived difficulty score with observed correct-answer rates
+ * @param {number|null} baseScore - Derived difficulty score
+ * @param {number} attempts - Number of answers to questions about the country
+ * @param {number} correct - Number of correct answers
+ * @returns {number|null} - Effective difficulty score between 0 and 100
+ */
+function blendDifficultyScore(baseScore, attempts = 0, correct = 0) {
+  if (baseScore === null || baseScore === undefined) {
+    return null;
+  }
+
+  if (!attempts) {
+    return baseScore;
+  }
+
+  const observedScore = (1 - correct / attempts) * 100;
+  const blended = (baseScore * DIFFICULTY_PRIOR_WEIGHT + observedScore * attempts) /
+    (DIFFICULTY_PRIOR_WEIGHT + attempts);
+
+  return parseFloat(blended.toFixed(2));
+}
+
+/**
+ * Map a difficulty score to a difficulty level
+ * @param {number|null} score - Difficulty score between 0 and 100
+ * @returns {string|null} - 'easy', 'medium', 'hard' or null
+ */
+function getDifficultyLevel(score) {
+  if (score === null || score === undefined) {
+    return null;
+  }
+
+  if (score < 34) {
+    return 'easy';
+  } else if (score < 67) {
+    return 'medium';
+  }
+  return 'hard';
+}
+
+/**
+ * Work out a country's exchange rate and estimated GDP from its primary currency
+ * @param {Object} country - Processed country object
+ * @param {Object} exchangeRates - Object with currency codes as keys
+ * @param {Object} [gdpEstimator] - Estimator from createGdpEstimator, unseeded random if omitted
+ * @returns {Object} - exchange_rate and estimated_gdp
+ */
+function estimateCountryEconomy(country, exchangeRates, gdpEstimator = null) {
+  const currencyCode = country.currency_code;
+
+  if (!currencyCode) {
+    // No currency code
+    return { exchange_rate: null, estimated_gdp: 0 };
+  }
+
+  if (!exchangeRates[currencyCode]) {
+    // Currency code exists but not found in exchange rates
+    return { exchange_rate: null, estimated_gdp: null };
+  }
+
+  const exchangeRate = exchangeRates[currencyCode];
+  const estimatedGdp = gdpEstimator
+    ? gdpEstimator.estimate(country, exchangeRate)
+    : calculateEstimatedGDP(country.population, exchangeRate);
+
+  return {
+    exchange_rate: exchangeRate,
+    estimated_gdp: estimatedGdp === null ? null : estimatedGdp
+  };
+}
+
+/**
+ * Replace fields of a processed country with manually corrected values.
+ * An overridden primary currency moves to the front of the currencies.
+ * @param {Object} country - Processed country object
+ * @param {Object} [overrides] - Corrected field values
+ * @returns {Object} - Country with the overrides applied
+ */
+function applyCountryOverrides(country, overrides) {
+  if (!overrides) {
+    return country;
+  }
+
+  const merged = { ...country, ...overrides };
+
+  if (overrides.currency_code !== undefined) {
+    const code = overrides.currency_code;
+    const primary = country.currencies.find(currency => currency.code === code) || { code, name: null, symbol: null };
+
+    merged.currencies = code
+      ? [primary, ...country.currencies.filter(currency => currency.code !== code)]
+      : [];
+  }
+
+  return merged;
+}
+
+/**
+ * Calculate difficulty scores for a set of processed countries
+ * @param {Array} countries - Processed country objects
+ * @returns {Array} - Countries with difficulty_score
+ */
+function scoreCountryDifficulty(countries) {
+  const currencyUsage = {};
+  for (const country of countries) {
+    if (country.currency_code) {
+      currencyUsage[country.currency_code] = (currencyUsage[country.currency_code] || 0) + 1;
+    }
+  }
+
+  return countries.map(country => ({
+    ...country,
+    difficulty_score: calculateDifficultyScore(country, currencyUsage)
+  }));
+}
+
 /**
  * Process country data by matching with exchange rates
  * @param {Array} countries - Array of country objects from external API
  * @param {Object} exchangeRates - Object with currency codes as keys
+ * @param {Object} [gdpEstimator] - Estimator from createGdpEstimator, unseeded random if omitted
+ * @param {Map<string, Object>} [overrides] - Manually corrected fields by lower-case country name,
+ *   applied before exchange rates, GDP and difficulty are worked out
  * @returns {Array} - Processed country objects
  */
-function processCountryData(countries, exchangeRates) {
-  return countries.map(country => {
-    const currencyCode = extractCurrencyCode(country.currencies);
-    let exchangeRate = null;
-    let estimatedGdp = null;
-
-    if (currencyCode && exchangeRates[currencyCode]) {
-      exchangeRate = exchangeRates[currencyCode];
-      estimatedGdp = calculateEstimatedGDP(country.population, exchangeRate);
-    } else if (currencyCode) {
-      // Currency code exists but not found in exchange rates
-      exchangeRate = null;
-      estimatedGdp = null;
-    } else {
-      // No currency code
-      estimatedGdp = 0;
-    }
+function processCountryData(countries, exchangeRates, gdpEstimator = null, overrides = new Map()) {
+  const processed = countries.map(country => {
+    const capitals = extractCapitals(country.capital);
+    const name = country.name || '';
 
-    return {
-      name: country.name || '',
-      capital: country.capital || null,
+    const base = applyCountryOverrides({
+      name,
+      capital: capitals[0] || null,
+      capitals,
       region: country.region || null,
+      subregion: country.subregion || null,
       population: country.population || 0,
-      currency_code: currencyCode,
-      exchange_rate: exchangeRate,
-      estimated_gdp: estimatedGdp === null ? null : estimatedGdp,
+      area: typeof country.area === 'number' ? country.area : null,
+      alpha2_code: country.alpha2Code || null,
+      alpha3_code: country.alpha3Code || null,
+      currency_code: extractCurrencyCode(country.currencies),
+      currencies: extractCurrencies(country.currencies),
+      languages: extractLanguages(country.languages),
+      borders: toStringList(country.borders),
+      timezones: toStringList(country.timezones),
+      calling_codes: toStringList(country.callingCodes),
       flag_url: country.flag || null
+    }, overrides.get(name.toLowerCase()));
+
+    return {
+      ...base,
+      ...estimateCountryEconomy(base, exchangeRates, gdpEstimator)
     };
   });
+
+  return scoreCountryDifficulty(processed);
 }
 
 module.exports = {
   extractCurrencyCode,
+  extractCurrencies,
+  extractCapitals,
+  extractLanguages,
   generateRandomMultiplier,
   calculateEstimatedGDP,
+  calculateDifficultyScore,
+  blendDifficultyScore,
+  getDifficultyLevel,
+  estimateCountryEconomy,
+  applyCountryOverrides,
+  scoreCountryDifficulty,
   processCountryData
 };
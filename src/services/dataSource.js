@@ -0,0 +1,190 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  COUNTRIES_API_URL,
+  COUNTRY_DETAILS_API_URL,
+  EXCHANGE_RATE_API_URL,
+  fetchCountryResponses,
+  fetchCountries,
+  mergeCountryDetails,
+  parseExchangeRates,
+  fetchExchangeRateResponse,
+  fetchExchangeRates
+} = require('./externalApi');
+
+const DATA_SOURCES = ['http', 'file', 'fixture'];
+const FIXTURE_SNAPSHOT_PATH = path.join(__dirname, '..', 'fixtures', 'snapshot.json');
+const DEFAULT_SNAPSHOT_PATH = 'data/snapshot.json';
+// Snapshots captured before providers were recorded hold REST Countries and open.er-api responses
+const DEFAULT_SNAPSHOT_PROVIDERS = {
+  countries: 'restcountries',
+  exchange_rates: 'open-er-api'
+};
+
+/**
+ * Get the providers whose responses a snapshot holds
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {Object} - Countries and exchange rates provider names
+ */
+function getSnapshotProviders(snapshot) {
+  return { ...DEFAULT_SNAPSHOT_PROVIDERS, ...snapshot.providers };
+}
+
+/**
+ * Check that a parsed snapshot has the responses a refresh needs
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {string|null} - Problem description, or null if the snapshot is usable
+ */
+function validateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') {
+    return 'snapshot must be a JSON object';
+  }
+
+  if (!Array.isArray(snapshot.countries)) {
+    return '"countries" must be an array';
+  }
+
+  if (snapshot.country_details !== null && snapshot.country_details !== undefined
+    && !Array.isArray(snapshot.country_details)) {
+    return '"country_details" must be an array or null';
+  }
+
+  const provider = getSnapshotProviders(snapshot).exchange_rates;
+  if (!parseExchangeRates(provider, snapshot.exchange_rates)) {
+    return `"exchange_rates" is not a valid ${provider} response`;
+  }
+
+  return null;
+}
+
+/**
+ * Load a snapshot of upstream responses from disk
+ * @param {string} snapshotPath - Path to a snapshot written by captureSnapshot
+ * @returns {Promise<Object>} - Parsed snapshot
+ */
+async function loadSnapshot(snapshotPath) {
+  let snapshot;
+
+  try {
+    snapshot = JSON.parse(await fs.readFile(snapshotPath, 'utf8'));
+  } catch (error) {
+    throw new AppError('Could not load data snapshot', 500, `${snapshotPath}: ${error.message}`);
+  }
+
+  const problem = validateSnapshot(snapshot);
+  if (problem) {
+    throw new AppError('Could not load data snapshot', 500, `${snapshotPath}: ${problem}`);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Create a data source that replays a snapshot instead of calling the upstream APIs
+ * @param {string} type - 'file' or 'fixture'
+ * @param {string} snapshotPath - Absolute snapshot path
+ * @returns {Promise<Object>} - Data source
+ */
+async function createSnapshotSource(type, snapshotPath) {
+  const snapshot = await loadSnapshot(snapshotPath);
+  const providers = getSnapshotProviders(snapshot);
+  const url = `file://${snapshotPath}`;
+
+  return {
+    type,
+    countries_url: url,
+    exchange_rates_url: url,
+    captured_at: snapshot.captured_at || null,
+    fetchCountries: async () => ({
+      provider: providers.countries,
+      countries: mergeCountryDetails(snapshot.countries, snapshot.country_details || null)
+    }),
+    fetchExchangeRates: async () => ({
+      provider: providers.exchange_rates,
+      rates: parseExchangeRates(providers.exchange_rates, snapshot.exchange_rates)
+    })
+  };
+}
+
+/**
+ * Create the data source a refresh reads countries and exchange rates from
+ * @param {Object} options - Data source options
+ * @param {string} [options.type] - 'http', 'file' or 'fixture' (default DATA_SOURCE or 'http')
+ * @param {string} [options.snapshotPath] - Snapshot for the file source (default DATA_SNAPSHOT_PATH)
+ * @returns {Promise<Object>} - Data source with type, source URLs, fetchCountries() and fetchExchangeRates(),
+ *   which resolve to the data and the name of the provider that supplied it
+ */
+async function createDataSource(options = {}) {
+  const type = options.type || process.env.DATA_SOURCE || 'http';
+
+  if (!DATA_SOURCES.includes(type)) {
+    throw new AppError(`Unknown data source "${type}"`, 500);
+  }
+
+  if (type === 'http') {
+    return {
+      type,
+      countries_url: COUNTRIES_API_URL,
+      exchange_rates_url: EXCHANGE_RATE_API_URL,
+      captured_at: null,
+      fetchCountries,
+      fetchExchangeRates
+    };
+  }
+
+  if (type === 'fixture') {
+    return createSnapshotSource(type, FIXTURE_SNAPSHOT_PATH);
+  }
+
+  const snapshotPath = options.snapshotPath || process.env.DATA_SNAPSHOT_PATH || DEFAULT_SNAPSHOT_PATH;
+  return createSnapshotSource(type, path.resolve(process.cwd(), snapshotPath));
+}
+
+/**
+ * Fetch the current upstream responses and write them to a snapshot file
+ * that the file data source can replay
+ * @param {string} snapshotPath - Where to write the snapshot
+ * @returns {Promise<Object>} - Snapshot path and counts
+ */
+async function captureSnapshot(snapshotPath) {
+  const resolvedPath = path.resolve(process.cwd(), snapshotPath);
+
+  const [countryResponses, exchangeRateResponse] = await Promise.all([
+    fetchCountryResponses(),
+    fetchExchangeRateResponse()
+  ]);
+
+  const snapshot = {
+    captured_at: new Date().toISOString(),
+    sources: {
+      countries: COUNTRIES_API_URL,
+      country_details: COUNTRY_DETAILS_API_URL || null,
+      exchange_rates: exchangeRateResponse.url
+    },
+    providers: {
+      countries: countryResponses.provider,
+      exchange_rates: exchangeRateResponse.provider
+    },
+    countries: countryResponses.countries,
+    country_details: countryResponses.country_details,
+    exchange_rates: exchangeRateResponse.data
+  };
+
+  await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+  await fs.writeFile(resolvedPath, `${JSON.stringify(snapshot, null, 2)}\n`);
+
+  return {
+    path: resolvedPath,
+    captured_at: snapshot.captured_at,
+    countries: snapshot.countries.length,
+    exchange_rates: Object.keys(exchangeRateResponse.rates).length
+  };
+}
+
+module.exports = {
+  DATA_SOURCES,
+  DEFAULT_SNAPSHOT_PATH,
+  createDataSource,
+  captureSnapshot
+};
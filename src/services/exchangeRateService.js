@@ -0,0 +1,142 @@
+const { exchangeRateRepository } = require('../repositories');
+
+// All stored rates are units of currency per 1 USD
+const BASE_CURRENCY = 'USD';
+
+/**
+ * Store a day's exchange rates, replacing rates already stored for that day
+ * @param {Object} rates - Object with currency codes as keys and USD rates as values
+ * @param {number|null} refreshRunId - Refresh run the rates were fetched by
+ * @param {string} [date] - Rate date (YYYY-MM-DD), today in UTC if omitted
+ * @returns {Promise<number>} - Number of rates stored
+ */
+async function saveExchangeRates(rates, refreshRunId = null, date = new Date().toISOString().slice(0, 10)) {
+  const rows = Object.entries(rates)
+    .filter(([, rate]) => Number.isFinite(Number(rate)) && Number(rate) > 0)
+    .map(([code, rate]) => ({ currency_code: code.toUpperCase(), rate: Number(rate) }));
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  await exchangeRateRepository.save(rows, date, refreshRunId);
+  return rows.length;
+}
+
+/**
+ * Get the latest stored rate of every currency, used when the rate providers are down
+ * @returns {Promise<Object|null>} - Rates by currency code and the date of the newest rate,
+ *   or null if no rates are stored
+ */
+async function getLatestRates() {
+  const rows = await exchangeRateRepository.findLatest();
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    rates: Object.fromEntries(rows.map(row => [row.currency_code, parseFloat(row.rate)])),
+    as_of: rows.reduce((newest, row) => (row.rate_date > newest ? row.rate_date : newest), rows[0].rate_date)
+  };
+}
+
+/**
+ * Get every known currency with its latest rate and the number of countries using it
+ * @returns {Promise<Array>} - Currencies ordered by code
+ */
+async function getCurrencies() {
+  const rows = await exchangeRateRepository.findLatest();
+
+  return rows.map(row => ({
+    code: row.currency_code,
+    name: row.name || null,
+    symbol: row.symbol || null,
+    rate: parseFloat(row.rate),
+    rate_date: row.rate_date,
+    countries: Number(row.countries)
+  }));
+}
+
+/**
+ * Get the rate history of one currency
+ * @param {string} code - Currency code
+ * @param {Object} range - Optional date range
+ * @param {string} [range.from] - First date (YYYY-MM-DD)
+ * @param {string} [range.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Rates ordered by date
+ */
+async function getCurrencyHistory(code, range = {}) {
+  const rows = await exchangeRateRepository.findHistory(code, range);
+
+  return rows.map(row => ({
+    date: row.date,
+    rate: parseFloat(row.rate)
+  }));
+}
+
+/**
+ * Get the most recent rate of a currency on or before a date
+ * @param {string} code - Currency code
+ * @param {string|null} date - Date (YYYY-MM-DD), latest rate if null
+ * @returns {Promise<Object|null>} - { rate, date } or null if unknown
+ */
+async function getRateOnDate(code, date = null) {
+  const row = await exchangeRateRepository.findOnDate(code, date);
+
+  if (!row) {
+    return code === BASE_CURRENCY ? { rate: 1, date } : null;
+  }
+
+  return {
+    rate: parseFloat(row.rate),
+    date: row.date
+  };
+}
+
+/**
+ * Convert an amount between two currencies through USD
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {number} amount - Amount in the source currency
+ * @param {string|null} date - Use the rates in effect on this date, latest if null
+ * @returns {Promise<Object>} - Conversion result, or { missing } listing unknown currencies
+ */
+async function convertCurrency(from, to, amount, date = null) {
+  const [fromRate, toRate] = await Promise.all([
+    getRateOnDate(from, date),
+    getRateOnDate(to, date)
+  ]);
+
+  const missing = [];
+  if (!fromRate) missing.push(from);
+  if (!toRate) missing.push(to);
+
+  if (missing.length > 0) {
+    return { missing };
+  }
+
+  const rate = toRate.rate / fromRate.rate;
+
+  return {
+    from,
+    to,
+    amount,
+    rate: parseFloat(rate.toFixed(8)),
+    result: parseFloat((amount * rate).toFixed(6)),
+    rates_used: {
+      [from]: { rate: fromRate.rate, date: fromRate.date },
+      [to]: { rate: toRate.rate, date: toRate.date }
+    },
+    base: BASE_CURRENCY
+  };
+}
+
+module.exports = {
+  saveExchangeRates,
+  getLatestRates,
+  getCurrencies,
+  getCurrencyHistory,
+  getRateOnDate,
+  convertCurrency
+};
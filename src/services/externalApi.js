@@ -1,51 +1,212 @@
 const axios = require('axios');
 require('dotenv').config();
+const { UpstreamError } = require('../middleware/errorHandler');
 
 const COUNTRIES_API_URL = process.env.COUNTRIES_API_URL || 'https://restcountries.com/v2/all?fields=name,capital,region,population,flag,currencies';
+// REST Countries only returns up to 10 fields per request, so the richer
+// attributes come from a second request merged in by country name
+const COUNTRY_DETAILS_API_URL = process.env.COUNTRY_DETAILS_API_URL !== undefined
+  ? process.env.COUNTRY_DETAILS_API_URL
+  : 'https://restcountries.com/v2/all?fields=name,alpha2Code,alpha3Code,subregion,languages,area,borders,timezones,callingCodes';
 const EXCHANGE_RATE_API_URL = process.env.EXCHANGE_RATE_API_URL || 'https://open.er-api.com/v6/latest/USD';
 
+const REQUEST_TIMEOUT = 30000;
+const UPSTREAM_RETRIES = parseInt(process.env.UPSTREAM_RETRIES || '2', 10);
+const UPSTREAM_RETRY_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_DELAY_MS || '500', 10);
+
+const COUNTRIES_PROVIDER = 'restcountries';
+
+// Exchange rate providers, tried in EXCHANGE_RATE_PROVIDERS order. Each parser
+// returns units of currency per 1 USD, or null if the response is unusable.
+const EXCHANGE_RATE_PROVIDERS = {
+  'open-er-api': {
+    url: EXCHANGE_RATE_API_URL,
+    parse: data => (data && data.rates ? data.rates : null)
+  },
+  frankfurter: {
+    url: process.env.FRANKFURTER_API_URL || 'https://api.frankfurter.app/latest?from=USD',
+    // Frankfurter leaves the base currency out of its rates
+    parse: data => (data && data.rates ? { ...data.rates, [data.base]: 1 } : null)
+  }
+};
+
 /**
- * Fetch all countries from the external API
- * @returns {Promise<Array>} Array of country objects
+ * Get the exchange rate providers to try, in order
+ * @returns {Array<string>} - Provider names from EXCHANGE_RATE_PROVIDERS (default open-er-api, frankfurter)
  */
-async function fetchCountries() {
-  try {
-    const response = await axios.get(COUNTRIES_API_URL, {
-      timeout: 30000
-    });
-    return response.data;
-  } catch (error) {
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Countries API request timed out');
+function getExchangeRateProviderNames() {
+  const names = (process.env.EXCHANGE_RATE_PROVIDERS || 'open-er-api,frankfurter')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name !== '');
+
+  for (const name of names) {
+    if (!EXCHANGE_RATE_PROVIDERS[name]) {
+      throw new Error(`Unknown exchange rate provider "${name}"`);
     }
-    throw new Error(`Could not fetch data from Countries API: ${error.message}`);
   }
+
+  return names;
 }
 
 /**
- * Fetch exchange rates from the external API
- * @returns {Promise<Object>} Object with exchange rates
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for network errors, timeouts, 429 and 5xx responses
  */
-async function fetchExchangeRates() {
-  try {
-    const response = await axios.get(EXCHANGE_RATE_API_URL, {
-      timeout: 30000
-    });
+function isRetryable(error) {
+  if (!error.response) {
+    return true;
+  }
+
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+/**
+ * Describe a failed request for error messages
+ * @param {Error} error - Axios error
+ * @returns {string} - Short description
+ */
+function describeRequestError(error) {
+  return error.code === 'ECONNABORTED' ? 'request timed out' : error.message;
+}
+
+/**
+ * GET a URL, retrying transient failures with exponential backoff
+ * (UPSTREAM_RETRY_DELAY_MS, then twice that, and so on)
+ * @param {string} url - URL to fetch
+ * @returns {Promise<*>} - Response body
+ */
+async function getWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.get(url, { timeout: REQUEST_TIMEOUT });
+      return response.data;
+    } catch (error) {
+      if (attempt >= UPSTREAM_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
 
-    if (response.data && response.data.rates) {
-      return response.data.rates;
+      const delay = UPSTREAM_RETRY_DELAY_MS * 2 ** attempt;
+      console.warn(`Request to ${url} failed (${describeRequestError(error)}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
+  }
+}
+
+/**
+ * Fetch the raw country responses from the external API
+ * @returns {Promise<Object>} Object with the provider name and the countries and country details responses
+ */
+async function fetchCountryResponses() {
+  try {
+    const [countries, countryDetails] = await Promise.all([
+      getWithRetry(COUNTRIES_API_URL),
+      COUNTRY_DETAILS_API_URL ? getWithRetry(COUNTRY_DETAILS_API_URL) : null
+    ]);
 
-    throw new Error('Invalid response format from Exchange Rate API');
+    return {
+      provider: COUNTRIES_PROVIDER,
+      countries,
+      country_details: countryDetails
+    };
   } catch (error) {
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Exchange Rate API request timed out');
+    throw new UpstreamError(`Could not fetch data from Countries API: ${describeRequestError(error)}`, 'countries');
+  }
+}
+
+/**
+ * Fetch all countries from the external API
+ * @returns {Promise<Object>} Object with the provider name and an array of country objects
+ */
+async function fetchCountries() {
+  const responses = await fetchCountryResponses();
+
+  return {
+    provider: responses.provider,
+    countries: mergeCountryDetails(responses.countries, responses.country_details)
+  };
+}
+
+/**
+ * Merge the detail fields into the main country list by name
+ * @param {Array} countries - Country objects from the main request
+ * @param {Array|null} details - Country objects from the details request
+ * @returns {Array} Merged country objects
+ */
+function mergeCountryDetails(countries, details) {
+  if (!details) {
+    return countries;
+  }
+
+  const detailsByName = new Map(
+    (Array.isArray(details) ? details : []).map(detail => [detail.name, detail])
+  );
+
+  return countries.map(country => ({
+    ...detailsByName.get(country.name),
+    ...country
+  }));
+}
+
+/**
+ * Extract USD rates from an exchange rate provider's response
+ * @param {string} provider - Provider name
+ * @param {Object} data - Provider response body
+ * @returns {Object|null} Object with currency codes as keys and USD rates as values, or null if unusable
+ */
+function parseExchangeRates(provider, data) {
+  const definition = EXCHANGE_RATE_PROVIDERS[provider];
+  return definition ? definition.parse(data) : null;
+}
+
+/**
+ * Fetch the raw exchange rate response from the first provider that answers
+ * @returns {Promise<Object>} Object with the provider name and URL, its response body and the parsed rates
+ */
+async function fetchExchangeRateResponse() {
+  const failures = [];
+
+  for (const provider of getExchangeRateProviderNames()) {
+    try {
+      const { url } = EXCHANGE_RATE_PROVIDERS[provider];
+      const data = await getWithRetry(url);
+      const rates = parseExchangeRates(provider, data);
+
+      if (!rates) {
+        throw new Error('invalid response format');
+      }
+
+      return { provider, url, data, rates };
+    } catch (error) {
+      failures.push(`${provider}: ${describeRequestError(error)}`);
     }
-    throw new Error(`Could not fetch data from Exchange Rate API: ${error.message}`);
   }
+
+  throw new UpstreamError(`Could not fetch data from Exchange Rate API: ${failures.join('; ')}`, 'exchange_rates');
+}
+
+/**
+ * Fetch exchange rates from the external API
+ * @returns {Promise<Object>} Object with the provider name and exchange rates
+ */
+async function fetchExchangeRates() {
+  const response = await fetchExchangeRateResponse();
+
+  return {
+    provider: response.provider,
+    rates: response.rates
+  };
 }
 
 module.exports = {
+  COUNTRIES_API_URL,
+  COUNTRY_DETAILS_API_URL,
+  EXCHANGE_RATE_API_URL,
+  fetchCountryResponses,
   fetchCountries,
+  mergeCountryDetails,
+  parseExchangeRates,
+  fetchExchangeRateResponse,
   fetchExchangeRates
 };
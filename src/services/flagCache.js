@@ -0,0 +1,379 @@
+const axios = require('axios');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const FLAG_DOWNLOAD_TIMEOUT = 10000;
+const FLAG_DOWNLOAD_CONCURRENCY = 8;
+const MAX_FLAG_BYTES = 1024 * 1024;
+// Flag formats that can be mirrored and embedded in the generated images, by file extension
+const FLAG_CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+// Formats GET /flags can convert a flag to
+const FLAG_OUTPUT_FORMATS = ['png', 'webp', 'svg'];
+const MIN_FLAG_WIDTH = 8;
+const MAX_FLAG_WIDTH = 1024;
+const FLAG_HASH_PATTERN = /^[a-f0-9]{32}$/;
+const INDEX_FILE = 'index.json';
+const RESIZED_DIR = 'resized';
+
+// Last index read from disk, reused until the file changes
+let loadedIndex = { mtimeMs: null, entries: {} };
+
+/**
+ * Check whether refreshes download flags (FLAG_DOWNLOADS, on unless 'false')
+ * @returns {boolean} - True if flags are downloaded
+ */
+function flagDownloadsEnabled() {
+  return process.env.FLAG_DOWNLOADS !== 'false';
+}
+
+/**
+ * Get the directory mirrored flags are cached in
+ * @returns {string} - Absolute directory path
+ */
+function getFlagCacheDir() {
+  return path.join(process.cwd(), process.env.CACHE_DIR || 'cache', 'flags');
+}
+
+/**
+ * Hash flag content. Flags are stored under the hash of their content, which
+ * doubles as their ETag.
+ * @param {Buffer} data - Flag content
+ * @returns {string} - 32 hex characters
+ */
+function hashFlag(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+}
+
+/**
+ * Write a file under a temporary name first, so a half-written file is never served
+ * @param {string} filePath - Destination
+ * @param {Buffer|string} data - File content
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomically(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read the index of mirrored flags
+ * @returns {Promise<Object>} - Flag URL to stored file name ("<hash>.<ext>")
+ */
+async function readFlagIndex() {
+  const indexPath = path.join(getFlagCacheDir(), INDEX_FILE);
+
+  try {
+    const { mtimeMs } = await fs.stat(indexPath);
+    if (mtimeMs !== loadedIndex.mtimeMs) {
+      loadedIndex = { mtimeMs, entries: JSON.parse(await fs.readFile(indexPath, 'utf8')) };
+    }
+  } catch (error) {
+    loadedIndex = { mtimeMs: null, entries: {} };
+  }
+
+  return loadedIndex.entries;
+}
+
+/**
+ * Describe a stored flag file
+ * @param {string} file - Stored file name ("<hash>.<ext>")
+ * @returns {Object} - { path, hash, content_type }
+ */
+function describeFlagFile(file) {
+  const extension = path.extname(file).slice(1);
+
+  return {
+    path: path.join(getFlagCacheDir(), file),
+    hash: path.basename(file, `.${extension}`),
+    content_type: FLAG_CONTENT_TYPES[extension]
+  };
+}
+
+/**
+ * Find the mirrored copy of a flag
+ * @param {string|null} flagUrl - Flag URL
+ * @returns {Promise<Object|null>} - { path, hash, content_type }, or null if the flag is not mirrored
+ */
+async function findCachedFlag(flagUrl) {
+  if (!flagUrl) {
+    return null;
+  }
+
+  const file = (await readFlagIndex())[flagUrl];
+  if (!file) {
+    return null;
+  }
+
+  const flag = describeFlagFile(file);
+
+  try {
+    await fs.access(flag.path);
+    return flag;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find a mirrored flag by its content hash
+ * @param {string} hash - Content hash
+ * @returns {Promise<Object|null>} - { path, hash, content_type }, or null if no flag has the hash
+ */
+async function findFlagByHash(hash) {
+  if (!FLAG_HASH_PATTERN.test(hash)) {
+    return null;
+  }
+
+  for (const extension of Object.keys(FLAG_CONTENT_TYPES)) {
+    const flag = describeFlagFile(`${hash}.${extension}`);
+
+    try {
+      await fs.access(flag.path);
+      return flag;
+    } catch (error) {
+      // Try the next format
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the content hashes of all mirrored flags
+ * @returns {Promise<Map<string, string>>} - Flag URL to content hash
+ */
+async function getFlagHashes() {
+  const index = await readFlagIndex();
+  return new Map(Object.entries(index).map(([flagUrl, file]) => [flagUrl, describeFlagFile(file).hash]));
+}
+
+/**
+ * Read a mirrored flag as a data URI, ready to embed in an SVG image
+ * @param {string|null} flagUrl - Flag URL
+ * @returns {Promise<string|null>} - Data URI, or null if the flag is not mirrored
+ */
+async function readFlagDataUri(flagUrl) {
+  const flag = await findCachedFlag(flagUrl);
+
+  if (!flag) {
+    return null;
+  }
+
+  const data = await fs.readFile(flag.path);
+  return `data:${flag.content_type};base64,${data.toString('base64')}`;
+}
+
+/**
+ * Work out the format of a downloaded flag from its content type, or its URL
+ * when the server sends a generic one
+ * @param {string} flagUrl - Flag URL
+ * @param {string} contentType - Content-Type response header
+ * @returns {string|null} - 'svg' or 'png', or null for formats that cannot be embedded
+ */
+function flagExtension(flagUrl, contentType = '') {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  const byType = Object.keys(FLAG_CONTENT_TYPES).find(extension => FLAG_CONTENT_TYPES[extension] === type);
+
+  if (byType) {
+    return byType;
+  }
+
+  const extension = path.extname(new URL(flagUrl).pathname).slice(1).toLowerCase();
+  return FLAG_CONTENT_TYPES[extension] ? extension : null;
+}
+
+/**
+ * Download one flag into the cache
+ * @param {string} flagUrl - Flag URL
+ * @returns {Promise<string>} - Stored file name ("<hash>.<ext>")
+ * @throws {Error} - If the download fails or the flag is not an SVG or PNG image
+ */
+async function downloadFlag(flagUrl) {
+  const response = await axios.get(flagUrl, {
+    timeout: FLAG_DOWNLOAD_TIMEOUT,
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_FLAG_BYTES
+  });
+
+  const extension = flagExtension(flagUrl, response.headers['content-type']);
+  if (!extension) {
+    throw new Error(`unsupported flag format ${response.headers['content-type'] || 'unknown'}`);
+  }
+
+  const data = Buffer.from(response.data);
+  const file = `${hashFlag(data)}.${extension}`;
+
+  await writeFileAtomically(path.join(getFlagCacheDir(), file), data);
+  return file;
+}
+
+/**
+ * Delete stored flags and resized copies that the index no longer refers to
+ * @param {Object} index - Flag URL to stored file name
+ * @returns {Promise<number>} - Number of flags deleted
+ */
+async function pruneFlags(index) {
+  const cacheDir = getFlagCacheDir();
+  const kept = new Set(Object.values(index));
+  const keptHashes = new Set([...kept].map(file => describeFlagFile(file).hash));
+  let removed = 0;
+
+  for (const file of await fs.readdir(cacheDir)) {
+    if (FLAG_CONTENT_TYPES[path.extname(file).slice(1)] && !kept.has(file)) {
+      await fs.rm(path.join(cacheDir, file), { force: true });
+      removed++;
+    }
+  }
+
+  // Resized copies are named "<hash>-<width>.<format>"
+  const resizedDir = path.join(cacheDir, RESIZED_DIR);
+  for (const file of await fs.readdir(resizedDir).catch(() => [])) {
+    if (!keptHashes.has(file.split('-')[0])) {
+      await fs.rm(path.join(resizedDir, file), { force: true });
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Mirror a set of flags into the cache: download the ones not mirrored yet and
+ * drop the ones no country uses any more. Failed downloads are counted and
+ * logged once; the next refresh tries again.
+ * @param {Array<string|null>} flagUrls - Flag URLs of every country; empty values are ignored
+ * @returns {Promise<Object|null>} - Counts of downloaded, cached (already mirrored), failed
+ *   and removed flags, or null if flag downloads are turned off
+ */
+async function cacheFlags(flagUrls) {
+  if (!flagDownloadsEnabled()) {
+    return null;
+  }
+
+  const result = { downloaded: 0, cached: 0, failed: 0, removed: 0 };
+  const index = {};
+  const pending = [];
+  let firstFailure = null;
+
+  await fs.mkdir(getFlagCacheDir(), { recursive: true });
+
+  for (const flagUrl of new Set(flagUrls.filter(Boolean))) {
+    const flag = await findCachedFlag(flagUrl);
+
+    if (flag) {
+      index[flagUrl] = path.basename(flag.path);
+      result.cached++;
+    } else {
+      pending.push(flagUrl);
+    }
+  }
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      const flagUrl = pending.shift();
+
+      try {
+        index[flagUrl] = await downloadFlag(flagUrl);
+        result.downloaded++;
+      } catch (error) {
+        result.failed++;
+        firstFailure = firstFailure
+          || `${flagUrl}: ${error.code === 'ECONNABORTED' ? 'request timed out' : error.message}`;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: FLAG_DOWNLOAD_CONCURRENCY }, worker));
+
+  if (result.failed > 0) {
+    console.warn(`Could not download ${result.failed} flag(s), e.g. ${firstFailure}`);
+  }
+
+  await writeFileAtomically(path.join(getFlagCacheDir(), INDEX_FILE), `${JSON.stringify(index, null, 2)}\n`);
+  result.removed = await pruneFlags(index);
+
+  return result;
+}
+
+/**
+ * Get a flag in the requested size and format, converting it with sharp.
+ * Converted copies of mirrored flags are kept next to them.
+ * @param {Object} flag - Flag as { hash, content_type } with either path (mirrored) or data (generated)
+ * @param {Object} options - Output options
+ * @param {number|null} options.width - Width in pixels, original size if null; SVG output is never resized
+ * @param {string|null} options.format - 'png', 'webp' or 'svg'; if null, the flag's own format,
+ *   or PNG for an SVG flag given a width
+ * @returns {Promise<Object>} - { path } or { data }, with content_type and etag
+ * @throws {Error} - With code 'FLAG_NOT_SVG' if SVG output is asked of a PNG flag
+ */
+async function convertFlag(flag, { width = null, format = null } = {}) {
+  const ownFormat = Object.keys(FLAG_CONTENT_TYPES).find(extension => FLAG_CONTENT_TYPES[extension] === flag.content_type);
+  // A width asks for a bitmap of that size, so SVG flags default to PNG then
+  const outputFormat = format || (width && ownFormat === 'svg' ? 'png' : ownFormat);
+
+  if (outputFormat === 'svg' && ownFormat !== 'svg') {
+    const error = new Error('SVG output needs an SVG flag');
+    error.code = 'FLAG_NOT_SVG';
+    throw error;
+  }
+
+  // SVG scales by itself, so only raster output is resized
+  if (outputFormat === ownFormat && (width === null || outputFormat === 'svg')) {
+    return { ...(flag.path ? { path: flag.path } : { data: flag.data }), content_type: flag.content_type, etag: `"${flag.hash}"` };
+  }
+
+  const variant = `${flag.hash}-${width || 'full'}`;
+  const contentType = outputFormat === 'webp' ? 'image/webp' : 'image/png';
+  const etag = `"${variant}.${outputFormat}"`;
+
+  const render = async () => {
+    const source = flag.path || flag.data;
+    const options = {};
+
+    // Rasterize SVG at the density that gives the wanted width, instead of upscaling a small bitmap
+    if (ownFormat === 'svg' && width) {
+      const metadata = await sharp(source).metadata();
+      if (metadata.width) {
+        options.density = Math.min(Math.max((72 * width) / metadata.width, 1), 2400);
+      }
+    }
+
+    const image = sharp(source, options);
+    const sized = width ? image.resize({ width }) : image;
+    return outputFormat === 'webp' ? sized.webp().toBuffer() : sized.png().toBuffer();
+  };
+
+  if (!flag.path) {
+    return { data: await render(), content_type: contentType, etag };
+  }
+
+  const resizedDir = path.join(getFlagCacheDir(), RESIZED_DIR);
+  const resizedPath = path.join(resizedDir, `${variant}.${outputFormat}`);
+
+  try {
+    await fs.access(resizedPath);
+  } catch (error) {
+    await fs.mkdir(resizedDir, { recursive: true });
+    await writeFileAtomically(resizedPath, await render());
+  }
+
+  return { path: resizedPath, content_type: contentType, etag };
+}
+
+module.exports = {
+  FLAG_OUTPUT_FORMATS,
+  MIN_FLAG_WIDTH,
+  MAX_FLAG_WIDTH,
+  hashFlag,
+  findCachedFlag,
+  findFlagByHash,
+  getFlagHashes,
+  readFlagDataUri,
+  cacheFlags,
+  convertFlag
+};
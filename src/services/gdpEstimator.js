@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { AppError } = require('../middleware/errorHandler');
+const { createSeededRandom } = require('./random');
+const { generateRandomMultiplier, calculateEstimatedGDP } = require('./dataProcessor');
+
+const GDP_STRATEGIES = ['random', 'deterministic', 'dataset'];
+
+/**
+ * Parse a GDP-per-capita dataset.
+ * JSON may be an object ({"Nigeria": 2184.4}) or an array of {name, gdp_per_capita};
+ * CSV must have a header row with `name` and `gdp_per_capita` columns.
+ * @param {string} content - File content
+ * @param {string} extension - File extension ('.json' or '.csv')
+ * @returns {Map<string, number>} - Lower-cased country name to GDP per capita (USD)
+ */
+function parseGdpDataset(content, extension) {
+  const dataset = new Map();
+  const add = (name, value) => {
+    const amount = parseFloat(value);
+    if (name && Number.isFinite(amount)) {
+      dataset.set(String(name).trim().toLowerCase(), amount);
+    }
+  };
+
+  if (extension === '.json') {
+    const data = JSON.parse(content);
+
+    if (Array.isArray(data)) {
+      data.forEach(entry => add(entry.name, entry.gdp_per_capita));
+    } else {
+      Object.entries(data).forEach(([name, value]) => add(name, value));
+    }
+
+    return dataset;
+  }
+
+  const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  const columns = header.split(',').map(column => column.trim().toLowerCase());
+  const nameIndex = columns.indexOf('name');
+  const valueIndex = columns.indexOf('gdp_per_capita');
+
+  if (nameIndex === -1 || valueIndex === -1) {
+    throw new Error('CSV dataset needs "name" and "gdp_per_capita" columns');
+  }
+
+  for (const line of lines) {
+    const cells = line.split(',');
+    add(cells[nameIndex], cells[valueIndex]);
+  }
+
+  return dataset;
+}
+
+/**
+ * Load a GDP-per-capita dataset from disk
+ * @param {string} datasetPath - Path to a .json or .csv file
+ * @returns {Promise<Map<string, number>>} - Lower-cased country name to GDP per capita
+ */
+async function loadGdpDataset(datasetPath) {
+  const resolvedPath = path.resolve(process.cwd(), datasetPath);
+
+  try {
+    const content = await fs.readFile(resolvedPath, 'utf8');
+    return parseGdpDataset(content, path.extname(resolvedPath).toLowerCase());
+  } catch (error) {
+    throw new AppError('Could not load GDP dataset', 500, `${resolvedPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Create a GDP estimator for one refresh
+ * @param {Object} options - Estimator options
+ * @param {string} [options.strategy] - 'random', 'deterministic' or 'dataset' (default GDP_STRATEGY or 'random')
+ * @param {string} [options.seed] - Seed for the random strategy (default GDP_SEED, then previousSeed)
+ * @param {boolean} [options.reseed] - Draw a new seed for the random strategy instead of reusing one
+ * @param {string|null} [options.previousSeed] - Seed of the last random refresh; a new seed is
+ *   drawn if there is none
+ * @param {string} [options.datasetPath] - Dataset path for the dataset strategy (default GDP_DATASET_PATH)
+ * @returns {Promise<Object>} - Estimator with strategy, seed and estimate(country, exchangeRate)
+ */
+async function createGdpEstimator(options = {}) {
+  const strategy = options.strategy || process.env.GDP_STRATEGY || 'random';
+
+  if (!GDP_STRATEGIES.includes(strategy)) {
+    throw new AppError(`Unknown GDP strategy "${strategy}"`, 500);
+  }
+
+  if (strategy === 'random') {
+    // Reusing the seed keeps estimates from reshuffling on every refresh
+    const seed = options.seed
+      || (!options.reseed && (process.env.GDP_SEED || options.previousSeed))
+      || crypto.randomBytes(8).toString('hex');
+
+    // Seeding per country keeps values independent of the order countries arrive in
+
+    return {
+      strategy,
+      seed,
+      estimate: (country, exchangeRate) => calculateEstimatedGDP(
+        country.population,
+        exchangeRate,
+        generateRandomMultiplier(createSeededRandom(`${seed}:${country.name}`))
+      )
+    };
+  }
+
+  // The random strategy with a fixed seed, the same on every refresh and deployment
+  if (strategy === 'deterministic') {
+    return {
+      strategy,
+      seed: null,
+      estimate: (country, exchangeRate) => calculateEstimatedGDP(
+        country.population,
+        exchangeRate,
+        generateRandomMultiplier(createSeededRandom(`gdp:${country.name}`))
+      )
+    };
+  }
+
+  const datasetPath = options.datasetPath || process.env.GDP_DATASET_PATH;
+  if (!datasetPath) {
+    throw new AppError('GDP_DATASET_PATH must be set to use the dataset GDP strategy', 500);
+  }
+
+  const dataset = await loadGdpDataset(datasetPath);
+
+  return {
+    strategy,
+    seed: null,
+    dataset: datasetPath,
+    estimate: (country) => {
+      const gdpPerCapita = dataset.get(String(country.name).toLowerCase());
+
+      if (gdpPerCapita === undefined || !country.population) {
+        return null;
+      }
+
+      return parseFloat((country.population * gdpPerCapita).toFixed(2));
+    }
+  };
+}
+
+module.exports = {
+  GDP_STRATEGIES,
+  parseGdpDataset,
+  createGdpEstimator
+};
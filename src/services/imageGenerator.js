@@ -1,132 +1,506 @@
 const sharp = require("sharp");
+const crypto = require("crypto");
 const fs = require("fs").promises;
 const path = require("path");
 
+const IMAGE_METRICS = ["gdp", "population", "exchange_rate"];
+const IMAGE_CHART_TYPES = ["list", "bar", "pie"];
+const IMAGE_THEMES = ["dark", "light"];
+const IMAGE_FORMATS = ["png", "svg", "webp"];
+// Metrics a pie chart can split up; exchange rates do not add up to a whole
+const PIE_METRICS = ["gdp", "population"];
+const MIN_IMAGE_SIZE = 200;
+const MAX_IMAGE_SIZE = 2000;
+const MAX_IMAGE_LIMIT = 20;
+
+// Matches the image generated before it could be configured
+const DEFAULT_IMAGE_OPTIONS = {
+  metric: "gdp",
+  chart: "list",
+  limit: 5,
+  region: null,
+  width: 800,
+  height: 600,
+  theme: "dark",
+  format: "png",
+};
+
+// Common size for link previews
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+const FONT_FAMILY = "DejaVu Sans, Liberation Sans, FreeSans, Arial, sans-serif";
+
+const THEMES = {
+  dark: {
+    background: "#1d1d1d",
+    title: "#ffffff",
+    text: "#ffffff",
+    rank: "#a2a2a2",
+    accent: "#00d9ff",
+    footer: "#888888",
+    track: "#2e2e2e",
+  },
+  light: {
+    background: "#ffffff",
+    title: "#1d1d1d",
+    text: "#1d1d1d",
+    rank: "#6b6b6b",
+    accent: "#0077b6",
+    footer: "#777777",
+    track: "#e6e6e6",
+  },
+};
+
+const PIE_COLORS = [
+  "#00a6d6",
+  "#f5a623",
+  "#7ed321",
+  "#d0021b",
+  "#9b59b6",
+  "#50e3c2",
+  "#f8e71c",
+  "#e67e22",
+  "#4a90e2",
+  "#b8e986",
+];
+const OTHER_SLICE_COLOR = "#9e9e9e";
+
+const METRIC_LABELS = {
+  gdp: "Estimated GDP",
+  population: "Population",
+  exchange_rate: "Exchange Rate per USD",
+};
+
+// Labels for values listed under a country name
+const VALUE_LABELS = {
+  gdp: "GDP",
+  population: "Population",
+  exchange_rate: "Rate",
+};
+
 /**
- * Generate summary image with country statistics
+ * Get the directory rendered summary images are cached in
+ * @returns {string} - Absolute directory path
+ */
+function getImageCacheDir() {
+  return path.join(process.cwd(), process.env.CACHE_DIR || "cache", "summary");
+}
+
+/**
+ * Generate a summary image, or reuse the one rendered earlier for the same
+ * options and data. Variants are cached under a hash of both, so changed data
+ * never serves an outdated image.
  * @param {Object} data - Data to display in the image
- * @param {number} data.total_countries - Total number of countries
- * @param {Array} data.top_countries - Top 5 countries by GDP
+ * @param {number} data.total_countries - Number of countries the chart covers
+ * @param {Array} data.items - Chart entries as { label, value, flag }, largest first;
+ *   flag is a data URI or null
  * @param {Date} data.last_refreshed_at - Last refresh timestamp
+ * @param {Object} options - Image options, as DEFAULT_IMAGE_OPTIONS
  * @returns {Promise<string>} - Path to the generated image
  */
-async function generateSummaryImage(data) {
-  const { total_countries, top_countries, last_refreshed_at } = data;
+async function generateSummaryImage(data, options = DEFAULT_IMAGE_OPTIONS) {
+  const settings = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+  const key = crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ settings, data }))
+    .digest("hex")
+    .slice(0, 32);
 
-  // Canvas dimensions
-  const width = 800;
-  const height = 600;
+  const cacheDir = getImageCacheDir();
+  const imagePath = path.join(cacheDir, `${key}.${settings.format}`);
 
-  // Create SVG
-  const svg = generateSVG(
-    total_countries,
-    top_countries,
-    last_refreshed_at,
-    width,
-    height
-  );
+  try {
+    await fs.access(imagePath);
+    return imagePath;
+  } catch (error) {
+    // Not rendered yet
+  }
 
-  // Convert SVG to PNG using Sharp
-  const cacheDir = path.join(process.cwd(), process.env.CACHE_DIR || "cache");
   await ensureDirectoryExists(cacheDir);
 
-  const imagePath = path.join(cacheDir, "summary.png");
+  const svg = generateSVG(data, settings);
+  const image = await renderImage(svg, settings.format);
 
-  await sharp(Buffer.from(svg)).png().toFile(imagePath);
+  // Write under a temporary name so a concurrent request never reads half a file
+  const tempPath = `${imagePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fs.writeFile(tempPath, image);
+  await fs.rename(tempPath, imagePath);
 
   return imagePath;
 }
 
+/**
+ * Convert SVG markup to the requested format
+ * @param {string} svg - SVG markup
+ * @param {string} format - 'png', 'svg' or 'webp'
+ * @returns {Promise<Buffer>} - Image data
+ */
+async function renderImage(svg, format) {
+  if (format === "svg") {
+    return Buffer.from(svg);
+  }
+
+  const image = sharp(Buffer.from(svg));
+  return format === "webp" ? image.webp().toBuffer() : image.png().toBuffer();
+}
+
+/**
+ * Remove every cached summary image, e.g. after a refresh changed the data
+ * @returns {Promise<void>}
+ */
+async function clearSummaryImages() {
+  await fs.rm(getImageCacheDir(), { recursive: true, force: true });
+}
+
+/**
+ * Build the title of a chart
+ * @param {Object} settings - Image options
+ * @returns {string} - Chart title
+ */
+function chartTitle(settings) {
+  const metric = METRIC_LABELS[settings.metric];
+  const scope = settings.region ? ` in ${settings.region}` : "";
+
+  if (settings.chart === "pie") {
+    return `${metric} by ${settings.region ? "Subregion" : "Region"}${scope}`;
+  }
+
+  return `Top ${settings.limit} Countries by ${metric}${scope}`;
+}
+
 /**
  * Generate SVG markup for the summary image
- * @param {number} totalCountries - Total number of countries
- * @param {Array} topCountries - Top 5 countries by GDP
- * @param {Date} lastRefreshed - Last refresh timestamp
- * @param {number} width - Image width
- * @param {number} height - Image height
+ * @param {Object} data - Data to display, as for generateSummaryImage
+ * @param {Object} settings - Image options
  * @returns {string} - SVG markup
  */
-function generateSVG(
-  totalCountries,
-  topCountries,
-  lastRefreshed,
-  width,
-  height
-) {
-  const timestamp = new Date(lastRefreshed).toISOString();
-
-  let countriesHTML = "";
-  let yPosition = 250;
-
-  topCountries.forEach((country, index) => {
-    const gdpFormatted = formatGDP(country.estimated_gdp);
-
-    countriesHTML += `
-      <text x="100" y="${yPosition}" fill="#a2a2a2" font-size="24" font-weight="bold">${
-      index + 1
-    }.</text>
-      <text x="140" y="${yPosition}" fill="#ffffff" font-size="20">${escapeXml(
-      country.name
-    )}</text>
-      <text x="140" y="${
-        yPosition + 25
-      }" fill="#00d9ff" font-size="18">GDP: $${gdpFormatted}</text>
-    `;
+function generateSVG(data, settings) {
+  const { width, height } = settings;
+  const theme = THEMES[settings.theme];
+  // Sizes are laid out for 800x600 and scaled to fit
+  const scale = Math.min(width / 800, height / 600);
+  const timestamp = data.last_refreshed_at
+    ? new Date(data.last_refreshed_at).toISOString()
+    : "never";
 
-    yPosition += 65;
-  });
+  const layout = {
+    scale,
+    top: 230 * scale,
+    bottom: height - 70 * scale,
+    left: 100 * scale,
+    right: width - 100 * scale,
+  };
 
-  return `
-    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-      <defs>
-        <linearGradient id="bgGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-          <stop offset="0%" style="stop-color:#1d1d1d;stop-opacity:1" />
-          <stop offset="100%" style="stop-color:#1d1d1d;stop-opacity:1" />
-        </linearGradient>
-      </defs>
+  const chartMarkup = {
+    list: renderList,
+    bar: renderBarChart,
+    pie: renderPieChart,
+  }[settings.chart](data.items, settings, theme, layout);
 
+  return `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
       <!-- Background -->
-      <rect width="${width}" height="${height}" fill="url(#bgGradient)" />
-
-      <!-- Title -->
-      <text x="${
-        width / 2
-      }" y="60" fill="#ffffff" font-size="36" font-weight="bold" text-anchor="middle" font-family="DejaVu Sans, Liberation Sans, FreeSans, Arial, sans-serif">
-        Country Trivia Summary
-      </text>
-
-      <!-- Total Countries -->
-      <text x="${
-        width / 2
-      }" y="120" fill="#00d9ff" font-size="24" text-anchor="middle" font-family="DejaVu Sans, Liberation Sans, FreeSans, Arial, sans-serif">
-        Total Countries: ${totalCountries}
-      </text>
-
-      <!-- Divider Line -->
-      <line x1="100" y1="150" x2="${
-        width - 100
-      }" y2="150" stroke="#00d9ff" stroke-width="2" />
-
-      <!-- Top 5 Header -->
-      <text x="${
-        width / 2
-      }" y="200" fill="#ffffff" font-size="28" font-weight="bold" text-anchor="middle" font-family="DejaVu Sans, Liberation Sans, FreeSans, Arial, sans-serif">
-        Top 5 Countries by Estimated GDP
-      </text>
-
-      <!-- Countries List -->
-      <g font-family="DejaVu Sans, Liberation Sans, FreeSans, Arial, sans-serif">
-        ${countriesHTML}
+      <rect width="${width}" height="${height}" fill="${theme.background}" />
+
+      <g font-family="${FONT_FAMILY}">
+        <!-- Title -->
+        <text x="${width / 2}" y="${60 * scale}" fill="${theme.title}" font-size="${36 * scale}" font-weight="bold" text-anchor="middle">
+          Country Trivia Summary
+        </text>
+
+        <!-- Total Countries -->
+        <text x="${width / 2}" y="${120 * scale}" fill="${theme.accent}" font-size="${24 * scale}" text-anchor="middle">
+          Total Countries: ${data.total_countries}
+        </text>
+
+        <!-- Divider Line -->
+        <line x1="${layout.left}" y1="${150 * scale}" x2="${layout.right}" y2="${150 * scale}" stroke="${theme.accent}" stroke-width="${2 * scale}" />
+
+        <!-- Chart Header -->
+        <text x="${width / 2}" y="${200 * scale}" fill="${theme.title}" font-size="${28 * scale}" font-weight="bold" text-anchor="middle">
+          ${escapeXml(chartTitle(settings))}
+        </text>
+
+        <!-- Chart -->
+        ${chartMarkup}
+
+        <!-- Timestamp -->
+        <text x="${width / 2}" y="${height - 30 * scale}" fill="${theme.footer}" font-size="${16 * scale}" text-anchor="middle">
+          Last refreshed: ${timestamp}
+        </text>
       </g>
+    </svg>
+  `;
+}
+
+/**
+ * Render a ranked list, with each value under its country when there is room
+ * @param {Array} items - Chart entries as { label, value }
+ * @param {Object} settings - Image options
+ * @param {Object} theme - Theme colors
+ * @param {Object} layout - Chart area and scale
+ * @returns {string} - SVG markup
+ */
+function renderList(items, settings, theme, layout) {
+  const { scale } = layout;
+  // The first row sits 20px into the chart area and the last one on its bottom edge
+  const rowHeight = Math.min(65 * scale, (layout.bottom - layout.top - 20 * scale) / Math.max(items.length - 1, 1));
+  const twoLines = rowHeight >= 55 * scale;
+  const fontSize = Math.min(20 * scale, rowHeight * 0.6);
+  // Leave room for two-digit ranks
+  const flagX = layout.left + (items.length >= 10 ? 50 : 40) * scale;
+  const flagWidth = fontSize * 1.5;
+  const nameX = items.some(item => item.flag) ? flagX + flagWidth + 10 * scale : flagX;
+  let markup = "";
+
+  items.forEach((item, index) => {
+    const y = layout.top + 20 * scale + index * rowHeight;
+    const value = `${VALUE_LABELS[settings.metric]}: ${formatMetric(item.value, settings.metric)}`;
+
+    markup += `
+      <text x="${layout.left}" y="${y}" fill="${theme.rank}" font-size="${fontSize * 1.2}" font-weight="bold">${index + 1}.</text>
+      ${renderFlag(item.flag, flagX, y - fontSize * 0.85, flagWidth, fontSize)}
+      <text x="${nameX}" y="${y}" fill="${theme.text}" font-size="${fontSize}">${escapeXml(item.label)}</text>
+    `;
+
+    markup += twoLines
+      ? `<text x="${nameX}" y="${y + 25 * scale}" fill="${theme.accent}" font-size="${18 * scale}">${escapeXml(value)}</text>`
+      : `<text x="${layout.right}" y="${y}" fill="${theme.accent}" font-size="${fontSize}" text-anchor="end">${escapeXml(formatMetric(item.value, settings.metric))}</text>`;
+  });
+
+  return markup;
+}
+
+/**
+ * Render a horizontal bar chart, bars scaled to the largest value
+ * @param {Array} items - Chart entries as { label, value }
+ * @param {Object} settings - Image options
+ * @param {Object} theme - Theme colors
+ * @param {Object} layout - Chart area and scale
+ * @returns {string} - SVG markup
+ */
+function renderBarChart(items, settings, theme, layout) {
+  const { scale } = layout;
+  const rowHeight = Math.min(60 * scale, (layout.bottom - layout.top) / Math.max(items.length, 1));
+  const barHeight = rowHeight * 0.6;
+  const fontSize = Math.min(18 * scale, barHeight * 0.8);
+  const labelWidth = (layout.right - layout.left) * 0.3;
+  const barLeft = layout.left + labelWidth;
+  const barSpace = (layout.right - barLeft) * 0.75;
+  const max = Math.max(...items.map(item => item.value), 0);
+  const flagWidth = barHeight * 1.5;
+  const labelRight = items.some(item => item.flag) ? barLeft - flagWidth - 18 * scale : barLeft - 10 * scale;
+  let markup = "";
+
+  items.forEach((item, index) => {
+    const y = layout.top + index * rowHeight;
+    const barWidth = max > 0 ? Math.max((item.value / max) * barSpace, 1) : 1;
+    const textY = y + barHeight / 2 + fontSize * 0.35;
+
+    markup += `
+      <text x="${labelRight}" y="${textY}" fill="${theme.text}" font-size="${fontSize}" text-anchor="end">${escapeXml(truncate(item.label, 22))}</text>
+      ${renderFlag(item.flag, barLeft - flagWidth - 8 * scale, y, flagWidth, barHeight)}
+      <rect x="${barLeft}" y="${y}" width="${barSpace}" height="${barHeight}" fill="${theme.track}" />
+      <rect x="${barLeft}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${theme.accent}" />
+      <text x="${barLeft + barWidth + 8 * scale}" y="${textY}" fill="${theme.rank}" font-size="${fontSize}">${escapeXml(formatMetric(item.value, settings.metric))}</text>
+    `;
+  });
 
-      <!-- Timestamp -->
-      <text x="${width / 2}" y="${
-    height - 30
-  }" fill="#888888" font-size="16" text-anchor="middle" font-family="DejaVu Sans, Liberation Sans, FreeSans, Arial, sans-serif">
-        Last refreshed: ${timestamp}
-      </text>
+  return markup;
+}
+
+/**
+ * Render a pie chart with a legend beside it
+ * @param {Array} items - Chart entries as { label, value }
+ * @param {Object} settings - Image options
+ * @param {Object} theme - Theme colors
+ * @param {Object} layout - Chart area and scale
+ * @returns {string} - SVG markup
+ */
+function renderPieChart(items, settings, theme, layout) {
+  const { scale } = layout;
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  const radius = Math.min((layout.bottom - layout.top) / 2, (layout.right - layout.left) / 4);
+  const cx = layout.left + radius;
+  const cy = (layout.top + layout.bottom) / 2;
+  const legendX = cx + radius + 40 * scale;
+  const rowHeight = Math.min(32 * scale, (layout.bottom - layout.top) / Math.max(items.length, 1));
+  const fontSize = Math.min(16 * scale, rowHeight * 0.7);
+  const legendTop = cy - (rowHeight * items.length) / 2;
+  let angle = -Math.PI / 2;
+  let markup = "";
+
+  if (total <= 0) {
+    return "";
+  }
+
+  items.forEach((item, index) => {
+    const color = item.other ? OTHER_SLICE_COLOR : PIE_COLORS[index % PIE_COLORS.length];
+    const share = item.value / total;
+    const sweep = share * Math.PI * 2;
+
+    if (share >= 0.9999) {
+      markup += `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}" />`;
+    } else if (share > 0) {
+      const [x1, y1] = [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+      const [x2, y2] = [cx + radius * Math.cos(angle + sweep), cy + radius * Math.sin(angle + sweep)];
+      markup += `<path d="M ${cx} ${cy} L ${x1} ${y1} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2} ${y2} Z" fill="${color}" stroke="${theme.background}" stroke-width="${scale}" />`;
+    }
+    angle += sweep;
+
+    const y = legendTop + index * rowHeight;
+    const percent = `${(share * 100).toFixed(1)}%`;
+    markup += `
+      <rect x="${legendX}" y="${y}" width="${fontSize}" height="${fontSize}" fill="${color}" />
+      <text x="${legendX + fontSize * 1.5}" y="${y + fontSize * 0.85}" fill="${theme.text}" font-size="${fontSize}">${escapeXml(truncate(item.label, 24))} (${percent})</text>
+    `;
+  });
+
+  return markup;
+}
+
+/**
+ * Generate a shareable card for one country: its flag, name, key figures and a fact
+ * @param {Object} country - Formatted country, as returned by the country endpoints
+ * @param {Object} extras - Card extras
+ * @param {string|null} extras.flag - Flag as a data URI; a placeholder is drawn without one
+ * @param {string|null} extras.fact - Fact sentence
+ * @returns {Promise<Buffer>} - PNG image data
+ */
+async function generateCountryCard(country, { flag = null, fact = null } = {}) {
+  const width = CARD_WIDTH;
+  const height = CARD_HEIGHT;
+  const theme = THEMES.dark;
+  const currency = country.currencies && country.currencies.length > 0
+    ? [country.currencies[0].name, `(${country.currencies[0].code})`].filter(Boolean).join(" ")
+    : country.currency_code || "None";
+
+  const details = [
+    ["Capital", country.capital || "None"],
+    ["Region", [country.subregion, country.region].filter(Boolean).join(", ") || "Unknown"],
+    ["Population", formatCount(country.population)],
+    ["Currency", currency],
+  ];
+
+  // Long names get a smaller font, then a second line, so they still fit beside the flag
+  const nameLines = country.name.length > 30 ? wrapText(country.name, 30).slice(0, 2) : [country.name];
+  const nameSize = nameLines.length > 1 ? 32 : Math.min(56, Math.floor(580 / (0.6 * country.name.length)));
+  const nameMarkup = nameLines.map((line, index) => `
+    <text x="560" y="${nameLines.length > 1 ? 90 + index * 40 : 110}" fill="${theme.title}" font-size="${nameSize}" font-weight="bold">${escapeXml(truncate(line, 30))}</text>
+  `).join("");
+
+  const detailsTop = nameLines.length > 1 ? 190 : 170;
+  const detailsMarkup = details.map(([label, value], index) => `
+    <text x="560" y="${detailsTop + index * 62}" fill="${theme.rank}" font-size="20">${label}</text>
+    <text x="560" y="${detailsTop + 30 + index * 62}" fill="${theme.text}" font-size="28">${escapeXml(truncate(value, 38))}</text>
+  `).join("");
+
+  const factMarkup = fact
+    ? wrapText(fact, 80).slice(0, 2).map((line, index) => `
+      <text x="60" y="${528 + index * 34}" fill="${theme.text}" font-size="26">${escapeXml(line)}</text>
+    `).join("")
+    : "";
+
+  const svg = `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${width}" height="${height}" fill="${theme.background}" />
+      <rect width="${width}" height="12" fill="${theme.accent}" />
+
+      <g font-family="${FONT_FAMILY}">
+        ${flag ? renderFlag(flag, 60, 70, 440, 293) : renderFlagPlaceholder(country.alpha2_code, 60, 70, 440, 293, theme)}
+
+        ${nameMarkup}
+        ${detailsMarkup}
+
+        <line x1="60" y1="440" x2="${width - 60}" y2="440" stroke="${theme.accent}" stroke-width="2" />
+        ${fact ? `<text x="60" y="486" fill="${theme.accent}" font-size="24" font-weight="bold">Did you know?</text>` : ""}
+        ${factMarkup}
+
+        <text x="${width - 60}" y="${height - 20}" fill="${theme.footer}" font-size="16" text-anchor="end">Country Trivia</text>
+      </g>
     </svg>
   `;
+
+  return renderImage(svg, "png");
+}
+
+/**
+ * Render the box drawn where a flag has not been downloaded
+ * @param {string|null} code - ISO alpha-2 code shown in the box
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {Object} theme - Theme colors
+ * @returns {string} - SVG markup
+ */
+function renderFlagPlaceholder(code, x, y, width, height, theme) {
+  return `
+    <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${theme.track}" stroke="${theme.rank}" stroke-width="2" />
+    <text x="${x + width / 2}" y="${y + height / 2 + height * 0.12}" fill="${theme.rank}" font-size="${height * 0.35}" font-weight="bold" text-anchor="middle">${escapeXml(code || "?")}</text>
+  `;
+}
+
+/**
+ * Generate the stand-in image served for a flag that has not been downloaded
+ * @param {string|null} code - ISO alpha-2 code shown in the box
+ * @returns {string} - SVG markup, 3:2 like most flags
+ */
+function generateFlagPlaceholder(code) {
+  return `<svg width="300" height="200" viewBox="0 0 300 200" xmlns="http://www.w3.org/2000/svg">
+  <g font-family="${FONT_FAMILY}">${renderFlagPlaceholder(code, 1, 1, 298, 198, THEMES.light)}</g>
+</svg>
+`;
+}
+
+/**
+ * Split text into lines of at most a number of characters, breaking between words
+ * @param {string} text - Text to wrap
+ * @param {number} length - Maximum line length
+ * @returns {Array<string>} - Lines
+ */
+function wrapText(text, length) {
+  const lines = [];
+  let line = "";
+
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + word.length + 1 > length) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+
+  return line ? [...lines, line] : lines;
+}
+
+/**
+ * Render an embedded flag image
+ * @param {string|null} flag - Flag as a data URI, or null if it was not downloaded
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {string} - SVG markup, empty without a flag
+ */
+function renderFlag(flag, x, y, width, height) {
+  if (!flag) {
+    return "";
+  }
+
+  return `<image x="${x}" y="${y}" width="${width}" height="${height}" href="${flag}" preserveAspectRatio="xMidYMid meet" />`;
+}
+
+/**
+ * Shorten a label that would not fit, marking the cut with an ellipsis
+ * @param {string} label - Label text
+ * @param {number} length - Maximum number of characters
+ * @returns {string} - Label of at most length characters
+ */
+function truncate(label, length) {
+  return label.length > length ? `${label.slice(0, length - 1)}…` : label;
 }
 
 /**
@@ -145,23 +519,51 @@ function escapeXml(str) {
 }
 
 /**
- * Format GDP value for display
- * @param {number} gdp - GDP value
- * @returns {string} - Formatted GDP string
+ * Format a metric value for display
+ * @param {number} value - Metric value
+ * @param {string} metric - 'gdp', 'population' or 'exchange_rate'
+ * @returns {string} - Formatted value
+ */
+function formatMetric(value, metric) {
+  if (metric === "gdp") {
+    return `$${formatNumber(value)}`;
+  }
+
+  if (metric === "exchange_rate") {
+    return value >= 100 ? value.toFixed(2) : String(Number(value.toPrecision(4)));
+  }
+
+  // Populations are whole numbers
+  return value < 1e3 ? String(Math.round(value)) : formatNumber(value);
+}
+
+/**
+ * Format a number with thousands separators
+ * @param {number} value - Number
+ * @returns {string} - Formatted number
+ */
+function formatCount(value) {
+  return Number(value || 0).toLocaleString("en-US");
+}
+
+/**
+ * Format a large number with a K, M, B or T suffix
+ * @param {number} value - Number
+ * @returns {string} - Formatted number
  */
-function formatGDP(gdp) {
-  if (!gdp) return "0";
+function formatNumber(value) {
+  if (!value) return "0";
 
-  if (gdp >= 1e12) {
-    return (gdp / 1e12).toFixed(2) + "T";
-  } else if (gdp >= 1e9) {
-    return (gdp / 1e9).toFixed(2) + "B";
-  } else if (gdp >= 1e6) {
-    return (gdp / 1e6).toFixed(2) + "M";
-  } else if (gdp >= 1e3) {
-    return (gdp / 1e3).toFixed(2) + "K";
+  if (value >= 1e12) {
+    return (value / 1e12).toFixed(2) + "T";
+  } else if (value >= 1e9) {
+    return (value / 1e9).toFixed(2) + "B";
+  } else if (value >= 1e6) {
+    return (value / 1e6).toFixed(2) + "M";
+  } else if (value >= 1e3) {
+    return (value / 1e3).toFixed(2) + "K";
   }
-  return gdp.toFixed(2);
+  return value.toFixed(2);
 }
 
 /**
@@ -178,5 +580,17 @@ async function ensureDirectoryExists(dirPath) {
 }
 
 module.exports = {
+  IMAGE_METRICS,
+  IMAGE_CHART_TYPES,
+  IMAGE_THEMES,
+  IMAGE_FORMATS,
+  PIE_METRICS,
+  MIN_IMAGE_SIZE,
+  MAX_IMAGE_SIZE,
+  MAX_IMAGE_LIMIT,
+  DEFAULT_IMAGE_OPTIONS,
   generateSummaryImage,
+  clearSummaryImages,
+  generateCountryCard,
+  generateFlagPlaceholder,
 };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { jobRepository } = require('../repositories');
+const { parseJsonColumn } = require('./countryDiff');
+
+/**
+ * Create a queued background job
+ * @param {string} type - Job type (e.g. 'refresh')
+ * @param {string} trigger - What started the job ('api' or 'schedule')
+ * @param {Object} params - Job parameters
+ * @returns {Promise<string>} - Job id
+ */
+async function createJob(type, trigger, params = {}) {
+  const id = crypto.randomUUID();
+
+  await jobRepository.create({ id, type, triggered_by: trigger, params });
+  return id;
+}
+
+/**
+ * Mark a job as running
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+async function markJobRunning(id) {
+  await jobRepository.markRunning(id);
+}
+
+/**
+ * Mark a job as succeeded with its result
+ * @param {string} id - Job id
+ * @param {Object} result - Job result
+ * @returns {Promise<void>}
+ */
+async function completeJob(id, result) {
+  await jobRepository.finish(id, 'succeeded', result, null);
+}
+
+/**
+ * Mark a job as failed
+ * @param {string} id - Job id
+ * @param {Error} error - Error that ended the job
+ * @returns {Promise<void>}
+ */
+async function failJob(id, error) {
+  await jobRepository.finish(id, 'failed', null, error.message);
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} - Job object or null
+ */
+async function getJobById(id) {
+  const row = await jobRepository.findById(id);
+  return row ? formatJobResponse(row) : null;
+}
+
+/**
+ * Format job response object
+ * @param {Object} row - Database row
+ * @returns {Object} - Formatted job object
+ */
+function formatJobResponse(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    trigger: row.triggered_by,
+    status: row.status,
+    params: parseJsonColumn(row.params) || {},
+    result: parseJsonColumn(row.result) || null,
+    error: row.error || null,
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at
+  };
+}
+
+module.exports = {
+  createJob,
+  markJobRunning,
+  completeJob,
+  failJob,
+  getJobById
+};
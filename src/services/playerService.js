@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { playerRepository } = require('../repositories');
+
+/**
+ * Hash a player token for storage and lookup
+ * @param {string} token - Plain player token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a player. The plain token is only ever returned here.
+ * @param {string} nickname - Player nickname
+ * @returns {Promise<Object|null>} - Player with token, or null if the nickname is taken
+ */
+async function createPlayer(nickname) {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  const id = await playerRepository.create(nickname, hashToken(token));
+
+  if (id === null) {
+    return null;
+  }
+
+  return {
+    id,
+    nickname,
+    token
+  };
+}
+
+/**
+ * Get a player by token
+ * @param {string} token - Plain player token
+ * @returns {Promise<Object|null>} - Player object or null
+ */
+async function getPlayerByToken(token) {
+  return playerRepository.findByTokenHash(hashToken(token));
+}
+
+/**
+ * Get a player profile with aggregated quiz results
+ * @param {string} nickname - Player nickname
+ * @returns {Promise<Object|null>} - Profile object or null
+ */
+async function getPlayerProfile(nickname) {
+  const row = await playerRepository.findProfile(nickname);
+
+  if (!row) {
+    return null;
+  }
+
+  return {
+    nickname: row.nickname,
+    created_at: row.created_at,
+    quizzes_completed: Number(row.quizzes_completed),
+    total_score: Number(row.total_score),
+    accuracy: calculateAccuracy(row.total_score, row.total_questions),
+    best_score: Number(row.best_score),
+    best_streak: Number(row.best_streak),
+    last_played_at: row.last_played_at
+  };
+}
+
+/**
+ * Get the start of a leaderboard period
+ * @param {string} period - 'all' or 'week'
+ * @param {Date} now - Current time
+ * @returns {Date|null} - Start of the current UTC week (Monday), or null for all-time
+ */
+function getPeriodStart(period, now = new Date()) {
+  if (period !== 'week') {
+    return null;
+  }
+
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+
+  return start;
+}
+
+/**
+ * Get leaderboard rankings by total score
+ * @param {Object} options - Leaderboard options
+ * @param {string} options.period - 'all' or 'week'
+ * @param {string} [options.region] - Only count quizzes played in this region
+ * @param {number} options.limit - Number of players to return
+ * @returns {Promise<Object>} - Period start and ranked leaderboard entries
+ */
+async function getLeaderboard({ period = 'all', region = null, limit = 10 }) {
+  const since = getPeriodStart(period);
+
+  const rows = await playerRepository.findLeaderboard({ since, region, limit });
+
+  return {
+    since,
+    rankings: rows.map((row, index) => ({
+      rank: index + 1,
+      nickname: row.nickname,
+      total_score: Number(row.total_score),
+      quizzes_completed: Number(row.quizzes_completed),
+      accuracy: calculateAccuracy(row.total_score, row.total_questions)
+    }))
+  };
+}
+
+/**
+ * Calculate the share of correct answers
+ * @param {number} score - Correct answers
+ * @param {number} total - Questions answered
+ * @returns {number|null} - Accuracy between 0 and 1, or null with no answers
+ */
+function calculateAccuracy(score, total) {
+  if (!Number(total)) {
+    return null;
+  }
+
+  return parseFloat((Number(score) / Number(total)).toFixed(4));
+}
+
+module.exports = {
+  createPlayer,
+  getPlayerByToken,
+  getPlayerProfile,
+  getLeaderboard
+};
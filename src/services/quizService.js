@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { quizRepository } = require('../repositories');
+const { resolveCountryName } = require('./countryService');
+const { normalizeCountryName } = require('./countryMatcher');
+const { COUNTRY_ANSWER_TYPES } = require('./triviaGenerator');
+
+/**
+ * Create a quiz session with its questions
+ * @param {Object} settings - Quiz settings (region, type, difficulty, daily)
+ * @param {Array} questions - Generated question objects
+ * @param {number|null} playerId - Player taking the quiz, null for anonymous quizzes
+ * @returns {Promise<string|null>} - Id of the new quiz, or null if the player already has a
+ *   session for the daily challenge
+ */
+async function createQuiz(settings, questions, playerId = null) {
+  const id = crypto.randomUUID();
+
+  const created = await quizRepository.create(id, settings, questions, playerId);
+  return created ? id : null;
+}
+
+/**
+ * Get a player's session for a daily challenge
+ * @param {number} playerId - Player id
+ * @param {string} date - Challenge date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} - Quiz object, or null if the player has not started the challenge
+ */
+async function getDailyQuiz(playerId, date) {
+  const id = await quizRepository.findDailyId(playerId, date);
+  return id ? getQuizById(id) : null;
+}
+
+/**
+ * Get a quiz session with its questions
+ * @param {string} id - Quiz id
+ * @returns {Promise<Object|null>} - Quiz object or null
+ */
+async function getQuizById(id) {
+  const found = await quizRepository.findById(id);
+  return found ? formatQuizResponse(found.quiz, found.questions) : null;
+}
+
+/**
+ * Record an answer to a quiz question and update the session score
+ * @param {string} id - Quiz id
+ * @param {number} position - Question position (1-based)
+ * @param {string} answer - Player's answer
+ * @param {number|null} playerId - Player submitting the answer
+ * @returns {Promise<Object>} - Result with status 'ok', 'quiz_not_found', 'forbidden',
+ *   'question_not_found' or 'already_answered'
+ */
+async function recordAnswer(id, position, answer, playerId = null) {
+  // Resolved up front, since the quiz is locked while the answer is evaluated
+  const answeredCountry = await resolveCountryName(answer);
+
+  const outcome = await quizRepository.recordAnswer(id, position, (quiz, question) => {
+    if (quiz.player_id !== null && quiz.player_id !== playerId) {
+      return { status: 'forbidden' };
+    }
+
+    if (question.answered_at) {
+      return { status: 'already_answered' };
+    }
+
+    const correct = isAnswerCorrect(answer, question, answeredCountry);
+    const streak = correct ? quiz.streak + 1 : 0;
+    const answeredCount = quiz.answered_count + 1;
+
+    return {
+      status: 'ok',
+      answer,
+      correct,
+      correct_answer: question.correct_answer,
+      score: quiz.score + (correct ? 1 : 0),
+      streak,
+      best_streak: Math.max(quiz.best_streak, streak),
+      answered_count: answeredCount,
+      completed: answeredCount === quiz.total_questions
+    };
+  });
+
+  if (outcome.status !== 'ok') {
+    return outcome;
+  }
+
+  return {
+    status: 'ok',
+    correct: outcome.correct,
+    correct_answer: outcome.correct_answer,
+    score: outcome.score,
+    streak: outcome.streak
+  };
+}
+
+/**
+ * Compare a player's answer with the correct one, ignoring case, accents and
+ * punctuation. Where the answer is a country, any name the country lookup
+ * understands counts, so "Holland" is as good as "Netherlands".
+ * @param {string} answer - Player's answer
+ * @param {Object} question - Quiz question row
+ * @param {string|null} answeredCountry - Stored name of the country the answer refers to, if any
+ * @returns {boolean} - True if the answer is correct
+ */
+function isAnswerCorrect(answer, question, answeredCountry = null) {
+  if (normalizeCountryName(answer) === normalizeCountryName(question.correct_answer)) {
+    return true;
+  }
+
+  return COUNTRY_ANSWER_TYPES.includes(question.type)
+    && answeredCountry !== null
+    && normalizeCountryName(answeredCountry) === normalizeCountryName(question.correct_answer);
+}
+
+/**
+ * Format quiz response object. Correct answers are only included for
+ * questions that have already been answered.
+ * @param {Object} quiz - Quiz database row
+ * @param {Array} questions - Quiz question database rows
+ * @returns {Object} - Formatted quiz object
+ */
+function formatQuizResponse(quiz, questions) {
+  return {
+    id: quiz.id,
+    player: quiz.nickname || null,
+    status: quiz.status,
+    region: quiz.region,
+    question_type: quiz.question_type,
+    difficulty: quiz.difficulty,
+    total_questions: quiz.total_questions,
+    answered: quiz.answered_count,
+    score: quiz.score,
+    streak: quiz.streak,
+    best_streak: quiz.best_streak,
+    created_at: quiz.created_at,
+    completed_at: quiz.completed_at,
+    questions: questions.map(question => {
+      const answered = question.answered_at !== null;
+
+      return {
+        position: question.position,
+        type: question.type,
+        difficulty: question.difficulty,
+        question: question.question,
+        image_url: question.image_url || null,
+        options: typeof question.options === 'string' ? JSON.parse(question.options) : question.options,
+        answered,
+        player_answer: answered ? question.player_answer : null,
+        is_correct: answered ? Boolean(question.is_correct) : null,
+        correct_answer: answered ? question.correct_answer : null
+      };
+    })
+  };
+}
+
+module.exports = {
+  createQuiz,
+  getDailyQuiz,
+  getQuizById,
+  recordAnswer
+};
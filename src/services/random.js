@@ -0,0 +1,38 @@
+/**
+ * Hash a string seed into a 32-bit integer (FNV-1a)
+ * @param {string} seed - Seed string
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * The same seed always yields the same sequence, across processes and restarts.
+ * @param {string|number} seed - Seed string or number
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  hashSeed,
+  createSeededRandom
+};
@@ -0,0 +1,147 @@
+const repositories = require('../repositories');
+const memoryRateLimitRepository = require('../repositories/memory/rateLimitRepository');
+
+// Budgets per route group as "<requests>/<window>", overridden with RATE_LIMIT_<GROUP>.
+// Every request counts against "default"; trivia and refresh requests also count
+// against their own, stricter group. "auth" counts failed API key checks per IP.
+const DEFAULT_RATE_LIMITS = {
+  default: '600/15m',
+  trivia: '60/1m',
+  refresh: '5/1h',
+  auth: '20/15m'
+};
+// memory counts per instance; database shares the counters between instances
+const RATE_LIMIT_STORES = ['memory', 'database'];
+const WINDOW_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse a rate limit setting such as "100/15m"
+ * @param {string} group - Route group the setting is for
+ * @param {string} value - Setting, or "off" to disable the group's limit
+ * @returns {Object|null} - Policy with limit and window_ms, or null if disabled
+ * @throws {Error} - If the setting is invalid
+ */
+function parseRateLimit(group, value) {
+  if (value.trim().toLowerCase() === 'off') {
+    return null;
+  }
+
+  // A zero window would start a new one on every request, silently disabling the limit
+  const match = value.trim().match(/^(\d+)\/([1-9]\d*)?([smh])$/);
+  const limit = match ? parseInt(match[1], 10) : 0;
+
+  if (!match || limit < 1) {
+    throw new Error(
+      `Invalid RATE_LIMIT_${group.toUpperCase()} "${value}", expected a positive number of requests `
+      + 'per positive window, e.g. 100/15m, or off'
+    );
+  }
+
+  return {
+    limit,
+    window_ms: parseInt(match[2] || '1', 10) * WINDOW_UNITS_MS[match[3]]
+  };
+}
+
+const RATE_LIMIT_POLICIES = Object.fromEntries(
+  Object.entries(DEFAULT_RATE_LIMITS).map(([group, fallback]) => [
+    group,
+    parseRateLimit(group, process.env[`RATE_LIMIT_${group.toUpperCase()}`] || fallback)
+  ])
+);
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+if (!RATE_LIMIT_STORES.includes(RATE_LIMIT_STORE)) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}", expected one of: ${RATE_LIMIT_STORES.join(', ')}`);
+}
+
+const rateLimitRepository = RATE_LIMIT_STORE === 'database'
+  ? repositories.rateLimitRepository
+  : memoryRateLimitRepository;
+
+let nextPruneAt = 0;
+
+/**
+ * Delete ended windows every PRUNE_INTERVAL_MS, so counters of clients that
+ * went away don't pile up
+ * @returns {Promise<void>}
+ */
+async function pruneExpired() {
+  if (Date.now() < nextPruneAt) {
+    return;
+  }
+
+  nextPruneAt = Date.now() + PRUNE_INTERVAL_MS;
+  await rateLimitRepository.deleteExpired();
+}
+
+/**
+ * Describe a counter against its policy
+ * @param {Object} policy - Policy with limit and window_ms
+ * @param {number} hits - Requests counted in the current window
+ * @param {number} resetInMs - Milliseconds until the window ends
+ * @param {boolean} allowed - True if the request may go ahead
+ * @returns {Object} - Outcome with allowed, limit, remaining, window_seconds and reset_seconds
+ */
+function toOutcome(policy, hits, resetInMs, allowed) {
+  return {
+    allowed,
+    limit: policy.limit,
+    remaining: Math.max(0, policy.limit - hits),
+    window_seconds: policy.window_ms / 1000,
+    reset_seconds: Math.ceil(resetInMs / 1000)
+  };
+}
+
+/**
+ * Count a request against a client's budget for a route group
+ * @param {string} group - Route group
+ * @param {string} client - Client identity, e.g. "key:12" or "ip:203.0.113.9"
+ * @returns {Promise<Object|null>} - Outcome with allowed, limit, remaining, window_seconds
+ *   and reset_seconds, or null if the group has no limit
+ */
+async function consume(group, client) {
+  const policy = RATE_LIMIT_POLICIES[group];
+
+  if (!policy) {
+    return null;
+  }
+
+  await pruneExpired();
+  const { hits, reset_in_ms } = await rateLimitRepository.hit(`${group}:${client}`, policy.window_ms);
+
+  return toOutcome(policy, hits, reset_in_ms, hits <= policy.limit);
+}
+
+/**
+ * Check whether a client still has budget left in a route group, without
+ * counting a request
+ * @param {string} group - Route group
+ * @param {string} client - Client identity, e.g. "ip:203.0.113.9"
+ * @returns {Promise<Object|null>} - Outcome as for consume, allowed if a request may still
+ *   be counted, or null if the group has no limit
+ */
+async function peek(group, client) {
+  const policy = RATE_LIMIT_POLICIES[group];
+
+  if (!policy) {
+    return null;
+  }
+
+  const counter = await rateLimitRepository.peek(`${group}:${client}`);
+
+  if (!counter) {
+    return toOutcome(policy, 0, policy.window_ms, true);
+  }
+
+  return toOutcome(policy, counter.hits, counter.reset_in_ms, counter.hits < policy.limit);
+}
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  parseRateLimit,
+  consume,
+  peek
+};
@@ -0,0 +1,113 @@
+const { refreshRunRepository } = require('../repositories');
+const { parseJsonColumn } = require('./countryDiff');
+
+/**
+ * Record the start of a refresh run
+ * @param {Object} run - Run details
+ * @param {string} run.countries_url - Countries source URL
+ * @param {string} run.exchange_rates_url - Exchange rates source URL
+ * @param {Object} run.gdp_estimation - GDP strategy and seed
+ * @returns {Promise<number>} - Refresh run id
+ */
+async function startRefreshRun(run) {
+  return refreshRunRepository.create({
+    countries_url: run.countries_url,
+    exchange_rates_url: run.exchange_rates_url,
+    gdp_strategy: run.gdp_estimation ? run.gdp_estimation.strategy : null,
+    gdp_seed: run.gdp_estimation ? run.gdp_estimation.seed : null
+  });
+}
+
+/**
+ * Record the outcome of a successful refresh run. Runs that skipped countries
+ * or fell back to last-known exchange rates are marked partial.
+ * @param {number} id - Refresh run id
+ * @param {Object} result - Result from bulkUpsertCountries
+ * @param {boolean} staleRates - True if the run used last-known exchange rates
+ * @returns {Promise<void>}
+ */
+async function finishRefreshRun(id, result, staleRates = false) {
+  await refreshRunRepository.finish(
+    id,
+    result.failed > 0 || staleRates ? 'partial' : 'succeeded',
+    result,
+    result.errors
+  );
+}
+
+/**
+ * Record that a refresh run failed
+ * @param {number} id - Refresh run id
+ * @param {Error} error - Error that aborted the run
+ * @returns {Promise<void>}
+ */
+async function failRefreshRun(id, error) {
+  await refreshRunRepository.finish(
+    id,
+    'failed',
+    { inserted: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0 },
+    [{ error: error.message }]
+  );
+}
+
+/**
+ * Get the most recent refresh runs
+ * @param {number} limit - Number of runs to return
+ * @returns {Promise<Array>} - Refresh runs, newest first
+ */
+async function getRefreshRuns(limit = 20) {
+  const rows = await refreshRunRepository.findRecent(limit);
+  return rows.map(formatRefreshRunResponse);
+}
+
+/**
+ * Get the recorded changes of one country, newest first
+ * @param {string} name - Country name
+ * @param {number} limit - Number of changes to return
+ * @returns {Promise<Array>} - Country changes
+ */
+async function getCountryHistory(name, limit = 50) {
+  const rows = await refreshRunRepository.findCountryChanges(name, limit);
+
+  return rows.map(row => ({
+    refresh_run_id: row.refresh_run_id,
+    change_type: row.change_type,
+    changes: parseJsonColumn(row.changes),
+    changed_at: row.created_at
+  }));
+}
+
+/**
+ * Format refresh run response object
+ * @param {Object} row - Database row
+ * @returns {Object} - Formatted refresh run object
+ */
+function formatRefreshRunResponse(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    sources: {
+      countries: row.countries_url,
+      exchange_rates: row.exchange_rates_url
+    },
+    gdp_estimation: row.gdp_strategy ? { strategy: row.gdp_strategy, seed: row.gdp_seed } : null,
+    counts: {
+      inserted: row.inserted_count,
+      updated: row.updated_count,
+      unchanged: row.unchanged_count,
+      skipped: row.skipped_count || 0,
+      failed: row.failed_count
+    },
+    errors: parseJsonColumn(row.errors) || []
+  };
+}
+
+module.exports = {
+  startRefreshRun,
+  finishRefreshRun,
+  failRefreshRun,
+  getRefreshRuns,
+  getCountryHistory
+};
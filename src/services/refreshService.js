@@ -0,0 +1,287 @@
+const { createDataSource } = require('./dataSource');
+const { processCountryData } = require('./dataProcessor');
+const { createGdpEstimator } = require('./gdpEstimator');
+const {
+  bulkUpsertCountries,
+  getCountryOverrides,
+  updateRefreshMetadata,
+  getRefreshMetadata,
+  getSummaryImagePath,
+  getFlagUrls
+} = require('./countryService');
+const {
+  startRefreshRun,
+  finishRefreshRun,
+  failRefreshRun
+} = require('./refreshHistoryService');
+const { saveExchangeRates, getLatestRates } = require('./exchangeRateService');
+const { clearSummaryImages } = require('./imageGenerator');
+const { cacheFlags } = require('./flagCache');
+const {
+  createJob,
+  markJobRunning,
+  completeJob,
+  failJob
+} = require('./jobService');
+const { lockRepository } = require('../repositories');
+const { AppError } = require('../middleware/errorHandler');
+
+const REFRESH_LOCK = 'refresh';
+const LAST_KNOWN_RATES_PROVIDER = 'last-known';
+
+/**
+ * Fall back to the last stored exchange rates when every rate provider failed,
+ * so countries can still be refreshed (PARTIAL_REFRESH, on by default)
+ * @param {Error} error - Error from the exchange rate providers
+ * @returns {Promise<Object>} - Provider name, rates and the date of the rates
+ * @throws {Error} - The original error if partial refreshes are disabled or no rates are stored
+ */
+async function loadLastKnownRates(error) {
+  if (process.env.PARTIAL_REFRESH === 'false') {
+    throw error;
+  }
+
+  const latest = await getLatestRates();
+  if (!latest) {
+    throw error;
+  }
+
+  console.warn(`Exchange rates unavailable (${error.message}), using last-known rates from ${latest.as_of}`);
+
+  return {
+    provider: LAST_KNOWN_RATES_PROVIDER,
+    rates: latest.rates,
+    as_of: latest.as_of
+  };
+}
+
+/**
+ * Fill in the currencies a rate provider has no rate for with their last stored
+ * rates, so refreshing from a provider with fewer currencies (frankfurter covers
+ * about 30) doesn't wipe the rate and GDP of countries using the others.
+ * Skipped when PARTIAL_REFRESH is off.
+ * @param {Object} exchangeRates - Provider name, rates and the date of the rates
+ * @returns {Promise<Object>} - Exchange rates including the filled-in currencies, listed in
+ *   filled; the provider is named "<provider>+last-known" if any were filled in
+ */
+async function fillMissingRates(exchangeRates) {
+  const latest = process.env.PARTIAL_REFRESH === 'false' ? null : await getLatestRates();
+  const filled = latest
+    ? Object.keys(latest.rates).filter(code => exchangeRates.rates[code] === undefined || exchangeRates.rates[code] === null)
+    : [];
+
+  if (filled.length === 0) {
+    return { ...exchangeRates, filled };
+  }
+
+  console.warn(`${exchangeRates.provider} has no rates for ${filled.length} currencies, using their last-known rates`);
+
+  return {
+    ...exchangeRates,
+    provider: `${exchangeRates.provider}+${LAST_KNOWN_RATES_PROVIDER}`,
+    rates: { ...exchangeRates.rates, ...Object.fromEntries(filled.map(code => [code, latest.rates[code]])) },
+    filled
+  };
+}
+
+/**
+ * Bring the flag mirror and summary images up to date with refreshed data. The
+ * refresh run is already recorded as finished by then, so failures are logged
+ * instead of failing it; images missing from the cache are rendered on request.
+ * @returns {Promise<Object|null>} - Flag counts as for cacheFlags, or null if flag
+ *   downloads are turned off or failed
+ */
+async function updateCaches() {
+  let flags = null;
+
+  // Download new flags first, so the summary image can show them
+  try {
+    flags = await cacheFlags(await getFlagUrls());
+  } catch (error) {
+    console.error('Failed to update the flag mirror:', error.message);
+  }
+
+  // Drop the images of the old data and render the default one ahead of the first request
+  try {
+    await clearSummaryImages();
+
+    if ((await getRefreshMetadata()).total_countries > 0) {
+      await getSummaryImagePath();
+    }
+  } catch (error) {
+    console.error('Failed to render the summary image:', error.message);
+  }
+
+  return flags;
+}
+
+/**
+ * Fetch all countries and exchange rates from the configured data source
+ * (DATA_SOURCE), then cache them in the database, download new flags and
+ * regenerate the summary image
+ * @param {Object} gdpOptions - GDP estimator options (strategy, seed)
+ * @returns {Promise<Object>} - Refresh summary
+ */
+async function runRefresh(gdpOptions = {}) {
+  let refreshRunId = null;
+
+  try {
+    const dataSource = await createDataSource();
+    const { gdp_estimation: lastEstimation } = await getRefreshMetadata();
+    const gdpEstimator = await createGdpEstimator({
+      previousSeed: lastEstimation && lastEstimation.strategy === 'random' ? lastEstimation.seed : null,
+      ...gdpOptions
+    });
+    const gdpEstimation = {
+      strategy: gdpEstimator.strategy,
+      seed: gdpEstimator.seed
+    };
+
+    refreshRunId = await startRefreshRun({
+      countries_url: dataSource.countries_url,
+      exchange_rates_url: dataSource.exchange_rates_url,
+      gdp_estimation: gdpEstimation
+    });
+
+    // Fetch data from the external APIs or a snapshot of them
+    const [countriesResult, ratesResult] = await Promise.allSettled([
+      dataSource.fetchCountries(),
+      dataSource.fetchExchangeRates()
+    ]);
+
+    if (countriesResult.status === 'rejected') {
+      throw countriesResult.reason;
+    }
+
+    // Snapshot rates are dated by when the snapshot was captured
+    const ratesDate = (dataSource.captured_at || new Date().toISOString()).slice(0, 10);
+    const { countries } = countriesResult.value;
+    const fetchedRates = ratesResult.status === 'fulfilled' ? ratesResult.value.rates : null;
+    const exchangeRates = fetchedRates
+      ? await fillMissingRates({ ...ratesResult.value, as_of: ratesDate })
+      : await loadLastKnownRates(ratesResult.reason);
+    const staleRates = exchangeRates.provider === LAST_KNOWN_RATES_PROVIDER;
+    const filledRates = exchangeRates.filled || [];
+
+    // Process country data, keeping the fields admins corrected by hand
+    const overrides = await getCountryOverrides();
+    const processedCountries = processCountryData(countries, exchangeRates.rates, gdpEstimator, overrides);
+
+    // Bulk upsert to database, recording what changed
+    const result = await bulkUpsertCountries(processedCountries, refreshRunId);
+
+    // Keep every fetched rate as part of the exchange rate time series; filled-in
+    // rates are already stored under their own date
+    if (fetchedRates) {
+      await saveExchangeRates(fetchedRates, refreshRunId, ratesDate);
+    }
+
+    // Update metadata, recording how GDP was estimated so it can be reproduced
+    // and where the data came from
+    await updateRefreshMetadata(gdpEstimation, {
+      data_source: dataSource.type,
+      countries_provider: countriesResult.value.provider,
+      exchange_rates_provider: exchangeRates.provider,
+      exchange_rates_stale: staleRates,
+      exchange_rates_filled: filledRates.length,
+      exchange_rates_as_of: exchangeRates.as_of
+    });
+    await finishRefreshRun(refreshRunId, result, staleRates || filledRates.length > 0);
+
+    const flags = await updateCaches();
+    const metadata = await getRefreshMetadata();
+
+    return {
+      countries_processed: result.processed,
+      inserted: result.inserted,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      skipped: result.skipped,
+      failed: result.failed,
+      flags,
+      refresh_run_id: refreshRunId,
+      last_refreshed_at: metadata.last_refreshed_at,
+      gdp_estimation: gdpEstimation,
+      data_source: {
+        type: dataSource.type,
+        captured_at: dataSource.captured_at
+      },
+      providers: {
+        countries: countriesResult.value.provider,
+        exchange_rates: exchangeRates.provider
+      },
+      exchange_rates_stale: staleRates,
+      exchange_rates_filled: filledRates.length,
+      exchange_rates_as_of: exchangeRates.as_of
+    };
+  } catch (error) {
+    if (refreshRunId) {
+      await failRefreshRun(refreshRunId, error).catch(historyError => {
+        console.error('Failed to record refresh failure:', historyError.message);
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run a queued refresh job, then release the refresh lock taken for it
+ * @param {string} jobId - Job id
+ * @param {Object} gdpOptions - GDP estimator options
+ * @param {Object} lock - Refresh lock handle
+ * @returns {Promise<void>}
+ */
+async function executeRefreshJob(jobId, gdpOptions, lock) {
+  try {
+    await markJobRunning(jobId);
+    const result = await runRefresh(gdpOptions);
+    await completeJob(jobId, result);
+  } catch (error) {
+    console.error(`Refresh job ${jobId} failed:`, error.message);
+    await failJob(jobId, error).catch(jobError => {
+      console.error('Failed to record job failure:', jobError.message);
+    });
+  } finally {
+    await lockRepository.release(lock).catch(lockError => {
+      console.error('Failed to release refresh lock:', lockError.message);
+    });
+  }
+}
+
+/**
+ * Queue a refresh to run in the background. The refresh lock is taken before
+ * the job is created, so concurrent requests cannot both queue one.
+ * @param {Object} gdpOptions - GDP estimator options
+ * @param {string} trigger - What started the refresh ('api' or 'schedule')
+ * @returns {Promise<string>} - Job id
+ * @throws {AppError} - 409 if a refresh is already running
+ */
+async function enqueueRefresh(gdpOptions = {}, trigger = 'api') {
+  const lock = await lockRepository.acquire(REFRESH_LOCK);
+
+  if (!lock) {
+    throw new AppError('A refresh is already in progress', 409);
+  }
+
+  let jobId;
+
+  try {
+    jobId = await createJob('refresh', trigger, gdpOptions);
+  } catch (error) {
+    await lockRepository.release(lock).catch(lockError => {
+      console.error('Failed to release refresh lock:', lockError.message);
+    });
+    throw error;
+  }
+
+  setImmediate(() => {
+    executeRefreshJob(jobId, gdpOptions, lock);
+  });
+
+  return jobId;
+}
+
+module.exports = {
+  runRefresh,
+  enqueueRefresh
+};
@@ -0,0 +1,37 @@
+const cron = require('node-cron');
+const { enqueueRefresh } = require('./refreshService');
+
+/**
+ * Schedule background refreshes from the REFRESH_CRON expression.
+ * Does nothing when REFRESH_CRON is not set.
+ * @returns {Object|null} - Scheduled task, or null if scheduling is disabled
+ * @throws {Error} - If REFRESH_CRON is not a valid cron expression
+ */
+function startScheduler() {
+  const expression = process.env.REFRESH_CRON;
+
+  if (!expression) {
+    return null;
+  }
+
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid REFRESH_CRON expression: ${expression}`);
+  }
+
+  const task = cron.schedule(expression, async () => {
+    try {
+      const jobId = await enqueueRefresh({}, 'schedule');
+      console.log(`Scheduled refresh queued as job ${jobId}`);
+    } catch (error) {
+      // A refresh still running from another instance or call is not an error
+      console.log(`Scheduled refresh skipped: ${error.message}`);
+    }
+  }, { timezone: process.env.REFRESH_TIMEZONE || 'UTC' });
+
+  console.log(`Scheduled refresh enabled: ${expression}`);
+  return task;
+}
+
+module.exports = {
+  startScheduler
+};
@@ -0,0 +1,284 @@
+const { getDifficultyLevel } = require('./dataProcessor');
+const { createSeededRandom } = require('./random');
+
+const QUESTION_TYPES = ['capital', 'currency', 'population', 'region', 'flag'];
+// Question types whose answer is a country name
+const COUNTRY_ANSWER_TYPES = ['population', 'flag'];
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+const DAILY_QUESTION_COUNT = 10;
+const OPTION_COUNT = 4;
+
+/**
+ * Shuffle an array without mutating it (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Array} - Shuffled copy
+ */
+function shuffle(items, random) {
+  const result = items.slice();
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+}
+
+/**
+ * Order a distractor pool so countries from the subject's region come first
+ * @param {Object} subject - Country the question is about
+ * @param {Array} countries - All candidate countries
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Countries, same region first, each group shuffled
+ */
+function orderByRegion(subject, countries, random) {
+  const others = countries.filter(country => country.name !== subject.name);
+  const sameRegion = others.filter(country => country.region === subject.region);
+  const otherRegions = others.filter(country => country.region !== subject.region);
+
+  return [...shuffle(sameRegion, random), ...shuffle(otherRegions, random)];
+}
+
+/**
+ * Pick distinct distractor values that differ from the correct answer
+ * @param {string} answer - Correct answer
+ * @param {Array} candidates - Ordered candidate countries
+ * @param {Function} valueOf - Extracts the option value from a country
+ * @param {Array<string>} alsoCorrect - Other values that would also be correct
+ * @returns {Array<string>} - Up to OPTION_COUNT - 1 distractors
+ */
+function pickDistractors(answer, candidates, valueOf, alsoCorrect = []) {
+  const distractors = [];
+  const seen = new Set([answer, ...alsoCorrect].map(value => value.toLowerCase()));
+
+  for (const candidate of candidates) {
+    const value = valueOf(candidate);
+
+    if (value && !seen.has(value.toLowerCase())) {
+      seen.add(value.toLowerCase());
+      distractors.push(value);
+    }
+
+    if (distractors.length === OPTION_COUNT - 1) {
+      break;
+    }
+  }
+
+  return distractors;
+}
+
+/**
+ * Build a single-subject question where the options are one attribute of several countries
+ * @param {Object} subject - Country the question is about
+ * @param {Array} countries - All candidate countries
+ * @param {Function} random - Random number generator
+ * @param {Object} spec - Question specification
+ * @returns {Object|null} - Question or null if there is not enough data
+ */
+function buildAttributeQuestion(subject, countries, random, spec) {
+  const answer = spec.valueOf(subject);
+  if (!answer) {
+    return null;
+  }
+
+  const alsoCorrect = spec.alsoCorrect ? spec.alsoCorrect(subject) : [];
+  const distractors = pickDistractors(answer, spec.pool(subject, countries, random), spec.valueOf, alsoCorrect);
+  if (distractors.length < OPTION_COUNT - 1) {
+    return null;
+  }
+
+  return {
+    type: spec.type,
+    question: spec.text(subject),
+    image_url: spec.imageUrl ? spec.imageUrl(subject) : null,
+    options: shuffle([answer, ...distractors], random),
+    answer,
+    country: subject.name,
+    region: subject.region,
+    difficulty: subject.difficulty || null
+  };
+}
+
+const questionBuilders = {
+  capital: (subject, countries, random) => buildAttributeQuestion(subject, countries, random, {
+    type: 'capital',
+    text: country => `What is the capital of ${country.name}?`,
+    valueOf: country => country.capital,
+    // Countries with several capitals must not have another of them offered as wrong
+    alsoCorrect: country => country.capitals || [],
+    pool: orderByRegion
+  }),
+
+  currency: (subject, countries, random) => buildAttributeQuestion(subject, countries, random, {
+    type: 'currency',
+    text: country => `Which currency does ${country.name} use?`,
+    valueOf: country => country.currency_code,
+    alsoCorrect: country => (country.currencies || []).map(currency => currency.code),
+    pool: orderByRegion
+  }),
+
+  region: (subject, countries, random) => buildAttributeQuestion(subject, countries, random, {
+    type: 'region',
+    text: country => `Which region is ${country.name} in?`,
+    valueOf: country => country.region,
+    // Other regions are the only meaningful distractors here
+    pool: (country, all) => shuffle(all.filter(other => other.region !== country.region), random)
+  }),
+
+  // Only flags in the local mirror are asked about, so the image always loads
+  flag: (subject, countries, random) => (subject.flag_hash
+    ? buildAttributeQuestion(subject, countries, random, {
+      type: 'flag',
+      text: () => 'Which country does this flag belong to?',
+      imageUrl: country => `/flags/files/${country.flag_hash}`,
+      valueOf: country => country.name,
+      pool: orderByRegion
+    })
+    : null),
+
+  population: (subject, countries, random) => {
+    const seenPopulations = new Set([subject.population]);
+    const group = [subject];
+
+    for (const candidate of orderByRegion(subject, countries, random)) {
+      if (!seenPopulations.has(candidate.population)) {
+        seenPopulations.add(candidate.population);
+        group.push(candidate);
+      }
+
+      if (group.length === OPTION_COUNT) {
+        break;
+      }
+    }
+
+    if (group.length < OPTION_COUNT) {
+      return null;
+    }
+
+    const largest = group.reduce((max, country) => (country.population > max.population ? country : max));
+
+    // The question is as hard as the group of countries being compared
+    const scores = group.map(country => country.difficulty_score).filter(score => score !== null && score !== undefined);
+    const difficulty = scores.length > 0
+      ? getDifficultyLevel(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+      : null;
+
+    return {
+      type: 'population',
+      question: 'Which of these countries has the largest population?',
+      image_url: null,
+      options: shuffle(group.map(country => country.name), random),
+      answer: largest.name,
+      country: largest.name,
+      region: largest.region,
+      difficulty
+    };
+  }
+};
+
+/**
+ * Key identifying what a question asks about, used to avoid repeats within a quiz
+ * @param {Object} question - Question object
+ * @returns {string} - Question key
+ */
+function questionKey(question) {
+  return `${question.type}:${question.country}`;
+}
+
+/**
+ * Generate a multiple-choice trivia question from cached country data
+ * @param {Array} countries - Country objects as returned by the country service
+ * @param {Object} options - Generation options
+ * @param {string} [options.type] - Question type, random if omitted
+ * @param {string} [options.region] - Only ask about countries in this region
+ * @param {string} [options.difficulty] - Only generate questions of this difficulty level
+ * @param {Set<string>} [options.exclude] - Question keys that must not be generated
+ * @param {Function} [options.random] - Random number generator returning [0, 1)
+ * @returns {Object|null} - Question object or null if none could be built
+ */
+function generateQuestion(countries, options = {}) {
+  const random = options.random || Math.random;
+  const types = options.type ? [options.type] : shuffle(QUESTION_TYPES, random);
+
+  let subjects = countries;
+  if (options.region) {
+    const region = options.region.toLowerCase();
+    subjects = countries.filter(country => country.region && country.region.toLowerCase() === region);
+  }
+
+  for (const type of types) {
+    for (const subject of shuffle(subjects, random)) {
+      const question = questionBuilders[type](subject, countries, random);
+      if (!question) {
+        continue;
+      }
+
+      const excluded = options.exclude && options.exclude.has(questionKey(question));
+      const wrongDifficulty = options.difficulty && question.difficulty !== options.difficulty;
+      if (!excluded && !wrongDifficulty) {
+        return question;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Generate a set of distinct questions for a quiz
+ * @param {Array} countries - Country objects as returned by the country service
+ * @param {number} count - Number of questions wanted
+ * @param {Object} options - Same options as generateQuestion
+ * @returns {Array} - Questions, fewer than count if the data runs out
+ */
+function generateQuestions(countries, count, options = {}) {
+  const exclude = new Set();
+  const questions = [];
+
+  while (questions.length < count) {
+    const question = generateQuestion(countries, { ...options, exclude });
+    if (!question) {
+      break;
+    }
+
+    exclude.add(questionKey(question));
+    questions.push(question);
+  }
+
+  return questions;
+}
+
+/**
+ * Generate the daily challenge for a UTC date. Everyone gets the same country
+ * of the day and questions for the same date and country data.
+ * @param {Array} countries - Country objects as returned by the country service
+ * @param {string} date - UTC date (YYYY-MM-DD)
+ * @returns {Object} - Date, country of the day and questions
+ */
+function generateDailyChallenge(countries, date) {
+  const random = createSeededRandom(`daily:${date}`);
+
+  // Generation must not depend on the order the rows were loaded in
+  const ordered = countries.slice().sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  const country = ordered.length > 0 ? ordered[Math.floor(random() * ordered.length)] : null;
+  const questions = generateQuestions(ordered, DAILY_QUESTION_COUNT, { random });
+
+  return {
+    date,
+    country,
+    questions
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  COUNTRY_ANSWER_TYPES,
+  DIFFICULTY_LEVELS,
+  DAILY_QUESTION_COUNT,
+  shuffle,
+  generateQuestion,
+  generateQuestions,
+  generateDailyChallenge
+};
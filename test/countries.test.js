@@ -0,0 +1,98 @@
+const { startApp, request } = require('./setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetStore } = require('../src/repositories/memory/store');
+const { runRefresh } = require('../src/services/refreshService');
+const fixture = require('../src/fixtures/snapshot.json');
+
+describe('GET /countries', () => {
+  let server;
+
+  before(async () => {
+    resetStore();
+    await runRefresh();
+    server = await startApp();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('lists every fixture country by name', async () => {
+    const { status, headers, body } = await request(server.url, '/countries');
+
+    assert.equal(status, 200);
+    assert.equal(body.total, fixture.countries.length);
+    assert.equal(headers.get('x-total-count'), String(fixture.countries.length));
+    assert.deepEqual(
+      body.countries.map(country => country.name),
+      fixture.countries.map(country => country.name).sort((a, b) => a.localeCompare(b))
+    );
+  });
+
+  it('filters by region and sorts by population', async () => {
+    const { body } = await request(server.url, '/countries?region=africa&sort=-population');
+    const populations = body.countries.map(country => country.population);
+
+    assert.equal(body.total, fixture.countries.filter(country => country.region === 'Africa').length);
+    assert.ok(body.countries.every(country => country.region === 'Africa'));
+    assert.deepEqual(populations, populations.slice().sort((a, b) => b - a));
+  });
+
+  it('pages results with Link headers and field selection', async () => {
+    const { body, headers } = await request(server.url, '/countries?region=Africa&sort=-population&limit=2&page=2&fields=name,population');
+
+    assert.deepEqual(
+      { total: body.total, page: body.page, limit: body.limit, total_pages: body.total_pages },
+      { total: 5, page: 2, limit: 2, total_pages: 3 }
+    );
+    assert.deepEqual(body.countries.map(Object.keys), [['name', 'population'], ['name', 'population']]);
+    assert.match(headers.get('link'), /page=1[^>]*>; rel="prev"/);
+    assert.match(headers.get('link'), /page=3[^>]*>; rel="next"/);
+
+    const pastEnd = await request(server.url, '/countries?limit=2&page=50');
+    assert.equal(pastEnd.status, 200);
+    assert.deepEqual(pastEnd.body.countries, []);
+  });
+
+  it('rejects invalid parameters, listing each of them', async () => {
+    const { status, body } = await request(server.url, '/countries?sort=bogus&limit=0&population_min=many');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Validation failed');
+    assert.deepEqual(Object.keys(body.details).sort(), ['limit', 'population_min', 'sort']);
+  });
+});
+
+describe('GET /countries/:name', () => {
+  let server;
+
+  before(async () => {
+    resetStore();
+    await runRefresh();
+    server = await startApp();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('finds a country by name or ISO code', async () => {
+    const byName = await request(server.url, '/countries/nigeria');
+    const byCode = await request(server.url, '/countries/NGA');
+
+    assert.equal(byName.status, 200);
+    assert.equal(byName.body.name, 'Nigeria');
+    assert.equal(byName.body.currency_code, 'NGN');
+    assert.deepEqual(byCode.body, byName.body);
+  });
+
+  it('suggests close names for an unknown country', async () => {
+    const { status, body } = await request(server.url, '/countries/nigera');
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Country not found');
+    assert.deepEqual(body.details.did_you_mean, ['Nigeria']);
+  });
+});
@@ -0,0 +1,35 @@
+const { startApp, request } = require('./setup');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetStore } = require('../src/repositories/memory/store');
+const { runRefresh } = require('../src/services/refreshService');
+
+describe('GET /currencies/:code/history', () => {
+  let server;
+
+  before(async () => {
+    resetStore();
+    await runRefresh();
+    server = await startApp();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('returns the rates stored by the refresh', async () => {
+    const { status, body } = await request(server.url, '/currencies/ngn/history?from=2025-01-01');
+
+    assert.equal(status, 200);
+    assert.equal(body.code, 'NGN');
+    assert.equal(body.history.length, 1);
+  });
+
+  it('rejects repeated date parameters', async () => {
+    const { status, body } = await request(server.url, '/currencies/USD/history?from=2024-01-01&from=2024-02-01');
+
+    assert.equal(status, 400);
+    assert.deepEqual(Object.keys(body.details), ['from']);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMigrations, getPendingMigrations } = require('../src/config/migrator');
+
+/**
+ * Build a pool stand-in that records queries
+ * @param {Function} respond - Receives the SQL and returns the query result or throws
+ * @returns {Object} - Pool with query() and the list of queries run
+ */
+function fakePool(respond) {
+  const queries = [];
+
+  return {
+    queries,
+    query: async sql => {
+      queries.push(sql.trim());
+      return respond(sql);
+    }
+  };
+}
+
+describe('getPendingMigrations', () => {
+  it('reports every migration pending without creating the migrations table', async () => {
+    const pool = fakePool(() => {
+      throw Object.assign(new Error("Table 'schema_migrations' doesn't exist"), { code: 'ER_NO_SUCH_TABLE' });
+    });
+
+    const pending = await getPendingMigrations(pool);
+
+    assert.deepEqual(pending.map(migration => migration.name), loadMigrations().map(migration => migration.name));
+    assert.ok(pool.queries.every(sql => sql.startsWith('SELECT')));
+  });
+
+  it('leaves out the applied migrations', async () => {
+    const [first, ...rest] = loadMigrations();
+    const pool = fakePool(() => [[{ version: first.version, name: first.name, applied_at: new Date() }]]);
+
+    const pending = await getPendingMigrations(pool);
+
+    assert.deepEqual(pending.map(migration => migration.name), rest.map(migration => migration.name));
+  });
+
+  it('passes on other database errors', async () => {
+    const pool = fakePool(() => {
+      throw Object.assign(new Error('Access denied'), { code: 'ER_TABLEACCESS_DENIED_ERROR' });
+    });
+
+    await assert.rejects(getPendingMigrations(pool), /Access denied/);
+  });
+});
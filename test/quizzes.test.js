@@ -0,0 +1,113 @@
+const { startApp, request } = require('./setup');
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetStore } = require('../src/repositories/memory/store');
+const { runRefresh } = require('../src/services/refreshService');
+
+/**
+ * Send a JSON body to the running app
+ * @param {string} url - Server URL
+ * @param {string} requestPath - Path
+ * @param {Object} body - Request body
+ * @param {string|null} [token] - Player token
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+function post(url, requestPath, body, token = null) {
+  return request(url, requestPath, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { 'X-Player-Token': token } : {}) },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('daily challenge sessions', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  beforeEach(async () => {
+    resetStore();
+    await runRefresh();
+    token = (await post(server.url, '/players', { nickname: 'ada' })).body.token;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('gives a player their existing session instead of a new one', async () => {
+    const first = await post(server.url, '/quizzes', { daily: true }, token);
+    assert.equal(first.status, 201);
+
+    const question = first.body.questions[0];
+    await post(server.url, `/quizzes/${first.body.id}/answers`, { question: question.position, answer: question.options[0] }, token);
+
+    const second = await post(server.url, '/quizzes', { daily: true }, token);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.id, first.body.id);
+    assert.equal(second.body.answered, 1);
+    assert.notEqual(second.body.questions[0].correct_answer, null);
+  });
+
+  it('keeps practice and anonymous quizzes unlimited', async () => {
+    const practice = await post(server.url, '/quizzes', { count: 3 }, token);
+    const again = await post(server.url, '/quizzes', { count: 3 }, token);
+    assert.equal(practice.status, 201);
+    assert.equal(again.status, 201);
+    assert.notEqual(again.body.id, practice.body.id);
+
+    const anonymous = await post(server.url, '/quizzes', { daily: true });
+    const anonymousAgain = await post(server.url, '/quizzes', { daily: true });
+    assert.equal(anonymousAgain.status, 201);
+    assert.notEqual(anonymousAgain.body.id, anonymous.body.id);
+  });
+});
+
+describe('player totals', () => {
+  let server;
+
+  before(async () => {
+    resetStore();
+    await runRefresh();
+    server = await startApp();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('count a daily challenge once however often it is started', async () => {
+    const { token } = (await post(server.url, '/players', { nickname: 'grace' })).body;
+    const playDaily = async () => {
+      const quiz = (await post(server.url, '/quizzes', { daily: true }, token)).body;
+
+      for (const question of quiz.questions.filter(item => !item.answered)) {
+        await post(server.url, `/quizzes/${quiz.id}/answers`, { question: question.position, answer: question.options[0] }, token);
+      }
+
+      return quiz;
+    };
+    const totals = async () => {
+      const { body } = await request(server.url, '/players/grace');
+      return { quizzes_completed: body.quizzes_completed, total_score: body.total_score };
+    };
+
+    await playDaily();
+    const afterFirst = await totals();
+    assert.equal(afterFirst.quizzes_completed, 1);
+
+    const retake = await playDaily();
+    assert.equal(retake.status, 'completed');
+    assert.deepEqual(await totals(), afterFirst);
+
+    const { body } = await request(server.url, '/leaderboards');
+    assert.deepEqual(
+      body.rankings.map(row => [row.nickname, row.total_score, row.quizzes_completed]),
+      [['grace', afterFirst.total_score, 1]]
+    );
+  });
+});
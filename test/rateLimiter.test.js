@@ -0,0 +1,19 @@
+require('./setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRateLimit } = require('../src/services/rateLimiter');
+
+describe('parseRateLimit', () => {
+  it('parses requests per window', () => {
+    assert.deepEqual(parseRateLimit('default', '100/15m'), { limit: 100, window_ms: 15 * 60 * 1000 });
+    assert.deepEqual(parseRateLimit('trivia', '60/m'), { limit: 60, window_ms: 60 * 1000 });
+    assert.equal(parseRateLimit('auth', 'OFF'), null);
+  });
+
+  it('rejects zero counts and windows', () => {
+    for (const value of ['0/15m', '100/0m', '100/00s', '100/15', '100/15d', '']) {
+      assert.throws(() => parseRateLimit('auth', value), /Invalid RATE_LIMIT_AUTH/, value);
+    }
+  });
+});
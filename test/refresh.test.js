@@ -0,0 +1,187 @@
+const { workDir, startApp, request } = require('./setup');
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { countryRepository } = require('../src/repositories');
+const { resetStore } = require('../src/repositories/memory/store');
+const { runRefresh, enqueueRefresh } = require('../src/services/refreshService');
+const { getRefreshMetadata, getStaleReasons } = require('../src/services/countryService');
+const { getRefreshRuns } = require('../src/services/refreshHistoryService');
+const fixture = require('../src/fixtures/snapshot.json');
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-key' };
+
+/**
+ * Poll a job until it finishes
+ * @param {string} url - Server URL
+ * @param {string} statusUrl - Job status path
+ * @returns {Promise<Object>} - Finished job
+ */
+async function waitForJob(url, statusUrl) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await request(url, statusUrl);
+
+    if (body.status === 'succeeded' || body.status === 'failed') {
+      return body;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`Job ${statusUrl} did not finish`);
+}
+
+describe('runRefresh', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  afterEach(() => {
+    delete process.env.DATA_SNAPSHOT_PATH;
+    delete process.env.CACHE_DIR;
+    process.env.DATA_SOURCE = 'fixture';
+  });
+
+  it('loads the fixture, then finds nothing changed on a second run', async () => {
+    const first = await runRefresh();
+
+    assert.equal(first.countries_processed, fixture.countries.length);
+    assert.equal(first.inserted, fixture.countries.length);
+    assert.equal(first.failed, 0);
+    assert.equal(first.data_source.type, 'fixture');
+    assert.equal(first.exchange_rates_stale, false);
+    assert.equal(first.exchange_rates_filled, 0);
+
+    const second = await runRefresh();
+
+    assert.equal(second.inserted, 0);
+    assert.equal(second.updated, 0);
+    assert.equal(second.unchanged, fixture.countries.length);
+  });
+
+  it('reuses the last GDP seed unless a new one is asked for', async () => {
+    delete process.env.GDP_SEED;
+
+    try {
+      const first = await runRefresh();
+      const second = await runRefresh();
+
+      assert.equal(second.gdp_estimation.seed, first.gdp_estimation.seed);
+      assert.equal(second.unchanged, fixture.countries.length);
+
+      const reseeded = await runRefresh({ reseed: true });
+
+      assert.notEqual(reseeded.gdp_estimation.seed, first.gdp_estimation.seed);
+      assert.ok(reseeded.updated > 0);
+    } finally {
+      process.env.GDP_SEED = 'test';
+    }
+  });
+
+  it('fills currencies the rate provider lacks from the last stored rates', async () => {
+    await runRefresh();
+
+    // A Frankfurter response, which has no naira rate
+    const { NGN, USD, ...rates } = fixture.exchange_rates.rates;
+    const snapshotPath = path.join(workDir, 'frankfurter.json');
+    fs.writeFileSync(snapshotPath, JSON.stringify({
+      ...fixture,
+      providers: { countries: 'restcountries', exchange_rates: 'frankfurter' },
+      exchange_rates: { amount: 1, base: 'USD', date: '2025-10-22', rates }
+    }));
+    process.env.DATA_SOURCE = 'file';
+    process.env.DATA_SNAPSHOT_PATH = snapshotPath;
+
+    const result = await runRefresh();
+
+    assert.equal(result.providers.exchange_rates, 'frankfurter+last-known');
+    assert.equal(result.exchange_rates_filled, 1);
+    assert.equal(result.updated, 0);
+    assert.equal(Number((await countryRepository.findByName('Nigeria')).exchange_rate), NGN);
+
+    const metadata = await getRefreshMetadata();
+    assert.equal(metadata.exchange_rates_filled, 1);
+    assert.deepEqual(getStaleReasons(metadata, 24), ['filled_exchange_rates']);
+  });
+
+  it('keeps the run finished when the summary image cannot be rendered', async () => {
+    // A file where the cache directory belongs makes every cache write fail
+    fs.writeFileSync(path.join(workDir, 'not-a-directory'), '');
+    process.env.CACHE_DIR = 'not-a-directory';
+
+    const result = await runRefresh();
+    const [run] = await getRefreshRuns(1);
+
+    assert.equal(result.inserted, fixture.countries.length);
+    assert.equal(run.id, result.refresh_run_id);
+    assert.equal(run.status, 'succeeded');
+  });
+});
+
+describe('POST /countries/refresh', () => {
+  let server;
+
+  beforeEach(async () => {
+    resetStore();
+    server = await startApp();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('needs an admin key', async () => {
+    const { status } = await request(server.url, '/countries/refresh', { method: 'POST' });
+
+    assert.equal(status, 401);
+  });
+
+  it('runs the refresh as a background job', async () => {
+    const before = await request(server.url, '/status');
+    assert.deepEqual(before.body.stale_reasons, ['never_refreshed']);
+
+    const { status, body } = await request(server.url, '/countries/refresh', { method: 'POST', headers: ADMIN_HEADERS });
+
+    assert.equal(status, 202);
+    assert.equal(body.status, 'queued');
+    assert.equal(body.status_url, `/jobs/${body.job_id}`);
+
+    const job = await waitForJob(server.url, body.status_url);
+
+    assert.equal(job.status, 'succeeded', job.error);
+    assert.equal(job.type, 'refresh');
+    assert.equal(job.result.inserted, fixture.countries.length);
+
+    const after = await request(server.url, '/status');
+    assert.equal(after.body.total_countries, fixture.countries.length);
+    assert.equal(after.body.stale, false);
+    assert.equal(after.body.data_source, 'fixture');
+  });
+
+  it('turns away a second refresh while one is running', async () => {
+    const first = await request(server.url, '/countries/refresh', { method: 'POST', headers: ADMIN_HEADERS });
+    const second = await request(server.url, '/countries/refresh', { method: 'POST', headers: ADMIN_HEADERS });
+
+    assert.equal(second.status, 409);
+    assert.equal((await waitForJob(server.url, first.body.status_url)).status, 'succeeded');
+  });
+
+  it('rejects a new GDP seed combined with a given one', async () => {
+    const { status, body } = await request(server.url, '/countries/refresh?gdp_reseed=true&gdp_seed=abc', { method: 'POST', headers: ADMIN_HEADERS });
+
+    assert.equal(status, 400);
+    assert.deepEqual(Object.keys(body.details), ['gdp_reseed']);
+  });
+
+  it('queues one refresh of several requested at once', async () => {
+    const results = await Promise.allSettled([enqueueRefresh(), enqueueRefresh()]);
+    const queued = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected');
+
+    assert.equal(queued.length, 1);
+    assert.equal(refused[0].reason.statusCode, 409);
+    assert.equal((await waitForJob(server.url, `/jobs/${queued[0].value}`)).status, 'succeeded');
+  });
+});
@@ -0,0 +1,206 @@
+require('./setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const memory = require('../src/repositories/memory');
+const mysql = require('../src/repositories/mysql');
+const { countryRepository, metadataRepository, rateLimitRepository, lockRepository } = require('../src/repositories');
+const { resetStore } = require('../src/repositories/memory/store');
+
+/**
+ * Build processed country data as the refresh writes it
+ * @param {string} name - Country name
+ * @param {Object} [fields] - Fields to set
+ * @returns {Object} - Country data object
+ */
+function country(name, fields = {}) {
+  return {
+    name,
+    capital: `${name} City`,
+    region: 'Africa',
+    population: 1000000,
+    area: 1000,
+    currency_code: 'NGN',
+    exchange_rate: 1500,
+    estimated_gdp: 1000000,
+    currencies: [{ code: 'NGN', name: 'Nigerian naira', symbol: '₦' }],
+    ...fields
+  };
+}
+
+describe('repository backends', () => {
+  it('export the same repositories with the same methods', () => {
+    assert.deepEqual(Object.keys(memory).sort(), Object.keys(mysql).sort());
+
+    for (const name of Object.keys(mysql)) {
+      if (typeof mysql[name] === 'function') {
+        assert.equal(typeof memory[name], 'function', name);
+        continue;
+      }
+
+      assert.deepEqual(Object.keys(memory[name]).sort(), Object.keys(mysql[name]).sort(), name);
+    }
+  });
+});
+
+describe('countryRepository', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  it('upserts a country and finds it by name ignoring case', async () => {
+    await countryRepository.upsert(country('Nigeria'));
+    await countryRepository.upsert(country('Nigeria', { population: 2000000 }));
+
+    const row = await countryRepository.findByName('NIGERIA');
+    assert.equal(row.name, 'Nigeria');
+    assert.equal(Number(row.population), 2000000);
+    assert.equal(await countryRepository.count(), 1);
+    assert.equal(await countryRepository.findByName('Ghana'), null);
+  });
+
+  it('counts inserted, updated and unchanged rows of a bulk upsert', async () => {
+    const first = await countryRepository.bulkUpsert([country('Nigeria'), country('Ghana')]);
+    assert.deepEqual(
+      { inserted: first.inserted, updated: first.updated, unchanged: first.unchanged },
+      { inserted: 2, updated: 0, unchanged: 0 }
+    );
+
+    const second = await countryRepository.bulkUpsert([
+      country('Nigeria'),
+      country('Ghana', { population: 34000000 })
+    ]);
+    assert.equal(second.processed, 2);
+    assert.deepEqual(
+      { inserted: second.inserted, updated: second.updated, unchanged: second.unchanged },
+      { inserted: 0, updated: 1, unchanged: 1 }
+    );
+  });
+
+  it('keeps deleted countries out of lists and bulk upserts until restored', async () => {
+    await countryRepository.bulkUpsert([country('Nigeria'), country('Ghana')]);
+
+    assert.equal(await countryRepository.deleteByName('ghana'), true);
+    assert.equal(await countryRepository.deleteByName('Ghana'), false);
+    assert.equal(await countryRepository.findByName('Ghana'), null);
+    assert.equal((await countryRepository.findByName('Ghana', { deleted: true })).name, 'Ghana');
+    assert.deepEqual((await countryRepository.findNames({ deleted: true })).map(row => row.name), ['Ghana']);
+
+    const result = await countryRepository.bulkUpsert([country('Ghana', { population: 1 })]);
+    assert.equal(result.skipped, 1);
+
+    assert.equal(await countryRepository.restoreByName('Ghana'), true);
+    assert.equal(await countryRepository.restoreByName('Ghana'), false);
+    assert.equal(Number((await countryRepository.findByName('Ghana')).population), 1000000);
+  });
+
+  it('filters, sorts and pages countries', async () => {
+    await countryRepository.bulkUpsert([
+      country('Nigeria', { population: 206000000 }),
+      country('Ghana', { population: 31000000, currency_code: 'GHS', currencies: [{ code: 'GHS', name: 'Ghanaian cedi', symbol: '₵' }] }),
+      country('France', { region: 'Europe', population: 67000000, currency_code: 'EUR', currencies: [{ code: 'EUR', name: 'Euro', symbol: '€' }] }),
+      country('Côte d\'Ivoire', { capital: 'Yamoussoukro', population: 26000000, currency_code: null, currencies: [] })
+    ]);
+
+    const names = rows => rows.map(row => row.name);
+
+    assert.deepEqual(names(await countryRepository.findAll()), ['Côte d\'Ivoire', 'France', 'Ghana', 'Nigeria']);
+    assert.deepEqual(names(await countryRepository.findAll({ regions: ['africa'] })), ['Côte d\'Ivoire', 'Ghana', 'Nigeria']);
+    assert.deepEqual(names(await countryRepository.findAll({ currencies: ['ghs', 'EUR'] })), ['France', 'Ghana']);
+    assert.deepEqual(names(await countryRepository.findAll({ has_currency: false })), ['Côte d\'Ivoire']);
+    assert.deepEqual(names(await countryRepository.findAll({ population_min: 30000000, population_max: 100000000 })), ['France', 'Ghana']);
+    assert.deepEqual(names(await countryRepository.findAll({ q: 'cote' })), ['Côte d\'Ivoire']);
+
+    const byPopulation = await countryRepository.findAll({}, [{ field: 'population', direction: 'desc' }], { limit: 2, offset: 1 });
+    assert.deepEqual(names(byPopulation), ['France', 'Ghana']);
+    assert.equal(await countryRepository.count({ regions: ['Africa'] }), 3);
+  });
+
+  it('sums up countries in total and per region', async () => {
+    await countryRepository.bulkUpsert([
+      country('Nigeria', { population: 200, area: 900, estimated_gdp: 10 }),
+      country('Ghana', { population: 100, area: 200, estimated_gdp: 5 }),
+      country('Kenya', { population: 50, area: 500, estimated_gdp: null, currency_code: 'KES', currencies: [{ code: 'KES', name: 'Kenyan shilling', symbol: 'Sh' }] }),
+      country('France', { region: 'Europe', population: 70, area: 600, estimated_gdp: 20 })
+    ]);
+
+    const [total] = await countryRepository.aggregate();
+    assert.equal(total.country_count, 4);
+    assert.equal(Number(total.total_population), 420);
+    assert.equal(Number(total.total_gdp), 35);
+
+    const regions = await countryRepository.aggregate({}, { byRegion: true });
+    assert.deepEqual(regions.map(row => [row.region, row.country_count]), [['Africa', 3], ['Europe', 1]]);
+
+    assert.equal(Number(await countryRepository.findMedianPopulation()), 85);
+    assert.equal(Number(await countryRepository.findMedianPopulation({ regions: ['Africa'] })), 100);
+
+    const currencies = await countryRepository.countCurrencies({}, 1);
+    assert.deepEqual(currencies.map(row => [row.code, row.country_count]), [['NGN', 3]]);
+
+    const extremes = await countryRepository.findAreaExtremes({ regions: ['Africa'] });
+    assert.deepEqual(
+      extremes.map(row => [row.extreme, row.name]).sort(),
+      [['largest', 'Nigeria'], ['smallest', 'Ghana']]
+    );
+  });
+});
+
+describe('metadataRepository', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  it('reports no refresh until one is recorded', async () => {
+    assert.equal((await metadataRepository.get()).last_refreshed_at, null);
+
+    await metadataRepository.update({ total_countries: 2 });
+
+    const metadata = await metadataRepository.get();
+    assert.equal(metadata.total_countries, 2);
+    assert.ok(metadata.last_refreshed_at instanceof Date);
+  });
+});
+
+describe('rateLimitRepository', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  it('counts hits in a window and reads them without counting', async () => {
+    assert.equal(await rateLimitRepository.peek('ip:1'), null);
+
+    await rateLimitRepository.hit('ip:1', 60000);
+    const second = await rateLimitRepository.hit('ip:1', 60000);
+    assert.equal(second.hits, 2);
+    assert.ok(second.reset_in_ms > 0 && second.reset_in_ms <= 60000);
+
+    assert.equal((await rateLimitRepository.peek('ip:1')).hits, 2);
+    assert.equal((await rateLimitRepository.peek('ip:1')).hits, 2);
+  });
+
+  it('starts a new window once the current one ends', async () => {
+    await rateLimitRepository.hit('ip:1', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal(await rateLimitRepository.peek('ip:1'), null);
+    assert.equal(await rateLimitRepository.deleteExpired(), 1);
+    assert.equal((await rateLimitRepository.hit('ip:1', 60000)).hits, 1);
+  });
+});
+
+describe('lockRepository', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  it('lets one holder take a lock at a time', async () => {
+    const lock = await lockRepository.acquire('refresh');
+    assert.ok(lock);
+    assert.equal(await lockRepository.isLocked('refresh'), true);
+    assert.equal(await lockRepository.acquire('refresh'), null);
+
+    await lockRepository.release(lock);
+    assert.equal(await lockRepository.isLocked('refresh'), false);
+  });
+});
@@ -0,0 +1,62 @@
+// Loaded first by every test file: runs the API on the memory backend with the
+// bundled fixture snapshot, so the tests need no database, network or .env file
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DB_CLIENT: 'memory',
+  DATA_SOURCE: 'fixture',
+  GDP_SEED: 'test',
+  FLAG_DOWNLOADS: 'false',
+  AUTH_REQUIRED: 'false',
+  RATE_LIMIT_STORE: 'memory',
+  ADMIN_API_KEY: 'test-admin-key'
+});
+
+// The flag and image caches live under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'country-trivia-test-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const app = require('../src/index');
+
+/**
+ * Start the app on a free port
+ * @returns {Promise<Object>} - { url, close } of the running server
+ */
+function startApp() {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Request a path of the running app
+ * @param {string} url - Server URL
+ * @param {string} requestPath - Path and query string
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} - { status, headers, body } with the body parsed as JSON
+ */
+async function request(url, requestPath, options = {}) {
+  const response = await fetch(`${url}${requestPath}`, options);
+  const text = await response.text();
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: text ? JSON.parse(text) : null
+  };
+}
+
+module.exports = {
+  workDir,
+  startApp,
+  request
+};